@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// Command-line tenant administration. Works directly on the database, so
+// the server does not need to be running; a running server sees the
+// changes without a restart (see tenants.js). Run from the backend folder:
+//
+//   node admin-cli.js list
+//   node admin-cli.js create <id> [--base-url URL] [--out FILE] [--model M]
+//                                 [--daily-tokens N] [--monthly-tokens N] [--redaction on|off]
+//   node admin-cli.js set <id> [--model M] [--daily-tokens N] [--monthly-tokens N]
+//                              [--redaction on|off]
+//   node admin-cli.js disable <id>
+//   node admin-cli.js enable <id>
+//   node admin-cli.js rotate-secret <id> [--base-url URL] [--out FILE]
+//   node admin-cli.js delete <id>
+//   node admin-cli.js users <id>
+//   node admin-cli.js add-user <id> <username> --role admin|lawyer [--name N] [--password P]
+//   node admin-cli.js set-user <id> <username> [--role R] [--name N] [--password P]
+//                                              [--disabled on|off]
+//   node admin-cli.js remove-user <id> <username>
+//   node admin-cli.js import-json [dir]
+//
+// `create` and `rotate-secret` print the new secret once and write the
+// tenant's manifest (default: manifest-<id>.xml) when a base URL is given
+// with --base-url or PUBLIC_BASE_URL. `import-json` imports the JSON files
+// of older installs (default: the current folder; see import-json.js).
+// `add-user` generates a password when none is given and prints it once;
+// see users.js for the roles.
+import "dotenv/config";
+import { writeFileSync } from "fs";
+import {
+  findClient,
+  listTenants,
+  createTenant,
+  updateTenantSettings,
+  setTenantDisabled,
+  rotateTenantSecret,
+  deleteTenant,
+  generateManifest,
+} from "./tenants.js";
+import { importLegacyJson } from "./import-json.js";
+import {
+  validateUser,
+  generatePassword,
+  listUsers,
+  findUserByUsername,
+  createUser,
+  updateUser,
+  deleteUser,
+} from "./users.js";
+
+const USAGE = `Uso:
+  node admin-cli.js list
+  node admin-cli.js create <id> [--base-url URL] [--out FILE] [--model M] [--daily-tokens N] [--monthly-tokens N] [--redaction on|off]
+  node admin-cli.js set <id> [--model M] [--daily-tokens N] [--monthly-tokens N] [--redaction on|off]
+  node admin-cli.js disable <id>
+  node admin-cli.js enable <id>
+  node admin-cli.js rotate-secret <id> [--base-url URL] [--out FILE]
+  node admin-cli.js delete <id>
+  node admin-cli.js users <id>
+  node admin-cli.js add-user <id> <usuário> --role admin|lawyer [--name N] [--password P]
+  node admin-cli.js set-user <id> <usuário> [--role R] [--name N] [--password P] [--disabled on|off]
+  node admin-cli.js remove-user <id> <usuário>
+  node admin-cli.js import-json [pasta]`;
+
+// Split argv into positional arguments and --name value options.
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+// Print the new secret and write the manifest if a base URL is known.
+function outputCredentials(id, secret, options) {
+  console.log(`Secret de ${id} (guarde agora, não será exibido novamente): ${secret}`);
+  const baseUrl = options["base-url"] || process.env.PUBLIC_BASE_URL;
+  if (!baseUrl) {
+    console.log("Informe --base-url (ou PUBLIC_BASE_URL) para gerar o manifest.");
+    return;
+  }
+  const out = options.out || `manifest-${id}.xml`;
+  writeFileSync(out, generateManifest(id, secret, baseUrl));
+  console.log(`Manifest gerado em ${out}. Ele contém o secret: distribua-o apenas por canais do escritório.`);
+}
+
+// Tenant settings given with --model, --daily-tokens, --monthly-tokens and
+// --redaction. `current` is the tenant record being changed, whose other
+// redaction settings (types, terms) are kept.
+function settingsFrom(options, current = {}) {
+  const settings = {};
+  if (options.model) settings.model = options.model;
+  if (options["daily-tokens"] || options["monthly-tokens"]) {
+    settings.quota = {};
+    if (options["daily-tokens"]) settings.quota.dailyTokens = Number(options["daily-tokens"]);
+    if (options["monthly-tokens"]) settings.quota.monthlyTokens = Number(options["monthly-tokens"]);
+  }
+  if (options.redaction) {
+    if (options.redaction !== "on" && options.redaction !== "off") {
+      throw new Error("--redaction deve ser on ou off");
+    }
+    settings.redaction = { ...current.redaction, enabled: options.redaction === "on" };
+  }
+  return settings;
+}
+
+// User fields given with --role, --name, --password and --disabled.
+function userFieldsFrom(options) {
+  const fields = {};
+  if (options.role) fields.role = options.role;
+  if (options.name !== undefined) fields.name = options.name;
+  if (options.password !== undefined) fields.password = options.password;
+  if (options.disabled) {
+    if (options.disabled !== "on" && options.disabled !== "off") {
+      throw new Error("--disabled deve ser on ou off");
+    }
+    fields.disabled = options.disabled === "on";
+  }
+  return fields;
+}
+
+// The tenant's user with that username, or an error.
+function requireUser(id, username) {
+  const user = findUserByUsername(requireId(id), requireId(username));
+  if (!user) {
+    throw new Error(`Usuário ${username} não encontrado em ${id}`);
+  }
+  return user;
+}
+
+function requireId(id) {
+  if (!id) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return id;
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, id, username] = positional;
+
+  switch (command) {
+    case "list": {
+      const tenants = listTenants();
+      if (tenants.length === 0) {
+        console.log("Nenhum cliente cadastrado.");
+      }
+      for (const t of tenants) {
+        const key = t.apiKey.configured ? `••••${t.apiKey.last4 || "?"}` : "sem chave";
+        const redaction = t.redaction && t.redaction.enabled ? "mascaramento" : "-";
+        console.log(`${t.id}\t${t.disabled ? "DESATIVADO" : "ativo"}\t${t.provider.type}\t${t.model || "-"}\t${key}\t${redaction}`);
+      }
+      break;
+    }
+    case "create": {
+      const { secret } = createTenant(requireId(id), settingsFrom(options));
+      console.log(`Cliente ${id} criado.`);
+      outputCredentials(id, secret, options);
+      break;
+    }
+    case "set": {
+      const settings = settingsFrom(options, findClient(requireId(id)));
+      if (Object.keys(settings).length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      if (!updateTenantSettings(requireId(id), settings)) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      console.log(`Cliente ${id} atualizado.`);
+      break;
+    }
+    case "disable":
+    case "enable": {
+      if (!setTenantDisabled(requireId(id), command === "disable")) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      console.log(`Cliente ${id} ${command === "disable" ? "desativado" : "reativado"}.`);
+      break;
+    }
+    case "rotate-secret": {
+      const secret = rotateTenantSecret(requireId(id));
+      if (!secret) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      console.log(`Secret de ${id} substituído; as sessões abertas foram encerradas.`);
+      outputCredentials(id, secret, options);
+      break;
+    }
+    case "delete": {
+      if (!deleteTenant(requireId(id))) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      console.log(`Cliente ${id} excluído.`);
+      break;
+    }
+    case "users": {
+      if (!findClient(requireId(id))) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      const users = listUsers(id);
+      if (users.length === 0) {
+        console.log("Nenhum usuário; o cliente usa o acesso sem login (como admin).");
+      }
+      for (const u of users) {
+        console.log(`${u.username}\t${u.role}\t${u.disabled ? "DESATIVADO" : "ativo"}\t${u.name || "-"}`);
+      }
+      break;
+    }
+    case "add-user": {
+      if (!findClient(requireId(id))) {
+        throw new Error(`Cliente ${id} não encontrado`);
+      }
+      const fields = { username: requireId(username), ...userFieldsFrom(options) };
+      const generated = fields.password === undefined;
+      if (generated) fields.password = generatePassword();
+      const error = validateUser(fields);
+      if (error) {
+        throw new Error(error);
+      }
+      if (!createUser(id, fields)) {
+        throw new Error(`O usuário ${username} já existe em ${id}`);
+      }
+      console.log(`Usuário ${username} criado em ${id} (${fields.role}).`);
+      if (generated) {
+        console.log(`Senha (guarde agora, não será exibida novamente): ${fields.password}`);
+      }
+      break;
+    }
+    case "set-user": {
+      const user = requireUser(id, username);
+      const fields = userFieldsFrom(options);
+      if (Object.keys(fields).length === 0) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+      const error = validateUser(fields, true);
+      if (error) {
+        throw new Error(error);
+      }
+      updateUser(id, user.id, fields);
+      console.log(`Usuário ${username} atualizado.`);
+      break;
+    }
+    case "remove-user": {
+      deleteUser(id, requireUser(id, username).id);
+      console.log(`Usuário ${username} excluído com suas conversas.`);
+      break;
+    }
+    case "import-json": {
+      const counts = importLegacyJson(id || process.cwd());
+      console.log(`Importados: ${counts.tenants} clientes, ${counts.assistants} assistentes, ` +
+        `${counts.threads} conversas, ${counts.usage} registros de uso (${counts.skipped} já existentes ou ignorados).`);
+      break;
+    }
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Erro: ${err.message}`);
+  process.exit(1);
+}
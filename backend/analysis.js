@@ -0,0 +1,400 @@
+import { createChatCompletion, completionText, estimateTokens, promptBudget } from "./llm.js";
+import { QuotaExceededError } from "./usage.js";
+import { UpstreamError } from "./upstream.js";
+import { lintDocument } from "./lint.js";
+
+// Structured document analysis for /api/analyze. The model is asked for a
+// JSON report instead of free text, so the task pane can anchor every
+// finding to its passage in the document (as a Word comment) and offer to
+// apply the suggested rewrite. The report has the shape:
+//
+//   {
+//     "summary": "Visão geral da qualidade do documento...",
+//     "findings": [
+//       {
+//         "id": "f1",
+//         "category": "juridico",           // juridico | linguistico | estrategia
+//         "severity": "alta",               // alta | media | baixa
+//         "quote": "<exact passage of the document>",
+//         "explanation": "Por que é um problema...",
+//         "suggestion": "<rewrite of the passage, or empty>",
+//         "section": 0,                     // index of the section it came from
+//         "rule": "numbering"               // only for rule-based findings
+//       }
+//     ],
+//     "ruleFindings": 1,                    // findings listed that come from the rules of lint.js
+//     "discarded": 0,                       // findings whose quote was not found
+//     "sections": [{ "index": 0, "title": "DOS FATOS", "status": "done", "findings": 3 }],
+//     "failedSections": [{ "index": 1, "title": "DO DIREITO", "error": "..." }]
+//   }
+//
+// Long documents do not fit in one request, so analyzeDocument splits them
+// into sections at headings and paragraph boundaries within a token budget
+// (map), analyzes each section on its own, and merges the findings into one
+// report with a consolidated summary (reduce). A section that fails is
+// reported in `failedSections` and the rest of the report is still
+// returned. The findings of the client's drafting rules (see lint.js),
+// which check the whole document without the model, are merged in.
+
+export const FINDING_CATEGORIES = ["juridico", "linguistico", "estrategia"];
+export const FINDING_SEVERITIES = ["alta", "media", "baixa"];
+
+export const ANALYSIS_PROMPT = `
+Você é uma Autoridade Suprema em Direito Brasileiro e Linguística, atuando como o mais experiente Consultor Jurídico e Revisor de Textos.
+Você detém conhecimento enciclopédico de todas as áreas do Direito (Civil, Penal, Trabalhista, Tributário, Constitucional, etc.) e domínio absoluto da Norma Culta da Língua Portuguesa.
+
+Sua missão é realizar uma ANÁLISE FORENSE E LINGUÍSTICA DO DOCUMENTO fornecido.
+
+Diretrizes de Análise:
+1.  **Rigidez Jurídica** (categoria "juridico"): Verifique a solidez dos argumentos, a correta aplicação dos institutos jurídicos e a vigência das leis citadas. Aponte fragilidades, riscos de nulidade ou teses ultrapassadas.
+2.  **Excelência Linguística** (categoria "linguistico"): Identifique erros gramaticais, de sintaxe, pontuação e regência. Avalie a clareza, a coesão e a elegância do texto. O estilo deve ser culto, formal e persuasivo, sem ser pedante.
+3.  **Estratégia Processual** (categoria "estrategia"): Analise se o texto atinge seu objetivo (convencer o juiz, notificar a parte, etc.) com eficácia.
+
+Formato da Resposta:
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois e sem blocos de código, no formato:
+{
+  "summary": "Visão geral da qualidade do documento",
+  "findings": [
+    {
+      "category": "juridico" | "linguistico" | "estrategia",
+      "severity": "alta" | "media" | "baixa",
+      "quote": "trecho copiado EXATAMENTE do documento, caractere por caractere, com no máximo uma frase",
+      "explanation": "explicação objetiva do problema",
+      "suggestion": "reescrita completa do trecho citado, pronta para substituí-lo, ou \\"\\" se não houver"
+    }
+  ]
+}
+
+Cada achado deve citar um trecho que exista literalmente no documento. Se o documento estiver perfeito, reconheça a excelência no resumo e retorne "findings": []. Se estiver ruim, seja implacável mas construtivo.
+`.trim();
+
+// Find `quote` in the document and return the passage exactly as it
+// appears there, or null. Differences in spacing and typographic quotes are
+// tolerated, since models often normalize them when copying; the pane
+// needs the document's own text to search for it in Word.
+function locateQuote(documentText, quote) {
+  const pattern = quote
+    .trim()
+    .split(/\s+/)
+    .map((word) => word
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/["“”]/g, '["“”]')
+      .replace(/['‘’]/g, "['‘’]"))
+    .join("\\s+");
+  const match = pattern && new RegExp(pattern).exec(documentText);
+  return match ? match[0] : null;
+}
+
+// Map the model's spelling of a category or severity ("Jurídico",
+// "média") to the canonical value, or null if it is not one of them.
+export function canonical(value, allowed) {
+  const key = String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+  return allowed.includes(key) ? key : null;
+}
+
+// Extract the JSON object from a completion, tolerating code fences or a
+// sentence around it.
+export function extractJson(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end < start) {
+    throw new Error("The model did not return a JSON analysis");
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`The model returned malformed analysis JSON: ${err.message}`);
+  }
+}
+
+// Parse and validate the model's report. Findings whose quote does not
+// occur in `documentText` (the pane could not anchor them) are dropped and
+// counted in `discarded`; the others carry the passage as written in the
+// document.
+export function parseAnalysis(text, documentText) {
+  const report = extractJson(text);
+  const findings = [];
+  let discarded = 0;
+  for (const item of Array.isArray(report.findings) ? report.findings : []) {
+    const quote = typeof item.quote === "string" ? locateQuote(documentText, item.quote) : null;
+    if (!quote) {
+      discarded++;
+      continue;
+    }
+    findings.push({
+      id: `f${findings.length + 1}`,
+      category: canonical(item.category, FINDING_CATEGORIES) || "juridico",
+      severity: canonical(item.severity, FINDING_SEVERITIES) || "media",
+      quote,
+      explanation: String(item.explanation || "").trim(),
+      suggestion: String(item.suggestion || "").trim(),
+    });
+  }
+  return {
+    summary: String(report.summary || "").trim(),
+    findings,
+    discarded,
+  };
+}
+
+// Upper bound on the document tokens sent per section. Smaller sections
+// than the context window allows give more thorough findings.
+const MAX_SECTION_TOKENS = Number(process.env.ANALYZE_SECTION_TOKENS) || 6000;
+const MIN_SECTION_TOKENS = 500;
+
+const SEVERITY_RANK = { alta: 0, media: 1, baixa: 2 };
+
+// Paragraphs that start a new section when the pane did not mark them as
+// headings: short lines in capitals ("DOS FATOS") or starting with the
+// usual division names or a roman numeral ("II - DO DIREITO").
+const HEADING_PATTERN = /^(cl[áa]usula|cap[íi]tulo|se[çc][ãa]o|t[íi]tulo|[IVXLC]+\s*[-–.)])\s*/i;
+
+export function looksLikeHeading(text) {
+  if (text.length > 120) return false;
+  const letters = text.replace(/[^A-Za-zÀ-ÿ]/g, "");
+  return (letters.length >= 3 && letters === letters.toUpperCase()) || HEADING_PATTERN.test(text);
+}
+
+// Normalize the request body into paragraphs: [{ text, heading }], where
+// `heading` is the heading level (0 for body text). The pane sends
+// paragraphs with the levels of Word's heading styles; a plain
+// `documentText` is split at line breaks.
+export function toParagraphs({ paragraphs, documentText }) {
+  if (Array.isArray(paragraphs)) {
+    return paragraphs
+      .map((p) => ({ text: String((p && p.text) || ""), heading: Number(p && p.heading) || 0 }))
+      .filter((p) => p.text.trim());
+  }
+  return String(documentText || "")
+    .split(/\r\n?|\n/)
+    .filter((text) => text.trim())
+    .map((text) => ({ text, heading: 0 }));
+}
+
+// Split a text that exceeds `budget` tokens into pieces at sentence ends,
+// or at arbitrary points for sentences that are still too long.
+function splitLongText(text, budget) {
+  const maxChars = budget * 4;
+  const pieces = [];
+  let piece = "";
+  for (const sentence of text.match(/[^.!?;]+[.!?;]*\s*/g) || [text]) {
+    if (piece && estimateTokens(piece + sentence) > budget) {
+      pieces.push(piece);
+      piece = "";
+    }
+    piece += sentence;
+    while (estimateTokens(piece) > budget) {
+      pieces.push(piece.slice(0, maxChars));
+      piece = piece.slice(maxChars);
+    }
+  }
+  if (piece.trim()) pieces.push(piece);
+  return pieces;
+}
+
+// Group paragraphs into sections at headings, then pack them into chunks
+// of at most `budget` tokens: small neighbouring sections share a chunk,
+// and sections that are too long are split at paragraph boundaries (and
+// overlong paragraphs at sentence ends). Returns [{ title, text }].
+export function splitSections(paragraphs, budget) {
+  const sections = [];
+  for (const p of paragraphs) {
+    const text = p.text.trim();
+    const isHeading = p.heading > 0 || looksLikeHeading(text);
+    if (isHeading || sections.length === 0) {
+      sections.push({ title: isHeading ? text : "", paragraphs: [] });
+    }
+    sections[sections.length - 1].paragraphs.push(text);
+  }
+
+  const chunks = [];
+  let chunk = null;
+  const add = (title, text) => {
+    if (chunk && estimateTokens(`${chunk.text}\n${text}`) <= budget) {
+      chunk.text += `\n${text}`;
+      if (title && !chunk.titles.includes(title)) chunk.titles.push(title);
+      return;
+    }
+    chunk = { titles: title ? [title] : [], text };
+    chunks.push(chunk);
+  };
+  for (const section of sections) {
+    const text = section.paragraphs.join("\n");
+    if (estimateTokens(text) <= budget) {
+      add(section.title, text);
+      continue;
+    }
+    // Too long: start a fresh chunk and fill it paragraph by paragraph,
+    // keeping the heading with the first of them
+    chunk = null;
+    let part = 1;
+    let heading = section.title ? section.paragraphs[0] : "";
+    for (const paragraph of section.paragraphs.slice(heading ? 1 : 0)) {
+      for (const piece of estimateTokens(paragraph) > budget ? splitLongText(paragraph, budget) : [paragraph]) {
+        const before = chunk;
+        add(section.title && `${section.title} (parte ${part})`, heading ? `${heading}\n${piece}` : piece);
+        heading = "";
+        if (chunk !== before) part++;
+      }
+    }
+    chunk = null;
+  }
+  return chunks.map((c, index) => {
+    const { titles } = c;
+    let title = titles.length > 1 ? `${titles[0]} … ${titles[titles.length - 1]}` : titles[0];
+    if (!title) title = index === 0 ? "Início do documento" : `Trecho ${index + 1}`;
+    return { index, title, text: c.text };
+  });
+}
+
+function normalizeQuote(quote) {
+  return quote.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// Merge the findings of all sections, dropping duplicates: the same
+// problem reported by two sections (e.g. a passage repeated in both) keeps
+// only the most severe (or, on a tie, the best explained) of the reports.
+// Findings are the same when they come from different sections, have the
+// same category (and rule, for rule-based ones) and the same passage, or
+// passages containing one another with the same explanation. Findings of
+// one section, or of the rules (which check the whole document at once),
+// are never merged with each other: a short passage inside a longer one
+// may well have a different problem. The result is ordered by severity
+// and numbered again.
+export function mergeFindings(findings) {
+  const kept = [];
+  for (const finding of findings) {
+    const quote = normalizeQuote(finding.quote);
+    const explanation = normalizeQuote(finding.explanation);
+    const index = kept.findIndex((other) => {
+      if (other.category !== finding.category || other.rule !== finding.rule) return false;
+      if (finding.section === undefined || other.section === undefined || other.section === finding.section) return false;
+      const otherQuote = normalizeQuote(other.quote);
+      if (otherQuote === quote) return true;
+      return (otherQuote.includes(quote) || quote.includes(otherQuote)) && normalizeQuote(other.explanation) === explanation;
+    });
+    if (index < 0) {
+      kept.push(finding);
+      continue;
+    }
+    const other = kept[index];
+    const better = SEVERITY_RANK[finding.severity] < SEVERITY_RANK[other.severity] ||
+      (finding.severity === other.severity && finding.explanation.length > other.explanation.length);
+    if (better) kept[index] = finding;
+  }
+  return kept
+    .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity])
+    .map((finding, i) => ({ ...finding, id: `f${i + 1}` }));
+}
+
+// One summary for the whole document from the sections' summaries. Falls
+// back to listing them if the model call fails. `callOptions` ({ signal,
+// audit }) are passed on to createChatCompletion.
+async function consolidateSummary(clientRecord, sections, callOptions) {
+  const summaries = sections.filter((s) => s.summary);
+  if (summaries.length <= 1) {
+    return summaries.length === 1 ? summaries[0].summary : "";
+  }
+  const listing = summaries.map((s) => `Seção "${s.title}":\n${s.summary}`).join("\n\n");
+  try {
+    const completion = await createChatCompletion(clientRecord, "analyze", [
+      {
+        role: "system",
+        content: "Você é um revisor jurídico sênior. Consolide as avaliações parciais de um mesmo documento, feitas seção por seção, em uma única visão geral da qualidade do documento, em até dois parágrafos, sem repetir pontos e sem marcadores.",
+      },
+      { role: "user", content: listing },
+    ], callOptions);
+    return completionText(completion, listing);
+  } catch (err) {
+    if (callOptions.signal && callOptions.signal.aborted) throw err;
+    console.error(`Could not consolidate analysis summary: ${err.message}`);
+    return listing;
+  }
+}
+
+// Analyze a document section by section and merge the results (see the
+// top of this file). `onProgress(event, payload)` is called with
+// "sections" ({ total, titles }) once the document is split, then
+// "section" ({ index, title }) before each section and "section_done"
+// ({ index, findings }) or "section_error" ({ index, error }) after it.
+// `signal` aborts the remaining work, and the model calls are added to
+// `audit` (see audit.js). Throws if every section failed.
+export async function analyzeDocument(clientRecord, paragraphs, { signal, audit, onProgress = () => {} } = {}) {
+  const budget = Math.max(
+    Math.min(promptBudget(clientRecord, "analyze") - estimateTokens(ANALYSIS_PROMPT) - 100, MAX_SECTION_TOKENS),
+    MIN_SECTION_TOKENS
+  );
+  const chunks = splitSections(paragraphs, budget);
+  const ruleFindings = lintDocument(paragraphs, clientRecord.lint);
+  onProgress("sections", { total: chunks.length, titles: chunks.map((c) => c.title) });
+
+  const sections = [];
+  const failedSections = [];
+  let findings = [];
+  let discarded = 0;
+  let fatalError = null;
+  let firstError = null;
+  for (const chunk of chunks) {
+    const { index, title } = chunk;
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error("Analysis aborted");
+    }
+    if (fatalError) {
+      // No point in calling the model again once the quota is used up, the
+      // key was rejected or the provider is down
+      failedSections.push({ index, title, error: fatalError.message });
+      sections.push({ index, title, status: "failed", findings: 0 });
+      onProgress("section_error", { index, title, error: fatalError.message });
+      continue;
+    }
+    onProgress("section", { index, title });
+    try {
+      const completion = await createChatCompletion(clientRecord, "analyze", [
+        { role: "system", content: ANALYSIS_PROMPT },
+        {
+          role: "user",
+          content: chunks.length === 1
+            ? `Aqui está o texto do documento para análise:\n\n${chunk.text}`
+            : `Aqui está a seção ${index + 1} de ${chunks.length} ("${title}") do documento para análise. Analise apenas esta seção:\n\n${chunk.text}`,
+        },
+      ], { signal, audit });
+      const report = parseAnalysis(completionText(completion, ""), chunk.text);
+      findings = findings.concat(report.findings.map((f) => ({ ...f, section: index })));
+      discarded += report.discarded;
+      sections.push({ index, title, status: "done", findings: report.findings.length, summary: report.summary });
+      onProgress("section_done", { index, title, findings: report.findings.length });
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      // A single failed call must not lose the other sections' findings
+      firstError = firstError || err;
+      if (err instanceof QuotaExceededError || (err instanceof UpstreamError && err.code !== "context_too_long")) {
+        fatalError = err;
+      } else {
+        console.error(`Analysis of section ${index + 1} failed: ${err.message}`);
+      }
+      failedSections.push({ index, title, error: err.message });
+      sections.push({ index, title, status: "failed", findings: 0 });
+      onProgress("section_error", { index, title, error: err.message });
+    }
+  }
+
+  if (failedSections.length === chunks.length) {
+    // Surface the original error (e.g. QuotaExceededError becomes a 429)
+    if (fatalError || firstError instanceof UpstreamError) throw fatalError || firstError;
+    throw new Error(`Analysis failed: ${failedSections[0].error}`);
+  }
+  const summary = await consolidateSummary(clientRecord, sections, { signal, audit });
+  const merged = mergeFindings(ruleFindings.concat(findings));
+  return {
+    summary,
+    findings: merged,
+    ruleFindings: merged.filter((finding) => finding.rule).length,
+    discarded,
+    sections: sections.map(({ index, title, status, findings: count }) => ({ index, title, status, findings: count })),
+    failedSections,
+  };
+}
@@ -0,0 +1,212 @@
+import { createHash } from "crypto";
+import { db } from "./db.js";
+
+// Audit log of the AI routes (/api/ia, /api/analyze, /api/configure,
+// /api/deadlines, /api/compare, /api/templates/generate) and of API key
+// changes (/api/save-key), stored in the `audit_log` table (see db.js).
+// Each entry records when, by whom (for clients with named users, see
+// users.js) and what was asked, with which persona and model, how long it
+// took, the tokens used, the outcome and SHA-256 hashes of the request and
+// response content. The content itself is only stored for tenants that
+// opt in:
+//
+//   "audit": {
+//     "storeContent": true,      // default false: hashes only
+//     "retentionDays": 730       // default AUDIT_RETENTION_DAYS (365)
+//   }
+//
+// Entries older than the retention period are deleted by purgeAuditLog,
+// which the server runs at startup and once a day.
+
+export const AUDITED_ROUTES = ["/api/ia", "/api/analyze", "/api/configure", "/api/save-key", "/api/deadlines",
+  "/api/compare", "/api/templates/generate"];
+export const AUDIT_FORMATS = ["csv", "jsonl"];
+
+const DEFAULT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUDIT_COLUMNS = [
+  "createdAt",
+  "route",
+  "username",
+  "personaId",
+  "personaName",
+  "model",
+  "latencyMs",
+  "promptTokens",
+  "completionTokens",
+  "outcome",
+  "error",
+  "requestHash",
+  "responseHash",
+  "requestContent",
+  "responseContent",
+];
+
+function hash(content) {
+  return content ? createHash("sha256").update(content).digest("hex") : null;
+}
+
+// Start the audit entry of a request. The route fills it in with `set`
+// ({ persona, request, response }) and `fail` (a streamed error);
+// createChatCompletion adds the model and tokens of each LLM call with
+// `addUsage`. `save` writes it once the response has ended. `user` is the
+// user who made the call, or null.
+export function startAudit(clientRecord, route, user = null) {
+  const startedAt = Date.now();
+  const models = new Set();
+  const entry = {
+    persona: null,
+    request: null,
+    response: null,
+    error: null,
+    promptTokens: 0,
+    completionTokens: 0,
+  };
+  let saved = false;
+
+  return {
+    set(fields) {
+      Object.assign(entry, fields);
+    },
+    fail(message) {
+      entry.error = message;
+    },
+    addUsage(model, promptTokens, completionTokens) {
+      models.add(model);
+      entry.promptTokens += promptTokens || 0;
+      entry.completionTokens += completionTokens || 0;
+    },
+    // `status` is the HTTP status of the response, and `finished` whether
+    // it was sent completely (false when the client went away).
+    save(status, finished) {
+      if (saved) return;
+      saved = true;
+      let outcome = "ok";
+      if (!finished) outcome = "cancelled";
+      else if (status >= 400 || entry.error) outcome = "error";
+      const storeContent = Boolean(clientRecord.audit && clientRecord.audit.storeContent);
+      db.prepare(`
+        INSERT INTO audit_log (tenant_id, created_at, route, username, persona_id, persona_name, model, latency_ms,
+          prompt_tokens, completion_tokens, outcome, error, request_hash, response_hash,
+          request_content, response_content)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        clientRecord.id,
+        new Date(startedAt).toISOString(),
+        route,
+        user ? user.username : null,
+        entry.persona ? entry.persona.id : null,
+        entry.persona ? entry.persona.name : null,
+        models.size > 0 ? [...models].join(",") : null,
+        Date.now() - startedAt,
+        entry.promptTokens,
+        entry.completionTokens,
+        outcome,
+        entry.error,
+        hash(entry.request),
+        hash(entry.response),
+        storeContent ? entry.request : null,
+        storeContent ? entry.response : null
+      );
+    },
+  };
+}
+
+// Express middleware for the audited routes: starts the entry in
+// `req.audit` and saves it when the response ends or the client goes
+// away. Error messages sent with res.json are recorded with the entry.
+export function auditRoute(route) {
+  return (req, res, next) => {
+    const audit = startAudit(req.client, route, req.user);
+    req.audit = audit;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.error) audit.fail(body.error);
+      return json(body);
+    };
+    res.on("close", () => {
+      try {
+        audit.save(res.statusCode, res.writableFinished);
+      } catch (err) {
+        // The audit must never break the request itself
+        console.error(`Could not record audit entry: ${err.message}`);
+      }
+    });
+    next();
+  };
+}
+
+// The client's audit entries between two days (YYYY-MM-DD, inclusive),
+// oldest first, optionally only for one route (e.g. "/api/ia").
+export function listAuditEntries(clientId, from, to, route) {
+  return db.prepare(`
+    SELECT created_at AS createdAt, route, username, persona_id AS personaId, persona_name AS personaName, model,
+      latency_ms AS latencyMs, prompt_tokens AS promptTokens, completion_tokens AS completionTokens,
+      outcome, error, request_hash AS requestHash, response_hash AS responseHash,
+      request_content AS requestContent, response_content AS responseContent
+    FROM audit_log
+    WHERE tenant_id = ? AND substr(created_at, 1, 10) BETWEEN ? AND ? AND (? IS NULL OR route = ?)
+    ORDER BY id
+  `).all(clientId, from, to, route || null, route || null);
+}
+
+// Quote a CSV field. Fields that a spreadsheet would run as a formula are
+// prefixed with an apostrophe.
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === "string") text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function auditToCsv(entries) {
+  const lines = [AUDIT_COLUMNS.join(",")];
+  for (const entry of entries) {
+    lines.push(AUDIT_COLUMNS.map((column) => csvField(entry[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function auditToJsonl(entries) {
+  return entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+}
+
+// Delete the entries older than each tenant's retention period. Entries
+// of deleted tenants follow the default period. Returns how many were
+// deleted.
+export function purgeAuditLog(clients) {
+  const now = Date.now();
+  const cutoff = (days) => new Date(now - days * DAY_MS).toISOString();
+  let deleted = 0;
+  const custom = [];
+  for (const clientRecord of clients) {
+    const days = clientRecord.audit && Number(clientRecord.audit.retentionDays);
+    if (days > 0) {
+      custom.push(clientRecord.id);
+      deleted += db.prepare("DELETE FROM audit_log WHERE tenant_id = ? AND created_at < ?")
+        .run(clientRecord.id, cutoff(days)).changes;
+    }
+  }
+  const placeholders = custom.map(() => "?").join(",");
+  deleted += db.prepare(`
+    DELETE FROM audit_log WHERE created_at < ?${custom.length > 0 ? ` AND tenant_id NOT IN (${placeholders})` : ""}
+  `).run(cutoff(DEFAULT_RETENTION_DAYS), ...custom).changes;
+  return deleted;
+}
+
+// Returns an error message for invalid `audit` settings, or null.
+export function validateAuditSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "audit must be an object";
+  }
+  if (settings.storeContent !== undefined && typeof settings.storeContent !== "boolean") {
+    return "audit.storeContent must be true or false";
+  }
+  if (settings.retentionDays !== undefined &&
+      (!Number.isInteger(settings.retentionDays) || settings.retentionDays < 1)) {
+    return "audit.retentionDays must be a positive whole number of days";
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "crypto";
+
+// Client authentication primitives.
+//
+// Client secrets are stored in the tenant records as scrypt hashes
+// (`secretHash: "scrypt$<salt>$<hash>"`, base64url). The task pane presents
+// the secret once to /api/login and receives a short-lived access token plus
+// a refresh token. Tokens are HMAC-SHA256 signed with SESSION_SECRET and
+// look like `<payload>.<signature>` (both base64url), where the payload is:
+//
+//   { "sub": "<clientId>", "typ": "access" | "refresh", "sv": "<secret version>",
+//     "uid": "<user id>", "uv": "<password version>",
+//     "iat": <unix seconds>, "exp": <unix seconds> }
+//
+// `sv` is derived from the client's secret hash, so rotating a client's
+// secret invalidates every token issued with the old one. `uid` and `uv`
+// are only present for clients with named users (see users.js); `uv` is
+// derived the same way from the user's password hash.
+
+const ACCESS_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 15 * 60;
+const REFRESH_TTL_SECONDS = Number(process.env.REFRESH_TTL_SECONDS) || 24 * 60 * 60;
+
+// Without SESSION_SECRET a random key is used, so sessions do not survive
+// a restart (the task pane simply logs in again). Resolved on first use so
+// tools that only hash secrets (admin-cli.js) do not need it.
+let signingKey = null;
+function getSigningKey() {
+  if (!signingKey) {
+    signingKey = process.env.SESSION_SECRET;
+    if (!signingKey) {
+      console.warn("SESSION_SECRET not set; using a random key. Sessions will be invalidated on restart.");
+      signingKey = randomBytes(32).toString("hex");
+    }
+  }
+  return signingKey;
+}
+
+// Thrown by verifyToken. `code` is "token_expired" or "invalid_token".
+export class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+// Hash a client secret for storage in the tenant record.
+export function hashSecret(secret) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(secret, salt, 32);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+// Constant-time check of a presented secret against a stored hash.
+export function verifySecret(secret, secretHash) {
+  const [scheme, salt, hash] = (secretHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "base64url");
+  const actual = scryptSync(String(secret), Buffer.from(salt, "base64url"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Burn the same time as verifySecret when the client id is unknown, so
+// response times do not reveal which ids exist.
+const DUMMY_HASH = hashSecret(randomBytes(16).toString("hex"));
+export function verifyAgainstDummy(secret) {
+  verifySecret(secret, DUMMY_HASH);
+  return false;
+}
+
+// Short fingerprint of the stored secret hash, embedded in tokens.
+export function secretVersion(secretHash) {
+  return createHmac("sha256", getSigningKey()).update(secretHash || "").digest("base64url").slice(0, 12);
+}
+
+function sign(payload) {
+  return createHmac("sha256", getSigningKey()).update(payload).digest("base64url");
+}
+
+function issueToken(clientRecord, user, typ, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: clientRecord.id,
+    typ,
+    sv: secretVersion(clientRecord.secretHash),
+    uid: user ? user.id : undefined,
+    uv: user ? secretVersion(user.passwordHash) : undefined,
+    iat: now,
+    exp: now + ttl,
+  })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+// Issue a new access/refresh token pair for an authenticated client and,
+// for clients with named users, the user who logged in.
+export function createSession(clientRecord, user = null) {
+  return {
+    accessToken: issueToken(clientRecord, user, "access", ACCESS_TTL_SECONDS),
+    refreshToken: issueToken(clientRecord, user, "refresh", REFRESH_TTL_SECONDS),
+    expiresIn: ACCESS_TTL_SECONDS,
+  };
+}
+
+// Verify a token's signature, type and expiry and return its payload.
+// Throws AuthError. Callers must still check `sv` against the client (and
+// `uv` against the user).
+export function verifyToken(token, typ) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) {
+    throw new AuthError("Malformed token", "invalid_token");
+  }
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new AuthError("Invalid token signature", "invalid_token");
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch (err) {
+    throw new AuthError("Malformed token", "invalid_token");
+  }
+  if (claims.typ !== typ) {
+    throw new AuthError(`Wrong token type (expected ${typ})`, "invalid_token");
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new AuthError("Token expired", "token_expired");
+  }
+  return claims;
+}
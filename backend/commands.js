@@ -0,0 +1,149 @@
+import { randomUUID } from "crypto";
+import { db } from "./db.js";
+
+// Per-tenant library of reusable commands, stored in the `commands` table
+// (see db.js). A command looks like:
+//
+//   {
+//     "id": "<uuid>",
+//     "name": "Contestação",
+//     "template": "Redija uma contestação em favor de {{parte_re}} contra {{parte_autora}} com base em: {{selecao}}",
+//     "mode": "after",                  // default insertion mode in the pane
+//     "model": "gpt-4o",                // optional model override, or null
+//     "variables": ["parte_re", "parte_autora", "selecao"],
+//     "createdAt": "...",
+//     "updatedAt": "..."
+//   }
+//
+// `{{selecao}}` is filled with the text selected in Word; the task pane
+// asks the user for the other variables before running the command.
+
+export const COMMAND_MODES = ["replace", "after", "chat", "revise"];
+export const SELECTION_VARIABLE = "selecao";
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEMPLATE_LENGTH = 8000;
+
+// Names of the placeholders in a template, in order of first appearance.
+export function templateVariables(template) {
+  const names = [];
+  for (const [, name] of template.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Fill a template's placeholders from `values`. Throws if one is missing.
+export function renderTemplate(template, values) {
+  const missing = templateVariables(template).filter((name) => {
+    const value = values[name];
+    return typeof value !== "string" || (!value.trim() && name !== SELECTION_VARIABLE);
+  });
+  if (missing.length > 0) {
+    throw new Error(`Missing variables: ${missing.join(", ")}`);
+  }
+  return template.replace(VARIABLE_PATTERN, (_, name) => values[name]);
+}
+
+// Check the fields of a command being created or updated. Returns an error
+// message, or null if they are valid. With `partial`, absent fields are
+// not required.
+export function validateCommand({ name, template, mode, model }, partial = false) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `Command name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (template !== undefined || !partial) {
+    if (typeof template !== "string" || !template.trim() || template.length > MAX_TEMPLATE_LENGTH) {
+      return `Command template must be 1-${MAX_TEMPLATE_LENGTH} characters`;
+    }
+  }
+  if (mode !== undefined && !COMMAND_MODES.includes(mode)) {
+    return `Command mode must be one of ${COMMAND_MODES.join(", ")}`;
+  }
+  if (model !== undefined && model !== null && (typeof model !== "string" || !model.trim())) {
+    return "Command model must be a model name or null";
+  }
+  return null;
+}
+
+function toCommand(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    template: row.template,
+    mode: row.mode,
+    model: row.model,
+    variables: templateVariables(row.template),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function nameTaken(clientId, name, exceptId) {
+  return Boolean(db.prepare("SELECT 1 FROM commands WHERE tenant_id = ? AND name = ? AND id != ?")
+    .get(clientId, name, exceptId || ""));
+}
+
+// The client's commands, sorted by name.
+export function listCommands(clientId) {
+  return db.prepare("SELECT * FROM commands WHERE tenant_id = ? ORDER BY name COLLATE NOCASE")
+    .all(clientId)
+    .map(toCommand);
+}
+
+// Returns the command, or undefined if it does not exist or belongs to
+// another client.
+export function getCommand(clientId, commandId) {
+  const row = db.prepare("SELECT * FROM commands WHERE id = ? AND tenant_id = ?").get(commandId, clientId);
+  return row ? toCommand(row) : undefined;
+}
+
+// Create a command from validated fields (see validateCommand). Returns
+// null if the client already has a command with that name.
+export function createCommand(clientId, { name, template, mode, model }) {
+  if (nameTaken(clientId, name.trim())) {
+    return null;
+  }
+  const id = randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO commands (id, tenant_id, name, template, mode, model, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, clientId, name.trim(), template, mode || "replace", model ? model.trim() : null, now, now);
+  return getCommand(clientId, id);
+}
+
+// Change some fields of a command; `model: null` removes the override.
+// Returns the command, undefined if it does not exist, or null if the new
+// name is taken.
+export function updateCommand(clientId, commandId, fields) {
+  const command = getCommand(clientId, commandId);
+  if (!command) {
+    return undefined;
+  }
+  const name = fields.name !== undefined ? fields.name.trim() : command.name;
+  if (nameTaken(clientId, name, commandId)) {
+    return null;
+  }
+  db.prepare(`
+    UPDATE commands SET name = ?, template = ?, mode = ?, model = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ?
+  `).run(
+    name,
+    fields.template ?? command.template,
+    fields.mode ?? command.mode,
+    fields.model !== undefined ? (fields.model ? fields.model.trim() : null) : command.model,
+    new Date().toISOString(),
+    commandId,
+    clientId
+  );
+  return getCommand(clientId, commandId);
+}
+
+// Returns true if the command existed and was deleted.
+export function deleteCommand(clientId, commandId) {
+  return db.prepare("DELETE FROM commands WHERE id = ? AND tenant_id = ?").run(commandId, clientId).changes > 0;
+}
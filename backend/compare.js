@@ -0,0 +1,365 @@
+import { createChatCompletion, completionText, estimateTokens, promptBudget } from "./llm.js";
+import { FINDING_SEVERITIES, looksLikeHeading, extractJson, canonical } from "./analysis.js";
+import { numberedItems } from "./lint.js";
+import { terms } from "./knowledge.js";
+
+// Comparison of two versions of a document for /api/compare: the document
+// open in Word and another version of it (an uploaded .docx, such as the
+// other party's redline, or a snapshot saved earlier; see snapshots.js).
+//
+// diffVersions splits both versions into clauses (at headings and at
+// clause and item numbers, see lint.js) and aligns them by the similarity
+// of their terms, so clauses that were renumbered or slightly reworded are
+// still matched; within a changed clause only the paragraphs that differ
+// are kept. summarizeChanges then asks the model, clause by clause, what
+// changed, its legal effect and whom it favors. The report looks like:
+//
+//   {
+//     "summary": "Visão geral das alterações...",
+//     "changes": [
+//       {
+//         "id": "c1",
+//         "type": "modified",             // added | removed | modified | moved
+//         "title": "3.2 Do prazo de entrega",
+//         "before": "<changed paragraphs in the earlier version>",
+//         "after": "<changed paragraphs in the later version>",
+//         "paragraphs": [12, 13],         // affected paragraphs of the document open in Word
+//         "anchor": 12,                   // where the change is in that document
+//         "summary": "O prazo passou de 30 para 60 dias...",
+//         "favors": "Locatária",          // the party it favors, or "neutro"
+//         "impact": "alta"                // alta | media | baixa
+//       }
+//     ],
+//     "unchanged": 14                     // clauses equal in both versions
+//   }
+//
+// Paragraph numbers are positions in the document's paragraphs as the
+// pane sent them (empty paragraphs included), so the pane can select them.
+
+// Clauses sharing less than this fraction of their terms are not aligned
+const MIN_SIMILARITY = 0.35;
+// A removed and an added clause this similar are the same clause, moved
+const MOVED_SIMILARITY = 0.9;
+// More changed clauses than this, and the versions are likely not of the
+// same document
+export const MAX_CHANGES = Number(process.env.COMPARE_MAX_CHANGES) || 150;
+// Larger versions are not compared: aligning them takes time and memory
+// growing with the product of their sizes. Paragraphs are capped at 65535,
+// the most the 16-bit table of changedParagraphs can count.
+export const MAX_PARAGRAPHS = Math.min(Number(process.env.COMPARE_MAX_PARAGRAPHS) || 3000, 65535);
+export const MAX_CLAUSES = Number(process.env.COMPARE_MAX_CLAUSES) || 1000;
+const MAX_TITLE_LENGTH = 80;
+
+const CHANGE_LABELS = {
+  added: "Cláusula incluída",
+  removed: "Cláusula excluída",
+  modified: "Cláusula alterada",
+  moved: "Cláusula movida",
+};
+
+const COMPARE_PROMPT = `
+Você é um advogado sênior, especialista em negociação de contratos e em revisão de peças jurídicas.
+Você receberá as diferenças entre duas versões de um mesmo documento, cláusula por cláusula, cada uma identificada por um id entre colchetes, com o texto da versão anterior e o da versão nova.
+Para cada alteração, explique objetivamente o que mudou e qual o seu efeito jurídico, diga qual parte ela favorece e avalie o impacto.
+
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois e sem blocos de código, no formato:
+{
+  "summary": "visão geral das alterações da versão anterior para a nova e de seu impacto jurídico, em até dois parágrafos",
+  "changes": [
+    {
+      "id": "c1",
+      "summary": "o que mudou e o seu efeito jurídico",
+      "favors": "nome da parte favorecida pela alteração (ex: Locadora, Contratante), ou \\"neutro\\"",
+      "impact": "alta" | "media" | "baixa"
+    }
+  ]
+}
+
+Inclua todas as alterações recebidas. Alterações apenas de redação, sem efeito jurídico, são "neutro" e de impacto "baixa".
+`.trim();
+
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function shorten(text, length = MAX_TITLE_LENGTH) {
+  const line = normalize(text);
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+// Normalize paragraphs ([{ text, heading }]) keeping their position in the
+// document as `index`, and drop the empty ones.
+export function indexParagraphs(paragraphs) {
+  return (Array.isArray(paragraphs) ? paragraphs : [])
+    .map((p, index) => ({ text: String((p && p.text) || ""), heading: Number(p && p.heading) || 0, index }))
+    .filter((p) => p.text.trim());
+}
+
+// Group paragraphs into clauses: a clause starts at a heading, a numbered
+// clause or item ("3.2", "Cláusula 5ª", "II -") or a line that looks like
+// a heading, and runs until the next one.
+function splitClauses(paragraphs) {
+  const numbered = new Set(numberedItems(paragraphs).filter((item) => item.kind !== "letter").map((item) => item.paragraph));
+  const clauses = [];
+  paragraphs.forEach((p, position) => {
+    const text = p.text.trim();
+    const starts = p.heading > 0 || numbered.has(position) || looksLikeHeading(text);
+    if (starts || clauses.length === 0) {
+      clauses.push({ title: starts ? shorten(text) : "Início do documento", paragraphs: [] });
+    }
+    clauses[clauses.length - 1].paragraphs.push(p);
+  });
+  return clauses.map((clause) => {
+    const text = clause.paragraphs.map((p) => normalize(p.text)).join("\n");
+    return { ...clause, text, terms: new Set(terms(text)) };
+  });
+}
+
+// Share of the terms of two clauses they have in common (1 when their
+// text is the same).
+function similarity(a, b) {
+  if (a.text === b.text) return 1;
+  if (a.terms.size === 0 || b.terms.size === 0) return 0;
+  let shared = 0;
+  for (const term of a.terms) {
+    if (b.terms.has(term)) shared++;
+  }
+  return shared / (a.terms.size + b.terms.size - shared);
+}
+
+// Align the clauses of two versions keeping their order and maximizing the
+// total similarity of the pairs (a weighted longest common subsequence).
+// Returns the pairs [i, j] of aligned clauses.
+function alignClauses(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const similarities = new Float64Array(n * m);
+  const score = new Float64Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const s = similarity(before[i - 1], after[j - 1]);
+      similarities[(i - 1) * m + (j - 1)] = s;
+      let best = Math.max(score[at(i - 1, j)], score[at(i, j - 1)]);
+      if (s >= MIN_SIMILARITY) best = Math.max(best, score[at(i - 1, j - 1)] + s);
+      score[at(i, j)] = best;
+    }
+  }
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    const s = similarities[(i - 1) * m + (j - 1)];
+    if (s >= MIN_SIMILARITY && score[at(i, j)] === score[at(i - 1, j - 1)] + s) {
+      pairs.unshift([i - 1, j - 1]);
+      i--;
+      j--;
+    } else if (score[at(i, j)] === score[at(i - 1, j)]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return pairs;
+}
+
+// The paragraphs of two versions of a clause that differ: those outside
+// the longest common subsequence of their (normalized) texts.
+function changedParagraphs(before, after) {
+  const a = before.map((p) => normalize(p.text));
+  const b = after.map((p) => normalize(p.text));
+  // lengths[i][j], flattened: at most MAX_PARAGRAPHS (65535), so 16 bits suffice
+  const lengths = new Uint16Array((a.length + 1) * (b.length + 1));
+  const at = (i, j) => i * (b.length + 1) + j;
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[at(i, j)] = a[i] === b[j] ? lengths[at(i + 1, j + 1)] + 1 : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+  const removed = [];
+  const added = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[at(i, j + 1)] >= lengths[at(i + 1, j)])) {
+      added.push(after[j++]);
+    } else {
+      removed.push(before[i++]);
+    }
+  }
+  return { removed, added };
+}
+
+const joinText = (paragraphs) => paragraphs.map((p) => p.text.trim()).join("\n");
+
+// Structural diff of the document open in Word (`current`, paragraphs as
+// the pane sends them) and another version of it (`other`). With
+// `otherIsNewer` the other version is the later one (e.g. the other
+// party's redline); otherwise it is the earlier one. Returns { changes,
+// unchanged } with the changes in document order, not yet summarized, or
+// { error, code } when the versions are too large to compare
+// (`document_too_large`) or cannot be versions of the same document
+// (`versions_unrelated`).
+export function diffVersions(current, other, { otherIsNewer = false } = {}) {
+  const currentParagraphs = indexParagraphs(current);
+  const otherParagraphs = indexParagraphs(other);
+  if (Math.max(currentParagraphs.length, otherParagraphs.length) > MAX_PARAGRAPHS) {
+    return {
+      error: `The versions may have at most ${MAX_PARAGRAPHS} non-empty paragraphs each`,
+      code: "document_too_large",
+    };
+  }
+  const currentClauses = splitClauses(currentParagraphs);
+  const otherClauses = splitClauses(otherParagraphs);
+  if (Math.max(currentClauses.length, otherClauses.length) > MAX_CLAUSES) {
+    return { error: `The versions may have at most ${MAX_CLAUSES} clauses each`, code: "document_too_large" };
+  }
+  // Every clause one version has beyond the other's is a change
+  if (Math.abs(currentClauses.length - otherClauses.length) > MAX_CHANGES) {
+    return {
+      error: `The versions differ in more than ${MAX_CHANGES} clauses; they may not be versions of the same document`,
+      code: "versions_unrelated",
+    };
+  }
+  const before = otherIsNewer ? currentClauses : otherClauses;
+  const after = otherIsNewer ? otherClauses : currentClauses;
+  const pairs = alignClauses(before, after);
+
+  // Walk both versions in order: aligned pairs, with the clauses only one
+  // of them has in between
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of pairs.concat([[before.length, after.length]])) {
+    while (i < pi) entries.push({ type: "removed", before: before[i++], after: null });
+    while (j < pj) entries.push({ type: "added", before: null, after: after[j++] });
+    if (pi < before.length) {
+      const same = before[pi].text === after[pj].text;
+      entries.push({ type: same ? "unchanged" : "modified", before: before[pi], after: after[pj] });
+    }
+    i = pi + 1;
+    j = pj + 1;
+  }
+
+  // A clause removed in one place and added, (nearly) unchanged, in another
+  // was moved
+  for (const entry of entries) {
+    if (entry.type !== "added") continue;
+    const removed = entries.find((e) => e.type === "removed" && similarity(e.before, entry.after) >= MOVED_SIMILARITY);
+    if (removed) {
+      entry.type = "moved";
+      entry.before = removed.before;
+      removed.type = "merged";
+    }
+  }
+
+  // The entry's clause in the document open in Word, if it has one
+  const currentSide = (entry) => (otherIsNewer ? entry.before : entry.after);
+  const kept = entries.filter((entry) => entry.type !== "merged");
+  const changes = [];
+  kept.forEach((entry, position) => {
+    if (entry.type === "unchanged") return;
+    let removed = entry.before ? entry.before.paragraphs : [];
+    let added = entry.after ? entry.after.paragraphs : [];
+    if (entry.type === "modified" || entry.type === "moved") {
+      ({ removed, added } = changedParagraphs(removed, added));
+    }
+    const clause = currentSide(entry);
+    let paragraphs = (otherIsNewer ? removed : added).map((p) => p.index);
+    if (clause && paragraphs.length === 0) {
+      // Only the other version has paragraphs that changed (e.g. one was
+      // removed from the clause): point to the clause
+      paragraphs = [clause.paragraphs[0].index];
+    }
+    // Changes absent from the document point to where they would be
+    const next = kept.slice(position + 1).find(currentSide);
+    const previous = kept.slice(0, position).reverse().find(currentSide);
+    let anchor = paragraphs.length > 0 ? paragraphs[0] : null;
+    if (anchor === null && next) anchor = currentSide(next).paragraphs[0].index;
+    if (anchor === null && previous) {
+      const last = currentSide(previous).paragraphs;
+      anchor = last[last.length - 1].index;
+    }
+    changes.push({
+      id: `c${changes.length + 1}`,
+      type: entry.type,
+      title: (entry.after || entry.before).title,
+      before: joinText(removed),
+      after: joinText(added),
+      paragraphs,
+      anchor,
+    });
+  });
+  return { changes, unchanged: kept.filter((entry) => entry.type === "unchanged").length };
+}
+
+function cut(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)} […]` : text;
+}
+
+function describeChange(change, maxChars) {
+  let text = `[${change.id}] ${CHANGE_LABELS[change.type]}: "${change.title}"`;
+  if (change.before) text += `\nVersão anterior:\n${cut(change.before, maxChars)}`;
+  if (change.after) text += `\nVersão nova:\n${cut(change.after, maxChars)}`;
+  return text;
+}
+
+// Ask the model about the changes of diffVersions, in as few calls as fit
+// the context window, and add its `summary`, `favors` and `impact` to each
+// of them. `party` (optional) is the party the user represents. Returns
+// { summary, changes }. `signal` and `audit` are passed on to
+// createChatCompletion.
+export async function summarizeChanges(clientRecord, changes, { party, signal, audit } = {}) {
+  if (changes.length === 0) {
+    return { summary: "As duas versões têm o mesmo texto.", changes };
+  }
+  const system = party
+    ? `${COMPARE_PROMPT}\nO usuário representa a parte "${party}"; use esse nome em "favors" quando a alteração a favorecer.`
+    : COMPARE_PROMPT;
+  const budget = Math.max(promptBudget(clientRecord, "compare") - estimateTokens(system) - 200, 500);
+  // Each side of a change gets at most a third of a call
+  const maxChars = Math.floor((budget * 4) / 3);
+
+  const batches = [];
+  let batch = null;
+  for (const change of changes) {
+    const text = describeChange(change, maxChars);
+    if (!batch || estimateTokens(`${batch.text}\n\n${text}`) > budget) {
+      batch = { text, ids: [] };
+      batches.push(batch);
+    } else {
+      batch.text += `\n\n${text}`;
+    }
+    batch.ids.push(change.id);
+  }
+
+  const results = new Map();
+  const summaries = [];
+  for (const { text } of batches) {
+    const completion = await createChatCompletion(clientRecord, "compare", [
+      { role: "system", content: system },
+      { role: "user", content: text },
+    ], { signal, audit });
+    const report = extractJson(completionText(completion, ""));
+    if (report.summary) summaries.push(String(report.summary).trim());
+    for (const item of Array.isArray(report.changes) ? report.changes : []) {
+      if (item && typeof item.id === "string") results.set(item.id, item);
+    }
+  }
+
+  return {
+    summary: summaries.join("\n\n"),
+    changes: changes.map((change) => {
+      const result = results.get(change.id) || {};
+      return {
+        ...change,
+        summary: String(result.summary || "").trim(),
+        favors: String(result.favors || "").trim(),
+        impact: canonical(result.impact, FINDING_SEVERITIES) || "media",
+      };
+    }),
+  };
+}
@@ -0,0 +1,304 @@
+import Database from "better-sqlite3";
+import path from "path";
+
+// Embedded SQLite database holding all backend state: tenants and their
+// users, assistant personas, commands, conversation threads, knowledge
+// base, document snapshots and templates, analysis reports, token usage
+// and audit logs. Writes go through transactions, so concurrent requests
+// can no longer overwrite each other the way rewriting whole JSON files
+// did.
+//
+// The schema is versioned with `PRAGMA user_version`. Each entry of
+// MIGRATIONS upgrades the schema by one version and runs in its own
+// transaction; to change the schema, append a new entry (never edit an
+// existing one).
+const databasePath = process.env.DATABASE_PATH || path.join(process.cwd(), "data.db");
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE tenants (
+    id TEXT PRIMARY KEY,
+    secret_hash TEXT NOT NULL,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    addin_id TEXT,
+    created_at TEXT NOT NULL,
+    -- JSON: openaiApiKey (encrypted), provider, model, operations, quota
+    config TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE TABLE assistants (
+    tenant_id TEXT PRIMARY KEY REFERENCES tenants(id) ON DELETE CASCADE,
+    prompt TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE threads (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    title TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX threads_by_tenant ON threads(tenant_id, updated_at);
+
+  CREATE TABLE thread_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    thread_id TEXT NOT NULL REFERENCES threads(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    display TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX thread_messages_by_thread ON thread_messages(thread_id, id);
+
+  -- Usage is kept after a tenant is deleted, for billing.
+  CREATE TABLE usage (
+    tenant_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    model TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (tenant_id, day, operation, model)
+  );
+
+  -- Key/value flags, e.g. whether the legacy JSON files were imported.
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  `,
+  // 2: command library
+  `
+  CREATE TABLE commands (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    template TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'replace',
+    model TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (tenant_id, name)
+  );
+  `,
+  // 3: named assistant personas with prompt history, replacing the single
+  // prompt per tenant (kept as a persona named "Padrão")
+  `
+  CREATE TABLE personas (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (tenant_id, name)
+  );
+
+  -- The highest version of a persona is its current prompt.
+  CREATE TABLE persona_versions (
+    persona_id TEXT NOT NULL REFERENCES personas(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    prompt TEXT NOT NULL,
+    -- optimized, manual, rollback or imported
+    source TEXT NOT NULL,
+    -- the role description given for an optimized version
+    raw_prompt TEXT,
+    -- the version a rollback copied
+    restored_from INTEGER,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (persona_id, version)
+  );
+
+  INSERT INTO personas (id, tenant_id, name, created_at, updated_at)
+    SELECT lower(hex(randomblob(16))), tenant_id, 'Padrão', updated_at, updated_at FROM assistants;
+  INSERT INTO persona_versions (persona_id, version, prompt, source, created_at)
+    SELECT personas.id, 1, assistants.prompt, 'imported', assistants.updated_at
+    FROM assistants JOIN personas ON personas.tenant_id = assistants.tenant_id;
+  DROP TABLE assistants;
+  `,
+  // 4: audit of personal data masked before LLM calls (see redaction.js);
+  // kept after a tenant is deleted, like usage
+  `
+  CREATE TABLE redactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    -- JSON: number of values masked by type, e.g. {"CPF": 2, "NOME": 1}
+    entities TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX redactions_by_tenant ON redactions(tenant_id, created_at);
+  `,
+  // 5: audit log of the AI routes (see audit.js); kept after a tenant is
+  // deleted until its retention period ends
+  `
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    route TEXT NOT NULL,
+    persona_id TEXT,
+    persona_name TEXT,
+    -- comma-separated when a request made calls with several models
+    model TEXT,
+    latency_ms INTEGER NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    -- ok, error or cancelled
+    outcome TEXT NOT NULL,
+    error TEXT,
+    -- SHA-256 of the content; the content only if the tenant opted in
+    request_hash TEXT,
+    response_hash TEXT,
+    request_content TEXT,
+    response_content TEXT
+  );
+  CREATE INDEX audit_log_by_tenant ON audit_log(tenant_id, created_at);
+  `,
+  // 6: knowledge base documents with their passages and BM25 index (see
+  // knowledge.js)
+  `
+  CREATE TABLE knowledge_documents (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunks INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (tenant_id, name)
+  );
+
+  CREATE TABLE knowledge_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id TEXT NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+    tenant_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    text TEXT NOT NULL,
+    -- number of index terms, for BM25 length normalization
+    length INTEGER NOT NULL
+  );
+  CREATE INDEX knowledge_chunks_by_tenant ON knowledge_chunks(tenant_id);
+
+  CREATE TABLE knowledge_postings (
+    tenant_id TEXT NOT NULL,
+    term TEXT NOT NULL,
+    chunk_id INTEGER NOT NULL REFERENCES knowledge_chunks(id) ON DELETE CASCADE,
+    tf INTEGER NOT NULL,
+    PRIMARY KEY (tenant_id, term, chunk_id)
+  ) WITHOUT ROWID;
+  CREATE INDEX knowledge_postings_by_chunk ON knowledge_postings(chunk_id);
+  `,
+  // 7: individual users with roles (see users.js); threads belong to the
+  // user who started them (NULL for threads of clients without users) and
+  // audit entries record who made the call
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    username TEXT NOT NULL,
+    name TEXT NOT NULL DEFAULT '',
+    -- admin or lawyer
+    role TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (tenant_id, username)
+  );
+
+  ALTER TABLE threads ADD COLUMN user_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+  CREATE INDEX threads_by_user ON threads(user_id);
+
+  ALTER TABLE audit_log ADD COLUMN username TEXT;
+  `,
+  // 8: saved versions of documents to compare against (see snapshots.js)
+  `
+  CREATE TABLE snapshots (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    -- JSON array of { text, heading }
+    paragraphs TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX snapshots_by_tenant ON snapshots(tenant_id, created_at);
+  `,
+  // 9: document analyses run as background jobs, kept as a history of
+  // reports (see jobs.js)
+  `
+  CREATE TABLE analysis_jobs (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
+    -- The id the pane stores in the document's properties, if any
+    document_id TEXT,
+    document_name TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    status TEXT NOT NULL,
+    -- JSON { total, done, failed, current }
+    progress TEXT NOT NULL,
+    -- JSON report of analyzeDocument, once done
+    report TEXT,
+    -- JSON { error, code, ... }, once failed
+    error TEXT,
+    created_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+  CREATE INDEX analysis_jobs_by_document ON analysis_jobs(tenant_id, document_id);
+  CREATE INDEX analysis_jobs_by_content ON analysis_jobs(tenant_id, content_hash);
+  `,
+  // 10: document templates with form fields (see templates.js)
+  `
+  CREATE TABLE document_templates (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL,
+    -- JSON arrays of { name, label, type, required } and { name, instructions }
+    fields TEXT NOT NULL,
+    sections TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (tenant_id, name)
+  );
+  `,
+];
+
+export const db = new Database(databasePath);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+// The admin CLI may write while the server is running
+db.pragma("busy_timeout = 5000");
+
+function migrate() {
+  const current = db.pragma("user_version", { simple: true });
+  for (let version = current + 1; version <= MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version - 1]);
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`Database migrated to schema version ${version}`);
+  }
+}
+migrate();
+
+// Run `fn` in a transaction and return its result. Nested calls join the
+// outer transaction.
+export function transaction(fn) {
+  return db.transaction(fn)();
+}
+
+export function getMeta(key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : undefined;
+}
+
+export function setMeta(key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+    .run(key, value);
+}
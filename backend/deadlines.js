@@ -0,0 +1,442 @@
+import { createChatCompletion, completionText } from "./llm.js";
+
+// Procedural deadline calculator for /api/deadlines. The model only reads
+// the intimation or publication pasted by the lawyer and extracts the
+// facts (act, date, kind of event, term stated in the text); the deadline
+// itself is counted here, following the CPC:
+//
+//  - only business days are counted (art. 219);
+//  - the day of the beginning is excluded and the day of the end included;
+//    counting starts on the first business day after the publication or
+//    intimation, and a publication in the DJe is considered made on the
+//    first business day after the information is made available (art.
+//    224, Lei 11.419/2006, art. 4º);
+//  - the course of the terms is suspended from 20 December to 20 January
+//    (art. 220);
+//  - terms are doubled for the Fazenda Pública, Ministério Público,
+//    Defensoria and joint parties with different lawyers in physical
+//    records (arts. 180, 183, 186 and 229), when the model or the lawyer
+//    says so.
+//
+// Besides weekends, the national holidays, Carnaval, Good Friday and
+// Corpus Christi are not business days. Each client can add the holidays
+// and suspensions of the courts it works with (see tenants.js):
+//
+//   "deadlines": {
+//     "defaultTribunal": "TJSP",
+//     "calendars": {
+//       "TJSP": {
+//         "holidays": ["01-25", { "date": "2026-06-05", "name": "Ponto facultativo" }],
+//         "suspensions": [{ "from": "2026-03-02", "to": "2026-03-04", "reason": "Indisponibilidade do sistema" }]
+//       }
+//     }
+//   }
+//
+// Dates are "YYYY-MM-DD", or "MM-DD" for every year (a suspension may
+// wrap around the new year). A result looks like:
+//
+//   {
+//     "actType": "apelacao", "actLabel": "Apelação", "basis": "CPC, art. 1.003, § 5º",
+//     "tribunal": "TJSP", "calendar": "TJSP",
+//     "eventType": "disponibilizacao", "eventDate": "2026-03-09",
+//     "publicationDate": "2026-03-10", "startDate": "2026-03-11",
+//     "termDays": 15, "doubled": false, "totalDays": 15,
+//     "dueDate": "2026-03-31",
+//     "skipped": [{ "date": "2026-03-14", "reason": "sábado" }],
+//     "steps": ["Disponibilização no DJe em 09/03/2026 (segunda-feira).", "..."]
+//   }
+
+export const EVENT_TYPES = ["disponibilizacao", "publicacao", "intimacao"];
+
+// Terms of the usual acts, used when the text does not state one.
+export const ACT_TERMS = {
+  contestacao: { label: "Contestação", days: 15, basis: "CPC, art. 335" },
+  replica: { label: "Réplica", days: 15, basis: "CPC, arts. 350 e 351" },
+  apelacao: { label: "Apelação", days: 15, basis: "CPC, art. 1.003, § 5º" },
+  contrarrazoes: { label: "Contrarrazões", days: 15, basis: "CPC, art. 1.003, § 5º" },
+  agravo_instrumento: { label: "Agravo de instrumento", days: 15, basis: "CPC, art. 1.003, § 5º" },
+  agravo_interno: { label: "Agravo interno", days: 15, basis: "CPC, arts. 1.003, § 5º, e 1.021" },
+  embargos_declaracao: { label: "Embargos de declaração", days: 5, basis: "CPC, art. 1.023" },
+  recurso_especial: { label: "Recurso especial", days: 15, basis: "CPC, art. 1.003, § 5º" },
+  recurso_extraordinario: { label: "Recurso extraordinário", days: 15, basis: "CPC, art. 1.003, § 5º" },
+  embargos_execucao: { label: "Embargos à execução", days: 15, basis: "CPC, art. 915" },
+  pagamento: { label: "Pagamento voluntário (cumprimento de sentença)", days: 15, basis: "CPC, art. 523" },
+  impugnacao_cumprimento: { label: "Impugnação ao cumprimento de sentença", days: 15, basis: "CPC, art. 525" },
+  manifestacao: { label: "Manifestação", days: 5, basis: "CPC, art. 218, § 3º" },
+};
+
+// Term when neither the text nor the act says otherwise
+const DEFAULT_TERM = { days: 5, basis: "CPC, art. 218, § 3º" };
+const MAX_TERM_DAYS = 365;
+// Safety bound on the days scanned for a deadline
+const MAX_SCAN_DAYS = 4 * 366;
+
+const WEEKDAYS = ["domingo", "segunda-feira", "terça-feira", "quarta-feira", "quinta-feira", "sexta-feira", "sábado"];
+
+const NATIONAL_HOLIDAYS = {
+  "01-01": "Confraternização Universal",
+  "04-21": "Tiradentes",
+  "05-01": "Dia do Trabalho",
+  "09-07": "Independência do Brasil",
+  "10-12": "Nossa Senhora Aparecida",
+  "11-02": "Finados",
+  "11-15": "Proclamação da República",
+  "12-25": "Natal",
+};
+
+// National holidays created recently, from the first year they applied
+const RECENT_NATIONAL_HOLIDAYS = [
+  // Lei 14.759/2023
+  { day: "11-20", name: "Dia Nacional de Zumbi e da Consciência Negra", since: 2024 },
+];
+
+// The name of the national holiday on `day` (YYYY-MM-DD), or undefined.
+function nationalHoliday(day) {
+  const monthDay = day.slice(5);
+  if (NATIONAL_HOLIDAYS[monthDay]) return NATIONAL_HOLIDAYS[monthDay];
+  const recent = RECENT_NATIONAL_HOLIDAYS.find((h) => h.day === monthDay && Number(day.slice(0, 4)) >= h.since);
+  return recent && recent.name;
+}
+
+// CPC, art. 220
+const RECESS = { from: "12-20", to: "01-20", reason: "suspensão de prazos do art. 220 do CPC" };
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Parse "YYYY-MM-DD" into a UTC date, or null if it is not a real date.
+export function parseDate(text) {
+  const match = DATE_PATTERN.exec(String(text || ""));
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return formatDate(date) === text ? date : null;
+}
+
+// True for a real date as "YYYY-MM-DD" or a day of every year as "MM-DD"
+// (29 February included).
+function isValidDay(text) {
+  if (typeof text !== "string") return false;
+  return Boolean(text.length === 5 ? parseDate(`2024-${text}`) : parseDate(text));
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// "09/03/2026 (segunda-feira)"
+function describeDate(date) {
+  const [year, month, day] = formatDate(date).split("-");
+  return `${day}/${month}/${year} (${WEEKDAYS[date.getUTCDay()]})`;
+}
+
+// Easter Sunday of a year (anonymous Gregorian algorithm).
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Holidays that move with Easter, by date, cached per year.
+const movableHolidays = new Map();
+
+function movableHolidaysOf(year) {
+  if (!movableHolidays.has(year)) {
+    const sunday = easter(year);
+    movableHolidays.set(year, new Map([
+      [formatDate(addDays(sunday, -48)), "Carnaval"],
+      [formatDate(addDays(sunday, -47)), "Carnaval"],
+      [formatDate(addDays(sunday, -2)), "Sexta-feira da Paixão"],
+      [formatDate(addDays(sunday, 60)), "Corpus Christi"],
+    ]));
+  }
+  return movableHolidays.get(year);
+}
+
+// Whether `day` ("YYYY-MM-DD") is the date given as "YYYY-MM-DD" or "MM-DD".
+function isDay(spec, day) {
+  return spec.length === 5 ? day.slice(5) === spec : day === spec;
+}
+
+// Whether `day` falls in a period { from, to } of full dates or of "MM-DD"
+// days of every year.
+function inPeriod({ from, to }, day) {
+  if (from.length === 10) return from <= day && day <= to;
+  const monthDay = day.slice(5);
+  return from <= to ? from <= monthDay && monthDay <= to : monthDay >= from || monthDay <= to;
+}
+
+// Why `date` is not a business day in `calendar` (see calendarFor), or
+// null if it is one.
+function nonBusinessReason(date, calendar) {
+  const day = formatDate(date);
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return WEEKDAYS[weekday];
+  if (inPeriod(RECESS, day)) return RECESS.reason;
+  const national = nationalHoliday(day);
+  if (national) return `feriado nacional (${national})`;
+  const movable = movableHolidaysOf(date.getUTCFullYear()).get(day);
+  if (movable) return movable;
+  const holiday = calendar.holidays.find((h) => isDay(h.date, day));
+  if (holiday) return `feriado${calendar.name ? ` no ${calendar.name}` : ""}${holiday.name ? ` (${holiday.name})` : ""}`;
+  const suspension = calendar.suspensions.find((s) => inPeriod(s, day));
+  if (suspension) return `suspensão de prazos${calendar.name ? ` no ${calendar.name}` : ""}${suspension.reason ? ` (${suspension.reason})` : ""}`;
+  return null;
+}
+
+// The first business day after `date`, recording the days skipped.
+function nextBusinessDay(date, calendar, skipped) {
+  let day = addDays(date, 1);
+  for (let i = 0; i < MAX_SCAN_DAYS; i++, day = addDays(day, 1)) {
+    const reason = nonBusinessReason(day, calendar);
+    if (!reason) return day;
+    skipped.push({ date: formatDate(day), reason });
+  }
+  throw new Error("No business day found in the calendar");
+}
+
+// The client's calendar for a court: { name, holidays, suspensions }.
+// `name` is null when the client has no calendar for it, so only the
+// national holidays and the CPC recess apply.
+export function calendarFor(clientRecord, tribunal) {
+  const calendars = (clientRecord.deadlines && clientRecord.deadlines.calendars) || {};
+  const key = tribunal && Object.keys(calendars).find((name) => name.toLowerCase() === String(tribunal).trim().toLowerCase());
+  if (!key) return { name: null, holidays: [], suspensions: [] };
+  const calendar = calendars[key];
+  return {
+    name: key,
+    holidays: (calendar.holidays || []).map((h) => (typeof h === "string" ? { date: h } : h)),
+    suspensions: calendar.suspensions || [],
+  };
+}
+
+// Names of the courts the client has calendars for, and its default court.
+export function listCalendars(clientRecord) {
+  const settings = clientRecord.deadlines || {};
+  return {
+    tribunals: Object.keys(settings.calendars || {}).sort(),
+    defaultTribunal: settings.defaultTribunal || null,
+  };
+}
+
+// The term of an act: the one stated in the text (`termDays`), else the
+// act's legal term, else the default of art. 218, § 3º.
+function resolveTerm(actType, termDays) {
+  const act = ACT_TERMS[actType];
+  if (termDays) return { days: termDays, basis: "prazo indicado na intimação" };
+  return act ? { days: act.days, basis: act.basis } : DEFAULT_TERM;
+}
+
+// Returns an error message for invalid deadline facts, or null.
+export function validateDeadlineFacts({ eventType, eventDate, termDays, actType, doubled }) {
+  if (!EVENT_TYPES.includes(eventType)) {
+    return `eventType must be one of ${EVENT_TYPES.join(", ")}`;
+  }
+  if (!parseDate(eventDate)) {
+    return "eventDate must be a date in YYYY-MM-DD format";
+  }
+  if (termDays !== undefined && termDays !== null &&
+      (!Number.isInteger(termDays) || termDays < 1 || termDays > MAX_TERM_DAYS)) {
+    return `termDays must be a whole number of days between 1 and ${MAX_TERM_DAYS}`;
+  }
+  if (actType !== undefined && actType !== null && actType !== "outro" && !ACT_TERMS[actType]) {
+    return `actType must be one of ${Object.keys(ACT_TERMS).join(", ")} or outro`;
+  }
+  if (doubled !== undefined && typeof doubled !== "boolean") {
+    return "doubled must be true or false";
+  }
+  return null;
+}
+
+// Count a deadline from validated facts { actType?, actDescription?,
+// eventType, eventDate, termDays?, doubled?, doubledReason?, tribunal? }.
+export function computeDeadline(clientRecord, facts) {
+  const calendar = calendarFor(clientRecord, facts.tribunal);
+  const term = resolveTerm(facts.actType, facts.termDays);
+  const act = ACT_TERMS[facts.actType];
+  const skipped = [];
+  const steps = [];
+
+  if (facts.tribunal && !calendar.name) {
+    steps.push(`Não há calendário cadastrado para ${facts.tribunal}: foram considerados apenas os feriados nacionais ` +
+      "e a suspensão do art. 220 do CPC. Confira os feriados locais.");
+  }
+
+  const eventDate = parseDate(facts.eventDate);
+  let publication = eventDate;
+  if (facts.eventType === "disponibilizacao") {
+    steps.push(`Disponibilização no Diário de Justiça eletrônico em ${describeDate(eventDate)}.`);
+    publication = nextBusinessDay(eventDate, calendar, skipped);
+    steps.push(`Considera-se publicada no primeiro dia útil seguinte, ${describeDate(publication)} ` +
+      "(CPC, art. 224, § 2º; Lei 11.419/2006, art. 4º, § 3º).");
+  } else if (facts.eventType === "publicacao") {
+    steps.push(`Publicação em ${describeDate(eventDate)}.`);
+  } else {
+    steps.push(`Intimação em ${describeDate(eventDate)}.`);
+  }
+
+  const start = nextBusinessDay(publication, calendar, skipped);
+  steps.push(`Exclui-se o dia do começo: a contagem se inicia no primeiro dia útil seguinte, ${describeDate(start)} ` +
+    "(CPC, art. 224, caput e § 3º).");
+
+  const totalDays = facts.doubled ? term.days * 2 : term.days;
+  steps.push(`Prazo de ${term.days} ${term.days === 1 ? "dia útil" : "dias úteis"} (${term.basis})` +
+    (facts.doubled ? `, contado em dobro${facts.doubledReason ? ` (${facts.doubledReason})` : ""}: ${totalDays} dias úteis.` : "."));
+
+  // Day 1 is the start; every further day counted must be a business day
+  let due = start;
+  for (let counted = 1; counted < totalDays; counted++) {
+    due = nextBusinessDay(due, calendar, skipped);
+  }
+
+  const weekendDays = skipped.filter((s) => isWeekend(s.reason)).length;
+  const otherDays = skipped.filter((s) => !isWeekend(s.reason));
+  steps.push("Contam-se apenas os dias úteis (CPC, art. 219)" +
+    (weekendDays > 0 ? `; ${weekendDays} dia(s) de fim de semana desconsiderado(s)` : "") +
+    (otherDays.length > 0 ? `; também desconsiderados: ${summarizeSkipped(skipped)}.` : "."));
+  steps.push(`Vencimento: ${describeDate(due)}.`);
+
+  return {
+    actType: facts.actType || null,
+    actLabel: act ? act.label : facts.actDescription || null,
+    basis: term.basis,
+    tribunal: facts.tribunal || null,
+    calendar: calendar.name,
+    eventType: facts.eventType,
+    eventDate: facts.eventDate,
+    publicationDate: formatDate(publication),
+    startDate: formatDate(start),
+    termDays: term.days,
+    doubled: Boolean(facts.doubled),
+    totalDays,
+    dueDate: formatDate(due),
+    skipped,
+    steps,
+  };
+}
+
+function isWeekend(reason) {
+  return reason === WEEKDAYS[0] || reason === WEEKDAYS[6];
+}
+
+// The skipped days other than weekends, as "20/12/2026 a 20/01/2027
+// (suspensão ...), 03/04/2026 (Sexta-feira da Paixão)". Days with the same
+// reason separated only by other skipped days (weekends) are merged.
+function summarizeSkipped(skipped) {
+  const runs = [];
+  let last = null;
+  skipped.forEach((day, index) => {
+    if (isWeekend(day.reason)) return;
+    const contiguous = last && skipped.slice(last.index, index).every((d, i) =>
+      formatDate(addDays(parseDate(d.date), 1)) === skipped[last.index + i + 1].date);
+    if (last && last.reason === day.reason && contiguous) {
+      last.to = day.date;
+      last.index = index;
+    } else {
+      last = { from: day.date, to: day.date, reason: day.reason, index };
+      runs.push(last);
+    }
+  });
+  const short = (date) => date.split("-").reverse().join("/");
+  return runs.map((run) => `${short(run.from)}${run.to !== run.from ? ` a ${short(run.to)}` : ""} (${run.reason})`).join(", ");
+}
+
+const EXTRACTION_PROMPT = `
+Você extrai dados de intimações e publicações judiciais brasileiras para o cálculo de prazos processuais. Não calcule o prazo.
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois e sem blocos de código, no formato:
+{
+  "actType": ${Object.keys(ACT_TERMS).map((key) => `"${key}"`).join(" | ")} | "outro",
+  "actDescription": "ato a ser praticado, em poucas palavras",
+  "eventType": "disponibilizacao" | "publicacao" | "intimacao",
+  "eventDate": "AAAA-MM-DD",
+  "termDays": número de dias do prazo SOMENTE se estiver escrito no texto, senão null,
+  "doubled": true | false,
+  "doubledReason": "motivo do prazo em dobro, ou \\"\\"",
+  "tribunal": "sigla do tribunal (ex: TJSP, TRT2, TRF3, STJ), ou null"
+}
+Use "disponibilizacao" quando o texto informar a data de disponibilização no Diário de Justiça eletrônico, "publicacao" quando informar apenas a data de publicação e "intimacao" para intimação pessoal, pelo portal eletrônico, por oficial de justiça ou juntada de aviso de recebimento; "eventDate" é a data desse evento.
+Marque "doubled" apenas se a parte intimada for a Fazenda Pública, o Ministério Público, a Defensoria Pública ou litisconsortes com procuradores distintos em autos físicos.
+Se alguma informação não constar do texto, use null.
+`.trim();
+
+// Ask the model for the facts of the intimation in `text`. Returns them
+// with the values it could not find as null.
+export async function extractDeadlineFacts(clientRecord, text, { audit } = {}) {
+  const completion = await createChatCompletion(clientRecord, "deadlines", [
+    { role: "system", content: EXTRACTION_PROMPT },
+    { role: "user", content: text },
+  ], { audit });
+  const answer = completionText(completion, "");
+  const start = answer.indexOf("{");
+  const end = answer.lastIndexOf("}");
+  let data;
+  try {
+    data = JSON.parse(answer.slice(start, end + 1));
+  } catch (err) {
+    throw new Error("The model did not return the intimation data as JSON");
+  }
+  const termDays = Number(data.termDays);
+  return {
+    actType: ACT_TERMS[data.actType] ? data.actType : "outro",
+    actDescription: typeof data.actDescription === "string" ? data.actDescription.trim() : "",
+    eventType: EVENT_TYPES.includes(data.eventType) ? data.eventType : null,
+    eventDate: parseDate(data.eventDate) ? data.eventDate : null,
+    termDays: Number.isInteger(termDays) && termDays > 0 && termDays <= MAX_TERM_DAYS ? termDays : null,
+    doubled: data.doubled === true,
+    doubledReason: typeof data.doubledReason === "string" ? data.doubledReason.trim() : "",
+    tribunal: typeof data.tribunal === "string" && data.tribunal.trim() ? data.tribunal.trim() : null,
+  };
+}
+
+// Returns an error message for invalid `deadlines` settings, or null.
+export function validateDeadlineSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "deadlines must be an object";
+  }
+  if (settings.defaultTribunal !== undefined && typeof settings.defaultTribunal !== "string") {
+    return "deadlines.defaultTribunal must be a string";
+  }
+  const calendars = settings.calendars || {};
+  if (typeof calendars !== "object" || Array.isArray(calendars)) {
+    return "deadlines.calendars must be an object keyed by court";
+  }
+  for (const [name, calendar] of Object.entries(calendars)) {
+    if (!calendar || typeof calendar !== "object" || Array.isArray(calendar)) {
+      return `deadlines.calendars.${name} must be an object`;
+    }
+    if (calendar.holidays !== undefined && !Array.isArray(calendar.holidays)) {
+      return `deadlines.calendars.${name}.holidays must be a list`;
+    }
+    if (calendar.suspensions !== undefined && !Array.isArray(calendar.suspensions)) {
+      return `deadlines.calendars.${name}.suspensions must be a list`;
+    }
+    for (const holiday of calendar.holidays || []) {
+      const date = typeof holiday === "string" ? holiday : holiday && holiday.date;
+      if (!isValidDay(date)) {
+        return `deadlines.calendars.${name}.holidays must be dates as YYYY-MM-DD or MM-DD`;
+      }
+    }
+    for (const suspension of calendar.suspensions || []) {
+      const { from, to } = suspension || {};
+      if (!isValidDay(from) || !isValidDay(to) || from.length !== to.length || (from.length === 10 && from > to)) {
+        return `deadlines.calendars.${name}.suspensions must have from and to dates, both YYYY-MM-DD or both MM-DD`;
+      }
+    }
+  }
+  return null;
+}
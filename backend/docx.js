@@ -0,0 +1,111 @@
+import { inflateRawSync } from "zlib";
+
+// Plain-text extraction from Word (.docx) files for the knowledge base (see
+// knowledge.js). A .docx is a ZIP archive whose main part,
+// word/document.xml, holds the paragraphs; only that part is read, so
+// headers, footers, footnotes and comments are left out. No dependency is
+// needed: the archive is read with zlib and the XML with regular
+// expressions, which is enough for the WordprocessingML Word writes.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// Largest part inflated, a few times the largest upload (see knowledge.js),
+// so a ZIP bomb is refused instead of filling the memory
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+
+// Read one file of a ZIP archive. Returns a Buffer, or null if the archive
+// has no such file. Throws on archives it cannot read (not a ZIP, ZIP64 or
+// unsupported compression) and on parts larger than MAX_ENTRY_BYTES.
+function readZipEntry(buffer, name) {
+  // The end of central directory record is at the end, before a comment
+  // of up to 64 KiB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 65535); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error("Not a valid .docx file");
+  }
+  const entries = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt .docx file");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    if (entryName === name) {
+      if (size > MAX_ENTRY_BYTES || compressedSize > MAX_ENTRY_BYTES) {
+        throw new Error("The .docx file is too large once uncompressed");
+      }
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+        throw new Error("Corrupt .docx file");
+      }
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) {
+        // The declared size may lie: limit the output as well
+        try {
+          return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+        } catch (err) {
+          if (err.code === "ERR_BUFFER_TOO_LARGE") {
+            throw new Error("The .docx file is too large once uncompressed");
+          }
+          throw new Error("Corrupt .docx file");
+        }
+      }
+      throw new Error(`Unsupported .docx compression method ${method}`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      return String.fromCodePoint(code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[code.toLowerCase()];
+  });
+}
+
+// Heading level of a paragraph style id: "Heading1" in English Word,
+// "Ttulo1" (from "Título 1") in Portuguese Word. 0 for other styles.
+function headingLevel(styleId) {
+  const match = /^(?:Heading|Ttulo|Titulo)(\d)$/i.exec(styleId || "");
+  return match ? Number(match[1]) : 0;
+}
+
+// Extract the paragraphs of a .docx file: [{ text, heading }], in the
+// shape analysis.js uses, with the heading level of Word's heading styles.
+export function docxParagraphs(buffer) {
+  const xml = readZipEntry(buffer, "word/document.xml");
+  if (!xml) {
+    throw new Error("Not a valid .docx file (word/document.xml is missing)");
+  }
+  const paragraphs = [];
+  for (const [paragraph] of xml.toString("utf8").matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    const style = /<w:pStyle w:val="([^"]*)"/.exec(paragraph);
+    let text = "";
+    for (const [token, content] of paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\/>/g)) {
+      if (content !== undefined) text += decodeXml(content);
+      else text += token === "<w:tab/>" ? "\t" : "\n";
+    }
+    if (text.trim()) {
+      paragraphs.push({ text, heading: headingLevel(style && style[1]) });
+    }
+  }
+  return paragraphs;
+}
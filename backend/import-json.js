@@ -0,0 +1,139 @@
+import { readFileSync, existsSync } from "fs";
+import path from "path";
+import { hashSecret } from "./auth.js";
+import { db, transaction, getMeta, setMeta } from "./db.js";
+import { sealRecordKeys } from "./keystore.js";
+import { addTenantRecord } from "./tenants.js";
+import { createPersona } from "./personas.js";
+
+// One-time import of the JSON files that held the backend state before the
+// database (clients.json, assistants.json, threads.json and usage.json).
+// Everything is imported in one transaction; records that already exist in
+// the database are skipped, so running it again is harmless. The files are
+// left in place and can be deleted once the import has been checked.
+
+const IMPORTED_FLAG = "legacy_json_imported";
+const LEGACY_PERSONA_NAME = "Padrão";
+
+function readJson(dir, name, fallback) {
+  const file = path.join(dir, name);
+  if (!existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(readFileSync(file, { encoding: "utf-8" }));
+}
+
+function tenantExists(id) {
+  return Boolean(db.prepare("SELECT 1 FROM tenants WHERE id = ?").get(id));
+}
+
+function importClients(clients, counts) {
+  if (!Array.isArray(clients)) {
+    throw new Error("clients.json must be an array of clients");
+  }
+  for (const { secret, ...record } of clients) {
+    if (secret) {
+      record.secretHash = hashSecret(secret);
+    }
+    if (!record.secretHash) {
+      // It could never log in, and the database requires a secret
+      console.error(`Skipping client ${record.id}: it has no secret or secretHash`);
+      counts.skipped++;
+      continue;
+    }
+    try {
+      sealRecordKeys(record);
+    } catch (err) {
+      console.error(`Could not encrypt API key of client ${record.id}: ${err.message}`);
+    }
+    if (addTenantRecord(record)) counts.tenants++;
+    else counts.skipped++;
+  }
+}
+
+// Each legacy prompt becomes a persona named "Padrão" (see personas.js).
+function importAssistants(assistants, counts) {
+  for (const [clientId, prompt] of Object.entries(assistants)) {
+    if (tenantExists(clientId) && createPersona(clientId, LEGACY_PERSONA_NAME, { prompt, source: "imported" })) {
+      counts.assistants++;
+    } else {
+      counts.skipped++;
+    }
+  }
+}
+
+function importThreads(threads, counts) {
+  const insertThread = db.prepare(`
+    INSERT INTO threads (id, tenant_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO NOTHING
+  `);
+  const insertMessage = db.prepare(
+    "INSERT INTO thread_messages (thread_id, role, content, display, created_at) VALUES (?, ?, ?, ?, ?)"
+  );
+  for (const thread of Object.values(threads)) {
+    if (!tenantExists(thread.clientId) ||
+        insertThread.run(thread.id, thread.clientId, thread.title || "", thread.createdAt, thread.updatedAt).changes === 0) {
+      counts.skipped++;
+      continue;
+    }
+    for (const m of thread.messages || []) {
+      insertMessage.run(thread.id, m.role, m.content, m.display ?? null, m.createdAt || thread.updatedAt);
+    }
+    counts.threads++;
+  }
+}
+
+function importUsage(usage, counts) {
+  const insert = db.prepare(`
+    INSERT INTO usage (tenant_id, day, operation, model, requests, prompt_tokens, completion_tokens)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (tenant_id, day, operation, model) DO NOTHING
+  `);
+  for (const [clientId, byDay] of Object.entries(usage)) {
+    for (const [day, byOperation] of Object.entries(byDay)) {
+      for (const [operation, byModel] of Object.entries(byOperation)) {
+        for (const [model, entry] of Object.entries(byModel)) {
+          const result = insert.run(clientId, day, operation, model,
+            entry.requests || 0, entry.promptTokens || 0, entry.completionTokens || 0);
+          if (result.changes > 0) counts.usage++;
+          else counts.skipped++;
+        }
+      }
+    }
+  }
+}
+
+// Import the JSON files found in `dir` and return how many records of each
+// kind were added. Throws (importing nothing) if a file cannot be parsed.
+export function importLegacyJson(dir = process.cwd()) {
+  const counts = { tenants: 0, assistants: 0, threads: 0, usage: 0, skipped: 0 };
+  // Read everything first so a broken file aborts before any write
+  const clients = readJson(dir, "clients.json", []);
+  const assistants = readJson(dir, "assistants.json", {});
+  const threads = readJson(dir, "threads.json", {});
+  const usage = readJson(dir, "usage.json", {});
+  transaction(() => {
+    importClients(clients, counts);
+    importAssistants(assistants, counts);
+    importThreads(threads, counts);
+    importUsage(usage, counts);
+    setMeta(IMPORTED_FLAG, new Date().toISOString());
+  });
+  return counts;
+}
+
+// Run the import on the first start after upgrading. Later starts do
+// nothing; use `node admin-cli.js import-json` to import again.
+export function importLegacyJsonOnce(dir = process.cwd()) {
+  if (getMeta(IMPORTED_FLAG)) {
+    return;
+  }
+  try {
+    const counts = importLegacyJson(dir);
+    if (counts.tenants + counts.assistants + counts.threads + counts.usage > 0) {
+      console.log(`Imported legacy JSON files into the database: ${JSON.stringify(counts)}`);
+    }
+  } catch (err) {
+    console.error(`Could not import legacy JSON files: ${err.message}`);
+  }
+}
@@ -0,0 +1,192 @@
+import { randomUUID, createHash } from "crypto";
+import { db } from "./db.js";
+import { analyzeDocument } from "./analysis.js";
+import { startAudit } from "./audit.js";
+import { classifyError } from "./upstream.js";
+
+// Document analyses run as background jobs, so a long document no longer
+// holds an HTTP request open for the whole model call (and proxy timeouts
+// or closing the pane no longer lose the report). A job is started with
+// startAnalysisJob, polled until it leaves "running" and kept in the
+// `analysis_jobs` table (see db.js) with its report, so the analyses of a
+// document can be reopened later without calling the model again:
+//
+//   {
+//     "id": "<uuid>",
+//     "status": "done",                // running | done | failed | cancelled
+//     "documentId": "<uuid>",          // stored by the pane in the document's properties, or null
+//     "documentName": "Contrato de locação.docx",
+//     "contentHash": "<sha256>",       // see contentHash
+//     "progress": { "total": 4, "done": 4, "failed": 0, "current": null },
+//     "username": "ana.souza",         // who started it, for clients with users
+//     "createdAt": "...",
+//     "finishedAt": "...",
+//     "report": { ... },               // see analysis.js, once done (getJob only)
+//     "error": { "error": "...", "code": "rate_limited" }   // once failed
+//   }
+//
+// Analyses belong to the client, not to the user who started them, since
+// they are about the firm's documents. The jobs run in this process: a
+// restart fails the ones still running (see failInterruptedJobs).
+
+// Jobs a client may have running at once
+export const MAX_RUNNING_JOBS = Number(process.env.ANALYSIS_MAX_JOBS) || 3;
+const MAX_DOCUMENT_ID_LENGTH = 100;
+const MAX_DOCUMENT_NAME_LENGTH = 200;
+const MAX_LISTED_JOBS = 50;
+
+const JOB_COLUMNS = `
+  j.id, j.status, j.document_id AS documentId, j.document_name AS documentName, j.content_hash AS contentHash,
+  j.progress, j.error, u.username, j.created_at AS createdAt, j.finished_at AS finishedAt
+`;
+
+// Abort controllers of the jobs running in this process, by job id, with
+// the client they belong to
+const running = new Map();
+
+function toJob(row) {
+  if (!row) return row;
+  const { report, ...job } = row;
+  job.progress = JSON.parse(row.progress);
+  job.error = row.error ? JSON.parse(row.error) : null;
+  if (report !== undefined) job.report = report ? JSON.parse(report) : null;
+  return job;
+}
+
+// What the pane gets to know of a failure: the message and code, as in
+// the error responses of the routes (see sendError in server.js).
+function failureOf(err) {
+  const failure = classifyError(err);
+  return {
+    error: failure.message || "Internal Error",
+    code: failure.code,
+    period: failure.period,
+    retryAfter: failure.retryAfter,
+  };
+}
+
+// Identifies a document's content: the SHA-256 (hex) of the text of its
+// non-empty paragraphs, joined with "\n". The pane computes the same hash
+// to find the analyses of a document that has no id in its properties.
+export function contentHash(paragraphs) {
+  return createHash("sha256").update(paragraphs.map((p) => p.text).join("\n")).digest("hex");
+}
+
+// Returns an error message for an invalid document id or name, or null.
+export function validateJobDocument({ documentId, documentName }) {
+  if (documentId !== undefined && documentId !== null &&
+      (typeof documentId !== "string" || !documentId || documentId.length > MAX_DOCUMENT_ID_LENGTH)) {
+    return `documentId must be 1-${MAX_DOCUMENT_ID_LENGTH} characters`;
+  }
+  if (documentName !== undefined && (typeof documentName !== "string" || documentName.length > MAX_DOCUMENT_NAME_LENGTH)) {
+    return `documentName must be at most ${MAX_DOCUMENT_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// How many of the client's jobs are running.
+export function runningJobs(clientId) {
+  return [...running.values()].filter((job) => job.clientId === clientId).length;
+}
+
+// The analyses of a document, newest first, without their reports: those
+// started with its `documentId` or on the same content (`contentHash`).
+export function listJobs(clientId, { documentId, contentHash: hash }) {
+  return db.prepare(`
+    SELECT ${JOB_COLUMNS} FROM analysis_jobs j LEFT JOIN users u ON u.id = j.user_id
+    WHERE j.tenant_id = ? AND (j.document_id = ? OR j.content_hash = ?)
+    ORDER BY j.created_at DESC LIMIT ${MAX_LISTED_JOBS}
+  `).all(clientId, documentId || null, hash || null).map(toJob);
+}
+
+// The job with its report, or undefined if it does not exist or belongs
+// to another client.
+export function getJob(clientId, jobId) {
+  const row = db.prepare(`
+    SELECT ${JOB_COLUMNS}, j.report FROM analysis_jobs j LEFT JOIN users u ON u.id = j.user_id
+    WHERE j.id = ? AND j.tenant_id = ?
+  `).get(jobId, clientId);
+  return toJob(row);
+}
+
+function finishJob(jobId, fields) {
+  db.prepare(`
+    UPDATE analysis_jobs SET status = ?, report = ?, error = ?, finished_at = ? WHERE id = ? AND status = 'running'
+  `).run(fields.status, fields.report || null, fields.error || null, new Date().toISOString(), jobId);
+}
+
+// Start analyzing `paragraphs` ([{ text, heading }], see toParagraphs) in
+// the background and return the job. The analysis is audited like
+// /api/analyze, on behalf of `user` (or null), and its progress is saved
+// after each section.
+export function startAnalysisJob(clientRecord, paragraphs, { user = null, documentId = null, documentName = "" } = {}) {
+  const id = randomUUID();
+  const progress = { total: 0, done: 0, failed: 0, current: null };
+  db.prepare(`
+    INSERT INTO analysis_jobs (id, tenant_id, user_id, document_id, document_name, content_hash, status, progress, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?)
+  `).run(id, clientRecord.id, user ? user.id : null, documentId || null, documentName.trim(), contentHash(paragraphs),
+    JSON.stringify(progress), new Date().toISOString());
+
+  const controller = new AbortController();
+  running.set(id, { clientId: clientRecord.id, controller });
+  const audit = startAudit(clientRecord, "/api/analyze", user);
+  audit.set({ request: paragraphs.map((p) => p.text).join("\n") });
+  const saveProgress = db.prepare("UPDATE analysis_jobs SET progress = ? WHERE id = ?");
+  const onProgress = (event, payload) => {
+    if (event === "sections") progress.total = payload.total;
+    else if (event === "section") progress.current = payload.title;
+    else if (event === "section_done") progress.done += 1;
+    else if (event === "section_error") progress.failed += 1;
+    saveProgress.run(JSON.stringify(progress), id);
+  };
+
+  analyzeDocument(clientRecord, paragraphs, { signal: controller.signal, audit, onProgress })
+    .then((report) => {
+      const response = JSON.stringify(report);
+      audit.set({ response });
+      finishJob(id, { status: "done", report: response });
+      audit.save(200, true);
+    })
+    .catch((err) => {
+      if (controller.signal.aborted) {
+        finishJob(id, { status: "cancelled" });
+        audit.save(200, false);
+        return;
+      }
+      console.error(`Analysis job ${id} failed: ${err.message}`);
+      const failure = failureOf(err);
+      finishJob(id, { status: "failed", error: JSON.stringify(failure) });
+      audit.fail(failure.error);
+      audit.save(500, true);
+    })
+    .catch((err) => {
+      console.error(`Could not record the end of analysis job ${id}: ${err.message}`);
+    })
+    .finally(() => {
+      running.delete(id);
+    });
+
+  return getJob(clientRecord.id, id);
+}
+
+// Stop a running job. Returns the job, or undefined if it does not exist
+// or belongs to another client; jobs no longer running are returned as
+// they are.
+export function cancelJob(clientId, jobId) {
+  const job = running.get(jobId);
+  if (job && job.clientId === clientId) {
+    job.controller.abort();
+    finishJob(jobId, { status: "cancelled" });
+  }
+  return getJob(clientId, jobId);
+}
+
+// Fail the jobs left running by a previous run of the server. Returns how
+// many there were.
+export function failInterruptedJobs() {
+  const error = JSON.stringify({ error: "The analysis was interrupted by a server restart", code: "job_interrupted" });
+  return db.prepare(`
+    UPDATE analysis_jobs SET status = 'failed', error = ?, finished_at = ? WHERE status = 'running'
+  `).run(error, new Date().toISOString()).changes;
+}
@@ -0,0 +1,119 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+// Encryption at rest for the tenants' provider API keys (see tenants.js).
+//
+// Keys are encrypted with AES-256-GCM under a master key taken from the
+// environment and stored as
+//
+//   enc:v1:<keyId>:<iv>:<tag>:<ciphertext>      (base64url parts)
+//
+// where keyId identifies the master key that was used. To rotate the
+// master key, set the new one in MASTER_KEY and move the old one to
+// MASTER_KEY_PREVIOUS (comma-separated if there are several): values
+// encrypted with a previous key can still be read, and are re-encrypted
+// with the current key when the server starts.
+//
+// Master keys are 32 bytes, given as 64 hex characters or base64.
+
+const PREFIX = "enc:v1:";
+
+function parseMasterKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, "hex")
+    : Buffer.from(trimmed, "base64");
+  if (key.length !== 32) {
+    throw new Error("Master keys must be 32 bytes (64 hex characters or base64)");
+  }
+  return key;
+}
+
+function keyId(key) {
+  return createHash("sha256").update(key).digest("base64url").slice(0, 8);
+}
+
+const currentKey = process.env.MASTER_KEY ? parseMasterKey(process.env.MASTER_KEY) : null;
+const masterKeys = new Map();
+for (const value of [process.env.MASTER_KEY, ...(process.env.MASTER_KEY_PREVIOUS || "").split(",")]) {
+  if (value && value.trim()) {
+    const key = parseMasterKey(value);
+    masterKeys.set(keyId(key), key);
+  }
+}
+
+export function hasMasterKey() {
+  return currentKey !== null;
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// Encrypt a secret with the current master key. Throws if MASTER_KEY is
+// not configured, so keys are never silently stored in plaintext.
+export function encryptSecret(plaintext) {
+  if (!currentKey) {
+    throw new Error("MASTER_KEY is not configured; cannot store API keys");
+  }
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", currentKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf-8"), cipher.final()]);
+  return PREFIX + [
+    keyId(currentKey),
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(":");
+}
+
+// Decrypt a value produced by encryptSecret. Values that are not
+// encrypted (legacy plaintext, not yet migrated) are returned unchanged.
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+  const key = masterKeys.get(id);
+  if (!key) {
+    throw new Error(`No master key available to decrypt API key (key id ${id})`);
+  }
+  const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf-8");
+}
+
+// True if the value is plaintext, or was encrypted with a previous master
+// key, and should be (re-)encrypted with the current one.
+function needsSealing(value) {
+  if (!value) return false;
+  if (!isEncrypted(value)) return true;
+  return value.slice(PREFIX.length).split(":")[0] !== keyId(currentKey);
+}
+
+// Encrypt (or re-encrypt after a rotation) the API keys of a client
+// record in place. Returns true if the record changed.
+export function sealRecordKeys(record) {
+  if (!currentKey) return false;
+  let changed = false;
+  if (needsSealing(record.openaiApiKey)) {
+    record.openaiApiKey = encryptSecret(decryptSecret(record.openaiApiKey));
+    changed = true;
+  }
+  if (record.provider && needsSealing(record.provider.apiKey)) {
+    record.provider.apiKey = encryptSecret(decryptSecret(record.provider.apiKey));
+    changed = true;
+  }
+  return changed;
+}
+
+// Describe a key for display without revealing it: whether it is set and
+// its last four characters.
+export function maskKey(plaintext) {
+  if (!plaintext) {
+    return { configured: false, last4: null };
+  }
+  return { configured: true, last4: plaintext.slice(-4) };
+}
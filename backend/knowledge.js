@@ -0,0 +1,168 @@
+import { randomUUID } from "crypto";
+import path from "path";
+import { db, transaction } from "./db.js";
+import { estimateTokens } from "./llm.js";
+import { splitSections } from "./analysis.js";
+import { docxParagraphs } from "./docx.js";
+
+// Per-client knowledge base: standard clauses, internal models and
+// precedents the firm uploads (.docx, .txt or .md) so /api/ia can draft in
+// its style. Documents are split into passages of about CHUNK_TOKENS
+// tokens at headings and paragraph boundaries (see splitSections in
+// analysis.js) and indexed locally in the `knowledge_*` tables (see db.js)
+// for lexical BM25 search, which needs no external service. A search
+// returns passages like:
+//
+//   {
+//     "documentId": "<uuid>",
+//     "name": "Modelo - Contestação trabalhista.docx",
+//     "title": "DOS FATOS",                // heading of the passage, or ""
+//     "text": "<passage>",
+//     "score": 7.31
+//   }
+//
+// Terms are lowercased and stripped of accents and of a plural "s", and
+// common Portuguese words are ignored, so "Cláusulas" matches "clausula".
+
+export const KNOWLEDGE_TYPES = [".docx", ".txt", ".md"];
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const MAX_NAME_LENGTH = 200;
+const CHUNK_TOKENS = Number(process.env.KNOWLEDGE_CHUNK_TOKENS) || 300;
+// Distinct query terms looked up, so a long selection stays cheap
+const MAX_QUERY_TERMS = 200;
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+// Passages scoring below this fraction of the best one are left out
+const MIN_RELATIVE_SCORE = 0.25;
+
+const STOP_WORDS = new Set(`
+  a o as os um uma uns umas de da do das dos e em no na nos nas ao aos para pra por pelo pela pelos pelas
+  com sem sob que se ou mas mais menos como foi ser sao era sua seu suas seus este esta estes estas isto
+  esse essa esses essas isso aquele aquela aquilo ele ela eles elas lhe lhes nao sim ja ha ter tem sobre
+  entre ate quando onde qual quais quem cujo cuja me te nos vos meu minha tambem muito muita bem so
+`.trim().split(/\s+/));
+
+// The index terms of a text, in order and with repetitions.
+export function terms(text) {
+  return (String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [])
+    .filter((term) => term.length > 1 && !STOP_WORDS.has(term))
+    .map((term) => (term.length > 4 && term.endsWith("s") ? term.slice(0, -1) : term));
+}
+
+// Returns an error message for an invalid document name, or null.
+export function validateDocumentName(name) {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `Document name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  if (!KNOWLEDGE_TYPES.includes(path.extname(name).toLowerCase())) {
+    return `Only ${KNOWLEDGE_TYPES.join(", ")} documents are supported`;
+  }
+  return null;
+}
+
+// Extract the paragraphs ({ text, heading }) of an uploaded file. Markdown
+// headings ("# Título") keep their level; other lines are body text.
+export function parseDocument(name, buffer) {
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw new Error(`Documents must be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`);
+  }
+  const type = path.extname(name).toLowerCase();
+  if (type === ".docx") {
+    return docxParagraphs(buffer);
+  }
+  return buffer.toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r\n?|\n/)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const heading = type === ".md" ? /^(#{1,6})\s+(.*)$/.exec(line.trim()) : null;
+      return heading ? { text: heading[2], heading: heading[1].length } : { text: line, heading: 0 };
+    });
+}
+
+// The client's documents, sorted by name, without their text.
+export function listDocuments(clientId) {
+  return db.prepare(`
+    SELECT id, name, size, chunks, created_at AS createdAt FROM knowledge_documents
+    WHERE tenant_id = ? ORDER BY name COLLATE NOCASE
+  `).all(clientId);
+}
+
+// Split and index a document. Returns the document, or null if the client
+// already has one with that name.
+export function addDocument(clientId, name, size, paragraphs) {
+  const chunks = splitSections(paragraphs, CHUNK_TOKENS);
+  return transaction(() => {
+    if (db.prepare("SELECT 1 FROM knowledge_documents WHERE tenant_id = ? AND name = ?").get(clientId, name.trim())) {
+      return null;
+    }
+    const id = randomUUID();
+    db.prepare(`
+      INSERT INTO knowledge_documents (id, tenant_id, name, size, chunks, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, clientId, name.trim(), size, chunks.length, new Date().toISOString());
+    const insertChunk = db.prepare(`
+      INSERT INTO knowledge_chunks (document_id, tenant_id, position, title, text, length) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertPosting = db.prepare("INSERT INTO knowledge_postings (tenant_id, term, chunk_id, tf) VALUES (?, ?, ?, ?)");
+    for (const chunk of chunks) {
+      const chunkTerms = terms(`${chunk.title}\n${chunk.text}`);
+      const chunkId = insertChunk.run(id, clientId, chunk.index, chunk.title, chunk.text, chunkTerms.length).lastInsertRowid;
+      const frequencies = new Map();
+      for (const term of chunkTerms) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      for (const [term, tf] of frequencies) insertPosting.run(clientId, term, chunkId, tf);
+    }
+    return listDocuments(clientId).find((document) => document.id === id);
+  });
+}
+
+// Returns true if the document existed and was deleted with its index.
+export function deleteDocument(clientId, documentId) {
+  return db.prepare("DELETE FROM knowledge_documents WHERE id = ? AND tenant_id = ?").run(documentId, clientId).changes > 0;
+}
+
+// The client's `limit` passages most relevant to `query` by BM25, best
+// first, fitting in `maxTokens` tokens. Empty when nothing matches.
+export function searchKnowledge(clientId, query, { limit = 4, maxTokens = 1500 } = {}) {
+  const stats = db.prepare("SELECT COUNT(*) AS total, AVG(length) AS averageLength FROM knowledge_chunks WHERE tenant_id = ?")
+    .get(clientId);
+  if (stats.total === 0) return [];
+  const queryTerms = [...new Set(terms(query))].slice(0, MAX_QUERY_TERMS);
+
+  const postings = db.prepare("SELECT chunk_id AS chunkId, tf FROM knowledge_postings WHERE tenant_id = ? AND term = ?");
+  const lengths = new Map();
+  const lengthOf = db.prepare("SELECT length FROM knowledge_chunks WHERE id = ?");
+  const scores = new Map();
+  for (const term of queryTerms) {
+    const rows = postings.all(clientId, term);
+    if (rows.length === 0) continue;
+    const idf = Math.log(1 + (stats.total - rows.length + 0.5) / (rows.length + 0.5));
+    for (const { chunkId, tf } of rows) {
+      if (!lengths.has(chunkId)) lengths.set(chunkId, lengthOf.get(chunkId).length);
+      const norm = 1 - B + B * (lengths.get(chunkId) / (stats.averageLength || 1));
+      scores.set(chunkId, (scores.get(chunkId) || 0) + idf * (tf * (K1 + 1)) / (tf + K1 * norm));
+    }
+  }
+
+  const ranked = [...scores].sort((a, b) => b[1] - a[1]);
+  const best = ranked.length > 0 ? ranked[0][1] : 0;
+  const passage = db.prepare(`
+    SELECT c.document_id AS documentId, d.name, c.title, c.text
+    FROM knowledge_chunks c JOIN knowledge_documents d ON d.id = c.document_id WHERE c.id = ?
+  `);
+  const results = [];
+  let tokens = 0;
+  for (const [chunkId, score] of ranked) {
+    if (results.length >= limit || score < best * MIN_RELATIVE_SCORE) break;
+    const row = passage.get(chunkId);
+    tokens += estimateTokens(row.text);
+    if (tokens > maxTokens && results.length > 0) break;
+    results.push({ ...row, score: Math.round(score * 100) / 100 });
+  }
+  return results;
+}
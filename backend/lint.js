@@ -0,0 +1,442 @@
+import { FINDING_SEVERITIES } from "./analysis.js";
+import { isValidCpf, isValidCnpj, isValidCnj } from "./redaction.js";
+
+// Rule-based checks of legal drafting, run on the whole document next to
+// the model's analysis (see analyzeDocument in analysis.js). They catch
+// mechanical problems the model tends to miss, precisely and without a
+// model call:
+//
+//   numbering          clauses and items numbered by hand out of sequence
+//                      ("3.1", "3.2", "3.4"; "Cláusula 5ª" after the 3ª)
+//   names              names spelled in different ways ("José da Silva" and
+//                      "Jose da Silva", "Souza" and "Sousa")
+//   defined_terms      defined terms ("Locadora") used before the passage
+//                      that defines them
+//   document_numbers   CPF, CNPJ and CNJ case numbers with invalid check
+//                      digits
+//   cross_references   references to clauses or items the document does
+//                      not have ("cláusula 7.3")
+//
+// Findings have the shape of the model's, plus the `rule` that raised
+// them, so the pane anchors and lists them the same way. Every rule is on
+// by default; a client can turn rules off or change their severity (see
+// tenants.js):
+//
+//   "lint": {
+//     "enabled": true,                        // false turns all rules off
+//     "rules": {
+//       "names": { "enabled": false },
+//       "cross_references": { "severity": "media" }
+//     }
+//   }
+//
+// Only numbers typed in the text are checked: the numbers of Word's
+// automatic lists are not part of the paragraphs' text.
+
+export const LINT_RULES = {
+  numbering: { category: "linguistico", severity: "media" },
+  names: { category: "linguistico", severity: "media" },
+  defined_terms: { category: "juridico", severity: "baixa" },
+  document_numbers: { category: "juridico", severity: "alta" },
+  cross_references: { category: "juridico", severity: "alta" },
+};
+
+// Characters of context kept around a match in a finding's quote
+const CONTEXT_CHARS = 60;
+// Distinct names compared for near-identical spellings
+const MAX_NAMES = 500;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// The passage of `text` around [start, end) to quote in a finding: the
+// rest of its sentence, up to CONTEXT_CHARS characters on each side and
+// cut at word boundaries, exactly as written in the document.
+function quoteAround(text, start, end) {
+  const floor = Math.max(0, start - CONTEXT_CHARS);
+  let from = start;
+  while (from > floor && !/[.;:!?]\s/.test(text.slice(from - 2, from))) from--;
+  if (from === floor && from > 0) {
+    const space = text.indexOf(" ", from);
+    from = space >= 0 && space < start ? space + 1 : start;
+  }
+  const ceiling = Math.min(text.length, end + CONTEXT_CHARS);
+  let to = end;
+  while (to < ceiling && !(/[.;!?]/.test(text[to]) && (to + 1 === text.length || /\s/.test(text[to + 1])))) to++;
+  if (to < ceiling) {
+    to++;
+  } else if (to < text.length) {
+    const space = text.lastIndexOf(" ", to);
+    to = space > end ? space : end;
+  }
+  return text.slice(from, to).trim();
+}
+
+function fold(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/\s+/g, " ");
+}
+
+// Numbering
+
+const DECIMAL_ITEM = /^(\d{1,3}(?:\.\d{1,2})+)\.?\s+(?=\p{L})|^(\d{1,3})(?:\.|\s*[-–)])\s+(?=\p{L})/u;
+const CLAUSE_ITEM = /^cl[áa]usula\s+(\d{1,3})(?!\.?\d)/iu;
+const ROMAN_ITEM = /^([IVXLC]{1,7})\s*[-–—.)]\s*(?=\p{L})/u;
+const LETTER_ITEM = /^([a-z])\)\s+/;
+
+const ROMAN_VALUES = [[100, "C"], [90, "XC"], [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+
+function toRoman(number) {
+  let roman = "";
+  for (const [value, symbol] of ROMAN_VALUES) {
+    while (number >= value) {
+      roman += symbol;
+      number -= value;
+    }
+  }
+  return roman;
+}
+
+// The value of a well-formed roman numeral, or null.
+function fromRoman(roman) {
+  for (let number = 1; number < 200; number++) {
+    if (toRoman(number) === roman) return number;
+  }
+  return null;
+}
+
+// The paragraphs numbered by hand: [{ paragraph, kind, label, value,
+// offset }], where `kind` is decimal ("3.2"), clause ("Cláusula 5ª"), roman
+// ("II -") or letter ("b)"), `label` the number as written, `value` its
+// parts ([3, 2]), and `offset` where the label starts in the paragraph.
+export function numberedItems(paragraphs) {
+  const items = [];
+  paragraphs.forEach((p, paragraph) => {
+    const text = p.text.trimStart();
+    const indent = p.text.length - text.length;
+    let match = DECIMAL_ITEM.exec(text);
+    if (match) {
+      const label = match[1] || match[2];
+      items.push({ paragraph, kind: "decimal", label, value: label.split(".").map(Number), offset: indent });
+      return;
+    }
+    match = CLAUSE_ITEM.exec(text);
+    if (match) {
+      items.push({ paragraph, kind: "clause", label: match[1], value: [Number(match[1])], offset: indent + match[0].length - match[1].length });
+      return;
+    }
+    match = ROMAN_ITEM.exec(text);
+    if (match && fromRoman(match[1])) {
+      items.push({ paragraph, kind: "roman", label: match[1], value: [fromRoman(match[1])], offset: indent });
+      return;
+    }
+    match = LETTER_ITEM.exec(text);
+    if (match) {
+      items.push({ paragraph, kind: "letter", label: match[1], value: [match[1].charCodeAt(0) - 96], offset: indent });
+    }
+  });
+  return items;
+}
+
+// The number expected after `last` at the depth of `value`, or null when
+// the item skips a level (not checked).
+function expectedNumber(last, value) {
+  if (value.length > last.length + 1) return null;
+  if (value.length === last.length + 1) return [...last, 1];
+  const next = last.slice(0, value.length);
+  next[next.length - 1]++;
+  return next;
+}
+
+function formatNumber(kind, value) {
+  if (kind === "roman") return toRoman(value[0]);
+  if (kind === "letter") return String.fromCharCode(96 + value[0]);
+  return value.join(".");
+}
+
+// Each kind of numbering is a series of its own. A series may restart at
+// 1 (a new list); letters restart after any other numbered item.
+function checkNumbering(paragraphs, items) {
+  const findings = [];
+  const last = {};
+  for (const item of items) {
+    if (item.kind !== "letter") delete last.letter;
+    const previous = last[item.kind];
+    last[item.kind] = item.value;
+    if (!previous || (item.value.length === 1 && item.value[0] === 1)) continue;
+    const expected = expectedNumber(previous, item.value);
+    if (!expected || expected.join(".") === item.value.join(".")) continue;
+    const text = paragraphs[item.paragraph].text;
+    const quote = quoteAround(text, item.offset, item.offset + item.label.length);
+    const start = text.indexOf(quote);
+    const expectedLabel = formatNumber(item.kind, expected);
+    const at = item.offset - start;
+    findings.push({
+      quote,
+      explanation: `Numeração fora de sequência: depois de "${formatNumber(item.kind, previous)}" esperava-se ` +
+        `"${expectedLabel}", mas consta "${item.label}". Verifique se falta um item ou se a numeração deve ser corrigida.`,
+      suggestion: quote.slice(0, at) + expectedLabel + quote.slice(at + item.label.length),
+    });
+  }
+  return findings;
+}
+
+// Names
+
+// Capitalized words joined by "da", "de", "dos"... ("e" is left out, so
+// "Ana Souza e José Lima" are two names)
+const NAME_PATTERN = /\p{Lu}[\p{L}'’]+(?:\s+(?:(?:d[aeo]s?|D[AEO]S?)\s+)?\p{Lu}[\p{L}'’]+)+/gu;
+const NAME_CONNECTORS = new Set(["da", "de", "do", "das", "dos"]);
+
+// "MARIA DA SILVA" -> "Maria da Silva"
+function titleCase(name) {
+  return name.toLowerCase().replace(/\p{L}[\p{L}'’]*/gu, (word) =>
+    (NAME_CONNECTORS.has(word) ? word : word[0].toUpperCase() + word.slice(1)));
+}
+
+// Edit distance of two strings, stopping early once it exceeds 1.
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Names whose spellings differ only in accents, or by one letter in names
+// of three or more words (Souza/Sousa). Capitals are not a difference:
+// parties are often written in capitals in their qualification.
+function checkNames(paragraphs) {
+  const spellings = new Map();
+  paragraphs.forEach((p, paragraph) => {
+    for (const match of p.text.matchAll(NAME_PATTERN)) {
+      const key = match[0].toLowerCase().replace(/\s+/g, " ");
+      const spelling = spellings.get(key) || { key, folded: fold(key), count: 0, occurrences: [] };
+      spelling.count++;
+      spelling.occurrences.push({ paragraph, index: match.index, text: match[0] });
+      spellings.set(key, spelling);
+    }
+  });
+
+  // Group the spellings of each name
+  const all = [...spellings.values()].slice(0, MAX_NAMES);
+  const groups = new Map(all.map((s) => [s, s]));
+  const root = (s) => (groups.get(s) === s ? s : root(groups.get(s)));
+  all.forEach((a, i) => {
+    const words = a.folded.split(" ").filter((word) => !NAME_CONNECTORS.has(word)).length;
+    for (const b of all.slice(i + 1)) {
+      if (a.folded === b.folded || (words >= 3 && withinOneEdit(a.folded, b.folded))) {
+        groups.set(root(b), root(a));
+      }
+    }
+  });
+  const byGroup = new Map();
+  for (const spelling of all) {
+    const group = root(spelling);
+    byGroup.set(group, (byGroup.get(group) || []).concat(spelling));
+  }
+
+  const findings = [];
+  for (const group of byGroup.values()) {
+    if (group.length < 2) continue;
+    const [main, ...variants] = [...group].sort((a, b) => b.count - a.count);
+    // The usual spelling of the name, in mixed case
+    const mixed = main.occurrences.find((o) => o.text !== o.text.toUpperCase());
+    const written = mixed ? mixed.text : titleCase(main.occurrences[0].text);
+    for (const variant of variants) {
+      const first = variant.occurrences[0];
+      findings.push({
+        quote: first.text,
+        explanation: `O nome aparece grafado de formas diferentes: "${written}" (${main.count} vez(es)) e ` +
+          `"${first.text}" (${variant.count} vez(es)). Padronize a grafia para evitar dúvida sobre a identidade.`,
+        suggestion: first.text === first.text.toUpperCase() ? written.toUpperCase() : written,
+      });
+    }
+  }
+  return findings;
+}
+
+// Defined terms
+
+// A capitalized term in quotes, as in (“Contrato”) or doravante denominada
+// “LOCADORA”
+const QUOTED_TERM = /["“](\p{Lu}[^"“”]{1,60}?)["”]/gu;
+const DEFINITION_LEAD = /(?:doravante|simplesmente|denominad[oa]s?|designad[oa]s?|chamad[oa]s?)\s+(?:(?:apenas|simplesmente|como)\s+)*$/i;
+
+// Whether the quoted term at `index` of `text` is being defined: inside
+// parentheses, or after "doravante denominada" and the like.
+function isDefinition(text, index) {
+  const before = text.slice(Math.max(0, index - 200), index);
+  const open = before.lastIndexOf("(");
+  return (open >= 0 && open > before.lastIndexOf(")")) || DEFINITION_LEAD.test(before);
+}
+
+function checkDefinedTerms(paragraphs) {
+  const findings = [];
+  const defined = new Set();
+  paragraphs.forEach((p, paragraph) => {
+    for (const match of p.text.matchAll(QUOTED_TERM)) {
+      const term = match[1].trim();
+      if (defined.has(term) || !isDefinition(p.text, match.index)) continue;
+      defined.add(term);
+      const use = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, "u");
+      const earlier = paragraphs.slice(0, paragraph).map((q) => q.text).concat(p.text.slice(0, match.index));
+      const at = earlier.findIndex((text) => use.test(text));
+      if (at < 0) continue;
+      const found = use.exec(earlier[at]);
+      findings.push({
+        quote: quoteAround(earlier[at], found.index, found.index + term.length),
+        explanation: `O termo definido "${term}" é usado antes de sua definição, que só aparece adiante no ` +
+          "documento. Defina o termo no primeiro uso ou use a expressão completa até a definição.",
+        suggestion: "",
+      });
+    }
+  });
+  return findings;
+}
+
+// CPF, CNPJ and CNJ numbers
+
+const DOCUMENT_NUMBERS = [
+  {
+    label: "CPF",
+    pattern: /(?<![\d./-])\d{3}\.\d{3}\.\d{3}-\d{2}(?![\d-]?\d)|\bCPF(?:\/MF)?\s*(?:n[º°o.]*\s*)?:?\s*(\d{11})\b/g,
+    valid: isValidCpf,
+  },
+  {
+    label: "CNPJ",
+    pattern: /(?<![\d./-])\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}(?![\d-]?\d)|\bCNPJ(?:\/MF)?\s*(?:n[º°o.]*\s*)?:?\s*(\d{14})\b/g,
+    valid: isValidCnpj,
+  },
+  {
+    label: "número de processo (padrão CNJ)",
+    pattern: /(?<![\d.-])\d{7}-\d{2}\.\d{4}\.\d\.\d{2}\.\d{4}(?![\d.-]?\d)/g,
+    valid: isValidCnj,
+  },
+];
+
+function checkDocumentNumbers(paragraphs) {
+  const findings = [];
+  const seen = new Set();
+  for (const p of paragraphs) {
+    for (const { label, pattern, valid } of DOCUMENT_NUMBERS) {
+      for (const match of p.text.matchAll(pattern)) {
+        const number = match[1] || match[0];
+        if (valid(number) || seen.has(number)) continue;
+        seen.add(number);
+        findings.push({
+          quote: number,
+          explanation: `O ${label} ${number} tem dígitos verificadores inválidos. Confira o número no documento de origem.`,
+          suggestion: "",
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+// Cross-references
+
+const REFERENCE_PATTERN = /\b(?:sub)?(?:cl[áa]usulas?|ite(?:m|ns))\s+(\d{1,3}(?:\.\d{1,2})*\s*[ªº°]?(?:\s*(?:,|e|ou|a)\s*\d{1,3}(?:\.\d{1,2})*\s*[ªº°]?)*)/giu;
+// "cláusula 5ª do Contrato Social" refers to another document
+const EXTERNAL_REFERENCE = /^\s*,?\s*d[oa]s?\s+(?!presente)/i;
+
+// References to clauses and items that are not among the numbered items.
+// Only checked in documents that number their clauses or items by hand.
+function checkCrossReferences(paragraphs, items) {
+  const existing = new Set(items.filter((i) => i.kind === "decimal" || i.kind === "clause").map((i) => i.value.join(".")));
+  if (existing.size === 0) return [];
+  const findings = [];
+  const reported = new Set();
+  paragraphs.forEach((p, paragraph) => {
+    for (const match of p.text.matchAll(REFERENCE_PATTERN)) {
+      const heading = match.index === p.text.length - p.text.trimStart().length &&
+        items.some((i) => i.paragraph === paragraph);
+      const after = p.text.slice(match.index + match[0].length);
+      if (heading || EXTERNAL_REFERENCE.test(after)) continue;
+      const missing = match[1].match(/\d{1,3}(?:\.\d{1,2})*/g).filter((n) => !existing.has(n) && !reported.has(n));
+      if (missing.length === 0) continue;
+      missing.forEach((n) => reported.add(n));
+      findings.push({
+        quote: quoteAround(p.text, match.index, match.index + match[0].length),
+        explanation: `A remissão a "${match[0].trim()}" aponta para ${missing.length > 1 ? "itens que não existem" : "um item que não existe"} ` +
+          `no documento (${missing.join(", ")}). Corrija a referência ou a numeração.`,
+        suggestion: "",
+      });
+    }
+  });
+  return findings;
+}
+
+const CHECKS = {
+  numbering: checkNumbering,
+  names: checkNames,
+  defined_terms: checkDefinedTerms,
+  document_numbers: checkDocumentNumbers,
+  cross_references: checkCrossReferences,
+};
+
+// Run the client's rules on the document's paragraphs ([{ text, heading
+// }], see toParagraphs in analysis.js). Returns findings without ids.
+export function lintDocument(paragraphs, settings) {
+  if (settings && settings.enabled === false) return [];
+  const items = numberedItems(paragraphs);
+  const findings = [];
+  for (const [rule, check] of Object.entries(CHECKS)) {
+    const custom = (settings && settings.rules && settings.rules[rule]) || {};
+    if (custom.enabled === false) continue;
+    for (const finding of check(paragraphs, items)) {
+      findings.push({
+        category: LINT_RULES[rule].category,
+        severity: custom.severity || LINT_RULES[rule].severity,
+        ...finding,
+        rule,
+      });
+    }
+  }
+  return findings;
+}
+
+// Returns an error message for invalid `lint` settings, or null.
+export function validateLintSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "lint must be an object";
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== "boolean") {
+    return "lint.enabled must be true or false";
+  }
+  if (settings.rules === undefined) return null;
+  if (typeof settings.rules !== "object" || settings.rules === null || Array.isArray(settings.rules)) {
+    return "lint.rules must be an object";
+  }
+  for (const [rule, custom] of Object.entries(settings.rules)) {
+    if (!LINT_RULES[rule]) {
+      return `lint.rules may only have ${Object.keys(LINT_RULES).join(", ")}`;
+    }
+    if (typeof custom !== "object" || custom === null || Array.isArray(custom)) {
+      return `lint.rules.${rule} must be an object`;
+    }
+    if (custom.enabled !== undefined && typeof custom.enabled !== "boolean") {
+      return `lint.rules.${rule}.enabled must be true or false`;
+    }
+    if (custom.severity !== undefined && !FINDING_SEVERITIES.includes(custom.severity)) {
+      return `lint.rules.${rule}.severity must be one of ${FINDING_SEVERITIES.join(", ")}`;
+    }
+  }
+  return null;
+}
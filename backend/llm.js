@@ -0,0 +1,380 @@
+import OpenAI, { AzureOpenAI } from "openai";
+import { checkQuota, recordUsage } from "./usage.js";
+import { decryptSecret } from "./keystore.js";
+import { createRedactor, recordRedaction, PLACEHOLDER_NOTE } from "./redaction.js";
+import { UpstreamError, UPSTREAM_TIMEOUT_MS, callUpstream, providerKey } from "./upstream.js";
+
+// LLM provider abstraction. Every route calls createChatCompletion with the
+// client record and the name of the operation it performs ("ia",
+// "analyze", "configure", "deadlines", "compare" or "generate"); the
+// provider, model and sampling settings are resolved from the client
+// record (see tenants.js):
+//
+//   {
+//     "id": "cliente123",
+//     "secretHash": "...",
+//     "openaiApiKey": "enc:v1:...",          // encrypted at rest, see keystore.js
+//     "provider": {
+//       "type": "azure",                     // openai | azure | openai-compatible | ollama
+//       "baseURL": "https://recurso.openai.azure.com",
+//       "apiVersion": "2024-06-01",          // Azure only
+//       "apiKey": "...",                     // optional, overrides openaiApiKey
+//       "streamUsage": true                  // optional, see STREAM_USAGE_TYPES
+//     },
+//     "model": "gpt-4o-mini",                // default for every operation
+//     "operations": {
+//       "analyze": { "model": "gpt-4o", "temperature": 0.2, "maxTokens": 4000 },
+//       "ia": { "contextWindow": 8192 }      // tokens; used to trim chat history
+//     }
+//   }
+//
+// All providers speak the OpenAI chat completions protocol, so the OpenAI
+// SDK is used for each of them with a different base URL. For Azure the
+// model name is the deployment name.
+
+export const PROVIDER_TYPES = ["openai", "azure", "openai-compatible", "ollama"];
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_OLLAMA_URL = "http://localhost:11434/v1";
+const DEFAULT_AZURE_API_VERSION = "2024-06-01";
+
+// Providers asked for the token usage of streamed replies
+// (`stream_options.include_usage`) unless `provider.streamUsage` says
+// otherwise. Azure before api-version 2024-09-01-preview and many
+// self-hosted servers reject the parameter; their usage is estimated.
+const STREAM_USAGE_TYPES = ["openai"];
+
+// Context window (in tokens) of well-known models, used when the client
+// record does not set `contextWindow`. Matched by prefix; the first match
+// wins, so more specific prefixes come first.
+const CONTEXT_WINDOWS = [
+  ["gpt-4o", 128000],
+  ["gpt-4.1", 128000],
+  ["gpt-4-turbo", 128000],
+  ["gpt-4", 8192],
+  ["gpt-3.5-turbo", 16385],
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Output tokens reserved when the operation has no `maxTokens` setting.
+const DEFAULT_RESERVED_OUTPUT = 2048;
+
+// Per-operation defaults, matching the settings the routes used before
+// they became configurable.
+const OPERATION_DEFAULTS = {
+  ia: { temperature: 0.3 },
+  configure: { temperature: 0.7 },
+  // Lower temperature for more analytical/objective output
+  analyze: { temperature: 0.4 },
+  // Extraction of facts only, which should not vary
+  deadlines: { temperature: 0 },
+  compare: { temperature: 0.2 },
+  generate: { temperature: 0.3 },
+};
+
+const MAX_MODEL_LENGTH = 100;
+
+function invalidOperationSettings(settings, prefix) {
+  if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+    return `${prefix} must be an object`;
+  }
+  if (settings.model !== undefined &&
+      (typeof settings.model !== "string" || !settings.model.trim() || settings.model.length > MAX_MODEL_LENGTH)) {
+    return `${prefix}.model must be 1-${MAX_MODEL_LENGTH} characters`;
+  }
+  if (settings.temperature !== undefined &&
+      (typeof settings.temperature !== "number" || !(settings.temperature >= 0 && settings.temperature <= 2))) {
+    return `${prefix}.temperature must be a number from 0 to 2`;
+  }
+  for (const field of ["maxTokens", "contextWindow"]) {
+    if (settings[field] !== undefined && (!Number.isInteger(settings[field]) || settings[field] < 1)) {
+      return `${prefix}.${field} must be a positive whole number of tokens`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for invalid `provider`, `model` or `operations`
+// settings of a client record, or null. Unset (undefined or null) settings
+// are valid, and so are null provider properties (removed on update, see
+// tenants.js).
+export function validateModelSettings({ provider, model, operations }) {
+  if (provider !== undefined && provider !== null) {
+    if (typeof provider !== "object" || Array.isArray(provider)) {
+      return "provider must be an object";
+    }
+    const given = (field) => provider[field] !== undefined && provider[field] !== null;
+    if (given("type") && !PROVIDER_TYPES.includes(provider.type)) {
+      return `provider.type must be one of ${PROVIDER_TYPES.join(", ")}`;
+    }
+    if (given("baseURL") && (typeof provider.baseURL !== "string" || !/^https?:\/\//i.test(provider.baseURL))) {
+      return "provider.baseURL must be an http(s) URL";
+    }
+    for (const field of ["apiVersion", "apiKey"]) {
+      if (given(field) && (typeof provider[field] !== "string" || !provider[field])) {
+        return `provider.${field} must be a non-empty string`;
+      }
+    }
+    if (given("streamUsage") && typeof provider.streamUsage !== "boolean") {
+      return "provider.streamUsage must be true or false";
+    }
+  }
+  if (model !== undefined && model !== null &&
+      (typeof model !== "string" || !model.trim() || model.length > MAX_MODEL_LENGTH)) {
+    return `model must be 1-${MAX_MODEL_LENGTH} characters`;
+  }
+  if (operations !== undefined && operations !== null) {
+    if (typeof operations !== "object" || Array.isArray(operations)) {
+      return "operations must be an object";
+    }
+    for (const [operation, settings] of Object.entries(operations)) {
+      if (!Object.hasOwn(OPERATION_DEFAULTS, operation)) {
+        return `Unknown operation "${operation}"; operations are ${Object.keys(OPERATION_DEFAULTS).join(", ")}`;
+      }
+      const invalid = invalidOperationSettings(settings, `operations.${operation}`);
+      if (invalid) return invalid;
+    }
+  }
+  return null;
+}
+
+// Resolve the effective provider settings for a client and operation.
+// Returns { type, baseURL, apiVersion, apiKey, streamUsage, model,
+// temperature, maxTokens, contextWindow }.
+export function resolveModelConfig(clientRecord, operation) {
+  const provider = clientRecord.provider || {};
+  const type = provider.type || "openai";
+  if (!PROVIDER_TYPES.includes(type)) {
+    throw new Error(`Unknown provider type "${type}" for client ${clientRecord.id}`);
+  }
+
+  const operationConfig = (clientRecord.operations && clientRecord.operations[operation]) || {};
+  const defaults = OPERATION_DEFAULTS[operation] || {};
+
+  // Ollama does not check the key, but the SDK requires a non-empty one.
+  let apiKey = decryptSecret(provider.apiKey) || decryptSecret(clientRecord.openaiApiKey);
+  if (!apiKey && type === "openai") {
+    apiKey = process.env.OPENAI_API_KEY;
+  }
+  if (!apiKey && type === "ollama") {
+    apiKey = "ollama";
+  }
+
+  const model = operationConfig.model || clientRecord.model || DEFAULT_MODEL;
+  const known = CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+
+  return {
+    type,
+    baseURL: provider.baseURL || (type === "ollama" ? DEFAULT_OLLAMA_URL : undefined),
+    apiVersion: provider.apiVersion || DEFAULT_AZURE_API_VERSION,
+    apiKey,
+    streamUsage: provider.streamUsage ?? STREAM_USAGE_TYPES.includes(type),
+    model,
+    temperature: operationConfig.temperature ?? clientRecord.temperature ?? defaults.temperature,
+    maxTokens: operationConfig.maxTokens ?? clientRecord.maxTokens,
+    contextWindow: operationConfig.contextWindow ?? clientRecord.contextWindow ?? (known ? known[1] : DEFAULT_CONTEXT_WINDOW),
+  };
+}
+
+// Rough token count for budgeting. Portuguese legal text averages about
+// four characters per token with OpenAI tokenizers; this errs on the safe
+// side without shipping a tokenizer.
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+// Tokens available for the prompt (all messages) of an operation, after
+// reserving room for the reply.
+export function promptBudget(clientRecord, operation) {
+  const config = resolveModelConfig(clientRecord, operation);
+  return config.contextWindow - (config.maxTokens || DEFAULT_RESERVED_OUTPUT);
+}
+
+// Create an SDK client for the resolved configuration. A fresh client is
+// created for each request; the SDK is lightweight. Retries are done by
+// callUpstream (see upstream.js), not by the SDK.
+function createClient(config) {
+  if (!config.apiKey) {
+    throw new UpstreamError("invalid_api_key", "No API key configured for this client");
+  }
+  const options = { timeout: UPSTREAM_TIMEOUT_MS, maxRetries: 0 };
+  if (config.type === "azure") {
+    if (!config.baseURL) {
+      throw new Error("Azure provider requires provider.baseURL (the resource endpoint)");
+    }
+    return new AzureOpenAI({
+      apiKey: config.apiKey,
+      endpoint: config.baseURL,
+      apiVersion: config.apiVersion,
+      ...options,
+    });
+  }
+  if (config.type !== "openai" && !config.baseURL) {
+    throw new Error(`Provider "${config.type}" requires provider.baseURL`);
+  }
+  return new OpenAI({ apiKey: config.apiKey, baseURL: config.baseURL, ...options });
+}
+
+// Check that `apiKey` is accepted by the client's provider by listing its
+// models, without spending tokens. Resolves to true if the key works and
+// false if the provider rejects it; other failures (network, provider
+// down) are thrown.
+export async function validateApiKey(clientRecord, apiKey) {
+  const config = { ...resolveModelConfig(clientRecord, "ia"), apiKey };
+  const client = createClient(config);
+  try {
+    await client.models.list();
+    return true;
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Whether the provider answered 400 to `stream_options`.
+function rejectsStreamOptions(err) {
+  return err && err.status === 400 && /stream_options|include_usage/i.test(err.message || "");
+}
+
+// Wrap a streamed completion so its token usage is recorded once the
+// stream ends. Providers report usage in a final chunk when asked with
+// `stream_options.include_usage`; if none arrives (older servers, or the
+// stream was aborted) the usage is estimated from the text.
+async function* meteredStream(stream, clientRecord, operation, model, messages, audit) {
+  let usage = null;
+  let text = "";
+  try {
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) text += delta.content;
+      yield chunk;
+    }
+  } finally {
+    recordCompletionUsage(clientRecord, operation, model, usage, messages, text, audit);
+  }
+}
+
+// Record the tokens of a call for the client's usage and, if given, in
+// the request's audit entry (see audit.js).
+function recordCompletionUsage(clientRecord, operation, model, usage, messages, text, audit) {
+  try {
+    const promptTokens = usage
+      ? usage.prompt_tokens
+      : messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = usage ? usage.completion_tokens : estimateTokens(text);
+    if (audit) audit.addUsage(model, promptTokens, completionTokens);
+    recordUsage(clientRecord.id, operation, model, promptTokens, completionTokens);
+  } catch (err) {
+    // Metering must never break the request itself
+    console.error(`Could not record usage: ${err.message}`);
+  }
+}
+
+// Yield the chunks of a streamed completion with the placeholders of
+// `redactor` replaced by the original values again.
+async function* restoredStream(stream, redactor) {
+  const restorer = redactor.streamRestorer();
+  let last = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) delta.content = restorer.push(delta.content);
+    last = chunk;
+    yield chunk;
+  }
+  const rest = restorer.flush();
+  if (rest) {
+    yield { ...last, usage: undefined, choices: [{ index: 0, delta: { content: rest } }] };
+  }
+}
+
+// Mask personal data in the messages when the client has redaction
+// enabled (see redaction.js). Returns { messages, redactor }, with a null
+// redactor when nothing was masked.
+function redactMessages(clientRecord, operation, messages) {
+  const settings = clientRecord.redaction;
+  if (!settings || !settings.enabled) {
+    return { messages, redactor: null };
+  }
+  const redactor = createRedactor(settings);
+  const redacted = messages.map((m) => ({ ...m, content: redactor.redact(m.content) }));
+  if (!redactor.masked()) {
+    return { messages, redactor: null };
+  }
+  try {
+    recordRedaction(clientRecord.id, operation, redactor.counts());
+  } catch (err) {
+    // The audit must not block the request; the data is masked anyway
+    console.error(`Could not record redaction: ${err.message}`);
+  }
+  return { messages: [{ role: "system", content: PLACEHOLDER_NOTE }, ...redacted], redactor };
+}
+
+// Single entry point for chat completions. `overrides` may change the
+// model or sampling settings for a single call; `stream` returns the SDK's
+// async iterable of chunks instead of a completion, and `signal` aborts the
+// upstream request, which is retried and mapped to an UpstreamError on
+// failure (see upstream.js). Quotas are checked before the call (throwing
+// QuotaExceededError) and token usage is recorded after it, also in the
+// `audit` entry of the request when given. With redaction enabled,
+// personal data is masked in the request and restored in the reply,
+// streamed or not.
+export async function createChatCompletion(clientRecord, operation, originalMessages, { stream = false, signal, overrides = {}, audit } = {}) {
+  const config = { ...resolveModelConfig(clientRecord, operation), ...overrides };
+  const client = createClient(config);
+  checkQuota(clientRecord);
+  const { messages, redactor } = redactMessages(clientRecord, operation, originalMessages);
+
+  const params = {
+    model: config.model,
+    messages,
+  };
+  if (config.temperature !== undefined) params.temperature = config.temperature;
+  if (config.maxTokens) params.max_tokens = config.maxTokens;
+  if (stream) {
+    params.stream = true;
+    if (config.streamUsage) params.stream_options = { include_usage: true };
+  }
+
+  const call = () => callUpstream(providerKey(config), () => client.chat.completions.create(params, { signal }), {
+    signal,
+  });
+  let result;
+  try {
+    result = await call();
+  } catch (err) {
+    if (!params.stream_options || !rejectsStreamOptions(err)) throw err;
+    // The provider does not know the parameter: ask again without it; the
+    // usage of the reply is then estimated (see meteredStream)
+    console.warn(`Provider "${config.type}" rejected stream_options; set provider.streamUsage to false`);
+    delete params.stream_options;
+    result = await call();
+  }
+  if (stream) {
+    const metered = meteredStream(result, clientRecord, operation, config.model, messages, audit);
+    return redactor ? restoredStream(metered, redactor) : metered;
+  }
+  recordCompletionUsage(clientRecord, operation, config.model, result.usage, messages, completionText(result, ""), audit);
+  if (redactor) {
+    for (const choice of result.choices || []) {
+      if (choice.message && typeof choice.message.content === "string") {
+        choice.message.content = redactor.restore(choice.message.content);
+      }
+    }
+  }
+  return result;
+}
+
+// Safely extract the assistant's reply from a completion, falling back to
+// `fallback` when the response is empty or has an unexpected shape.
+export function completionText(completion, fallback) {
+  if (completion && Array.isArray(completion.choices) && completion.choices.length > 0) {
+    const choice = completion.choices[0];
+    if (choice && choice.message && typeof choice.message.content === "string" && choice.message.content.trim()) {
+      return choice.message.content.trim();
+    }
+  }
+  return fallback;
+}
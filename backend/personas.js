@@ -0,0 +1,167 @@
+import { randomUUID } from "crypto";
+import { db, transaction } from "./db.js";
+
+// Named assistant personas (e.g. "Trabalhista", "Tributário"), each with
+// the history of its system prompt, stored in the `personas` and
+// `persona_versions` tables (see db.js). A persona looks like:
+//
+//   {
+//     "id": "<uuid>",
+//     "name": "Trabalhista",
+//     "version": 3,                     // current version
+//     "prompt": "<system prompt of the current version>",
+//     "createdAt": "...",
+//     "updatedAt": "...",
+//     "versions": [                     // only from getPersona, newest first
+//       { "version": 3, "prompt": "...", "source": "rollback", "restoredFrom": 1, "createdAt": "..." },
+//       { "version": 2, "prompt": "...", "source": "manual", "createdAt": "..." },
+//       { "version": 1, "prompt": "...", "source": "optimized", "rawPrompt": "Advogado trabalhista", "createdAt": "..." }
+//     ]
+//   }
+//
+// Versions are never changed or deleted: optimizing with /api/configure,
+// editing the prompt by hand and rolling back each add a new version, so
+// every earlier prompt can still be compared and restored.
+
+const MAX_NAME_LENGTH = 80;
+const MAX_PROMPT_LENGTH = 20000;
+
+const PERSONA_COLUMNS = `
+  personas.id, personas.name, personas.created_at AS createdAt, personas.updated_at AS updatedAt,
+  v.version, v.prompt
+`;
+const CURRENT_VERSION_JOIN = `
+  JOIN persona_versions v ON v.persona_id = personas.id
+    AND v.version = (SELECT MAX(version) FROM persona_versions WHERE persona_id = personas.id)
+`;
+
+function toVersion(row) {
+  const version = { version: row.version, prompt: row.prompt, source: row.source, createdAt: row.created_at };
+  if (row.raw_prompt !== null) version.rawPrompt = row.raw_prompt;
+  if (row.restored_from !== null) version.restoredFrom = row.restored_from;
+  return version;
+}
+
+// Returns an error message for an invalid persona name, or null.
+export function validatePersonaName(name) {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `Persona name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Returns an error message for an invalid system prompt, or null.
+export function validatePersonaPrompt(prompt) {
+  if (typeof prompt !== "string" || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH) {
+    return `Persona prompt must be 1-${MAX_PROMPT_LENGTH} characters`;
+  }
+  return null;
+}
+
+function nameTaken(clientId, name, exceptId) {
+  return Boolean(db.prepare("SELECT 1 FROM personas WHERE tenant_id = ? AND name = ? AND id != ?")
+    .get(clientId, name, exceptId || ""));
+}
+
+// The client's personas with their current prompt, sorted by name.
+export function listPersonas(clientId) {
+  return db.prepare(`
+    SELECT ${PERSONA_COLUMNS} FROM personas ${CURRENT_VERSION_JOIN}
+    WHERE personas.tenant_id = ? ORDER BY personas.name COLLATE NOCASE
+  `).all(clientId);
+}
+
+// The persona with its current prompt, or undefined if it does not exist
+// or belongs to another client. With `withVersions` the whole history is
+// included.
+export function getPersona(clientId, personaId, withVersions = false) {
+  const persona = db.prepare(`
+    SELECT ${PERSONA_COLUMNS} FROM personas ${CURRENT_VERSION_JOIN}
+    WHERE personas.id = ? AND personas.tenant_id = ?
+  `).get(personaId, clientId);
+  if (persona && withVersions) {
+    persona.versions = db.prepare("SELECT * FROM persona_versions WHERE persona_id = ? ORDER BY version DESC")
+      .all(personaId)
+      .map(toVersion);
+  }
+  return persona;
+}
+
+function insertVersion(personaId, { prompt, source, rawPrompt, restoredFrom }) {
+  const now = new Date().toISOString();
+  const { latest } = db.prepare("SELECT MAX(version) AS latest FROM persona_versions WHERE persona_id = ?")
+    .get(personaId);
+  db.prepare(`
+    INSERT INTO persona_versions (persona_id, version, prompt, source, raw_prompt, restored_from, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(personaId, (latest || 0) + 1, prompt, source, rawPrompt ?? null, restoredFrom ?? null, now);
+  db.prepare("UPDATE personas SET updated_at = ? WHERE id = ?").run(now, personaId);
+}
+
+// Create a persona whose first version is `version` ({ prompt, source,
+// rawPrompt? }). Returns null if the client already has a persona with
+// that name.
+export function createPersona(clientId, name, version) {
+  return transaction(() => {
+    if (nameTaken(clientId, name.trim())) {
+      return null;
+    }
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    db.prepare("INSERT INTO personas (id, tenant_id, name, created_at, updated_at) VALUES (?, ?, ?, ?, ?)")
+      .run(id, clientId, name.trim(), now, now);
+    insertVersion(id, version);
+    return getPersona(clientId, id);
+  });
+}
+
+// Add a version ({ prompt, source, rawPrompt? }) to a persona. Returns the
+// updated persona, or undefined if it does not exist.
+export function addPersonaVersion(clientId, personaId, version) {
+  return transaction(() => {
+    if (!getPersona(clientId, personaId)) {
+      return undefined;
+    }
+    insertVersion(personaId, version);
+    return getPersona(clientId, personaId);
+  });
+}
+
+// Make an earlier version current again by copying it as a new version.
+// Returns the updated persona, undefined if the persona does not exist or
+// null if the version does not.
+export function rollbackPersona(clientId, personaId, version) {
+  return transaction(() => {
+    if (!getPersona(clientId, personaId)) {
+      return undefined;
+    }
+    const row = db.prepare("SELECT prompt FROM persona_versions WHERE persona_id = ? AND version = ?")
+      .get(personaId, version);
+    if (!row) {
+      return null;
+    }
+    insertVersion(personaId, { prompt: row.prompt, source: "rollback", restoredFrom: version });
+    return getPersona(clientId, personaId);
+  });
+}
+
+// Returns the renamed persona, undefined if it does not exist or null if
+// the name is taken.
+export function renamePersona(clientId, personaId, name) {
+  return transaction(() => {
+    if (!getPersona(clientId, personaId)) {
+      return undefined;
+    }
+    if (nameTaken(clientId, name.trim(), personaId)) {
+      return null;
+    }
+    db.prepare("UPDATE personas SET name = ?, updated_at = ? WHERE id = ?")
+      .run(name.trim(), new Date().toISOString(), personaId);
+    return getPersona(clientId, personaId);
+  });
+}
+
+// Returns true if the persona existed and was deleted with its history.
+export function deletePersona(clientId, personaId) {
+  return db.prepare("DELETE FROM personas WHERE id = ? AND tenant_id = ?").run(personaId, clientId).changes > 0;
+}
@@ -0,0 +1,69 @@
+// Inbound rate limiting of the AI routes, per client. Each client has a
+// token bucket holding up to `requestsPerMinute` requests that refills
+// continuously, so short bursts are allowed but the sustained rate is
+// capped. The limit comes from the client record (see tenants.js):
+//
+//   "rateLimit": { "requestsPerMinute": 20 }
+//
+// and defaults to RATE_LIMIT_PER_MINUTE (30; 0 disables the default
+// limit). Buckets live in memory, so with several backend processes each
+// one applies the limit on its own.
+
+const DEFAULT_REQUESTS_PER_MINUTE = process.env.RATE_LIMIT_PER_MINUTE !== undefined
+  ? Number(process.env.RATE_LIMIT_PER_MINUTE)
+  : 30;
+
+// Buckets by client id: { tokens, updatedAt, capacity }
+const buckets = new Map();
+
+function limitOf(clientRecord) {
+  return (clientRecord.rateLimit && clientRecord.rateLimit.requestsPerMinute) || DEFAULT_REQUESTS_PER_MINUTE;
+}
+
+// Take one request from the client's bucket. Returns 0 if the request may
+// proceed, or the seconds until it would be allowed.
+export function takeRequest(clientRecord) {
+  const capacity = limitOf(clientRecord);
+  if (!(capacity > 0)) return 0;
+  const now = Date.now();
+  let bucket = buckets.get(clientRecord.id);
+  if (!bucket || bucket.capacity !== capacity) {
+    // New client, or its limit was changed
+    bucket = { tokens: capacity, updatedAt: now, capacity };
+    buckets.set(clientRecord.id, bucket);
+  }
+  const perMs = capacity / 60000;
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+  bucket.updatedAt = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / perMs / 1000);
+}
+
+// Express middleware for the AI routes (after requireClient). Answers 429
+// with code `rate_limited` and a Retry-After header when the client is
+// over its limit.
+export function limitRate(req, res, next) {
+  const retryAfter = takeRequest(req.client);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      error: `Too many requests; try again in ${retryAfter} s`,
+      code: "rate_limited",
+      retryAfter,
+    });
+  }
+  next();
+}
+
+// Returns an error message for invalid `rateLimit` settings, or null.
+export function validateRateLimitSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings) ||
+      !Number.isInteger(settings.requestsPerMinute) || settings.requestsPerMinute < 1) {
+    return "rateLimit.requestsPerMinute must be a positive whole number";
+  }
+  return null;
+}
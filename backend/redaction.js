@@ -0,0 +1,263 @@
+import { db } from "./db.js";
+
+// Optional pseudonymization of personal data (LGPD) before text is sent to
+// the LLM provider. Enabled per tenant in the client record:
+//
+//   "redaction": {
+//     "enabled": true,
+//     "types": ["CPF", "CNPJ", "NOME"],     // optional; default: all types
+//     "terms": ["Maria da Silva"]            // optional; always masked as NOME
+//   }
+//
+// Every message of a call is scanned (thread history included) and each
+// entity is replaced by a placeholder such as [CPF_1]; the same value gets
+// the same placeholder throughout the call. createChatCompletion (see
+// llm.js) restores the original values in the model's reply, so routes and
+// the task pane only ever see real text, and the database keeps the
+// original conversation. Each call that masked something is recorded in
+// the `redactions` table with the number of entities of each type (never
+// the values themselves).
+
+// Detectors run in this order on text already containing the placeholders
+// of the previous ones, so longer numbers (CNJ, CNPJ) are taken before
+// shorter ones (CPF) can match inside them.
+export const ENTITY_TYPES = ["PROCESSO", "CNPJ", "CPF", "OAB", "RG", "EMAIL", "BANCO", "CEP", "ENDERECO", "NOME"];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+// A placeholder cut at the end of a streamed chunk, e.g. "[CP" or "[CPF_"
+const PARTIAL_PLACEHOLDER_PATTERN = /\[[A-Z]*(?:_\d*)?$/;
+
+function digitsOf(value) {
+  return value.replace(/\D/g, "");
+}
+
+function allSameDigit(digits) {
+  return /^(\d)\1*$/.test(digits);
+}
+
+// CPF check digits (mod 11, weights 10..2 and 11..2).
+export function isValidCpf(value) {
+  const digits = digitsOf(value);
+  if (digits.length !== 11 || allSameDigit(digits)) return false;
+  for (const length of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+    const check = (sum * 10) % 11 % 10;
+    if (check !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+// CNPJ check digits (mod 11, weights cycling 2..9 from the right).
+export function isValidCnpj(value) {
+  const digits = digitsOf(value);
+  if (digits.length !== 14 || allSameDigit(digits)) return false;
+  for (const length of [12, 13]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[length - 1 - i]) * ((i % 8) + 2);
+    const check = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+    if (check !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+// CNJ case number NNNNNNN-DD.AAAA.J.TR.OOOO (Resolução CNJ 65/2008): the
+// check digits DD are 98 - (NNNNNNN AAAA J TR OOOO 00 mod 97).
+export function isValidCnj(value) {
+  const digits = digitsOf(value);
+  if (digits.length !== 20) return false;
+  const base = BigInt(digits.slice(0, 7) + digits.slice(9)) * 100n;
+  return Number(98n - (base % 97n)) === Number(digits.slice(7, 9));
+}
+
+const NAME_WORD = "\\p{Lu}[\\p{L}'’-]*";
+const NAME_CONNECTOR = "(?:d[aeo]s?|D[AEO]S?|e|E)";
+
+// Each detector has a global regex and optionally `group` (the index of the
+// capture group holding the value, when the match includes a label such
+// as "RG nº") and `valid` (a validator for the value).
+const DETECTORS = {
+  PROCESSO: {
+    pattern: /(?<![\d.-])\d{7}-?\d{2}\.?\d{4}\.?\d\.?\d{2}\.?\d{4}(?![\d.-]?\d)/g,
+    valid: isValidCnj,
+  },
+  CNPJ: {
+    pattern: /(?<![\d./-])\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}(?![\d/-]?\d)/g,
+    valid: isValidCnpj,
+  },
+  CPF: {
+    pattern: /(?<![\d.-])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\d-]?\d)/g,
+    valid: isValidCpf,
+  },
+  OAB: {
+    pattern: /\bOAB\s*\/?\s*[A-Z]{2}\s*(?:n[º°o.]*\s*)?\d{1,3}\.?\d{3}(?:-?[A-Z])?\b/g,
+  },
+  RG: {
+    pattern: /\b(?:RG|R\.G\.|Registro Geral|[Cc]arteira de [Ii]dentidade)\s*(?:n[º°o.]*\s*)?:?\s*(\d[\dXx.-]{4,14}(?:\s*[-/]\s*[A-Z]{2,6}(?:\/[A-Z]{2})?)?)/g,
+    group: 1,
+  },
+  EMAIL: {
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  },
+  BANCO: {
+    pattern: /\b(?:[Aa]g[êe]ncia|[Aa]g\.|[Cc]onta(?:\s+[Cc]orrente|\s+[Pp]oupan[çc]a)?|[Cc]\/[Cc])\s*(?:n[º°o.]*\s*)?:?\s*(\d{3,12}-?[\dXx]?)\b/g,
+    group: 1,
+  },
+  CEP: {
+    pattern: /\b\d{5}-\d{3}\b/g,
+  },
+  ENDERECO: {
+    pattern: /\b(?:Rua|Avenida|Av\.|Travessa|Alameda|Rodovia|Estrada|Praça|Largo)\s+[^,;\n[\]]{2,60}(?:,\s*(?:n[º°o.]*\s*)?\d+[A-Za-z]?)?(?:,\s*(?:apto\.?|apartamento|sala|bloco|conjunto|casa)\s*[\w-]+)*/g,
+  },
+  // Names in the qualification of a party, e.g. "JOÃO DA SILVA, brasileiro,
+  // casado, ...": two or more capitalized words followed by a comma and a
+  // qualification word.
+  NOME: {
+    pattern: new RegExp(
+      `(${NAME_WORD}(?:\\s+(?:${NAME_CONNECTOR}\\s+)?${NAME_WORD}){1,6}),\\s+(?=` +
+      "brasileir|estrangeir|portador|inscrit|nascid|casad|solteir|divorciad|separad|vi[uú]v|menor|maior|empres[aá]ri|aposentad|nacionalidade)",
+      "gu"
+    ),
+    group: 1,
+  },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Create the redactor of one call. `redact` masks a text, and `restore`
+// puts the original values back; placeholders are shared by every text
+// redacted with the same redactor.
+export function createRedactor(settings = {}) {
+  const types = Array.isArray(settings.types) && settings.types.length > 0
+    ? ENTITY_TYPES.filter((type) => settings.types.includes(type))
+    : ENTITY_TYPES;
+  const terms = (settings.terms || []).filter((term) => typeof term === "string" && term.trim());
+  const originals = new Map(); // placeholder -> original text
+  const placeholders = new Map(); // type + normalized text -> placeholder
+  const counts = {};
+
+  // The same value in another case or spacing ("Acme Ltda", "ACME  LTDA")
+  // gets the same placeholder, restored with the spelling first seen, so
+  // the model sees one party and not two.
+  function placeholderFor(type, value) {
+    const key = `${type}\u0000${value.replace(/\s+/g, " ").trim().toLocaleLowerCase("pt-BR")}`;
+    if (!placeholders.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type}_${counts[type]}]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  }
+
+  // Replace every occurrence of `value` (e.g. a name found in a
+  // qualification, or a configured term), whatever its spacing, by its
+  // placeholder.
+  function maskOccurrences(text, type, value, flags = "g") {
+    const pattern = escapeRegExp(value).replace(/\s+/g, "\\s+");
+    return text.replace(new RegExp(pattern, flags), (found) => placeholderFor(type, found));
+  }
+
+  function redact(text) {
+    if (typeof text !== "string" || !text) return text;
+    let result = text;
+    for (const term of terms) result = maskOccurrences(result, "NOME", term.trim(), "gi");
+    for (const type of types) {
+      const { pattern, group, valid } = DETECTORS[type];
+      const found = [];
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const value = group ? args[group] : match;
+        if (!value || (valid && !valid(value))) return match;
+        if (type === "NOME") found.push(value);
+        const at = match.lastIndexOf(value);
+        return match.slice(0, at) + placeholderFor(type, value) + match.slice(at + value.length);
+      });
+      // A name found once is masked wherever else it appears, in any case
+      for (const name of found) result = maskOccurrences(result, "NOME", name, "gi");
+    }
+    return result;
+  }
+
+  function restore(text) {
+    if (typeof text !== "string" || originals.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder) =>
+      originals.has(placeholder) ? restore(originals.get(placeholder)) : placeholder);
+  }
+
+  // Restore streamed text chunk by chunk, holding back a placeholder that
+  // is cut at the end of a chunk until the rest of it arrives.
+  function streamRestorer() {
+    let pending = "";
+    return {
+      push(chunk) {
+        pending += chunk;
+        const cut = pending.search(PARTIAL_PLACEHOLDER_PATTERN);
+        const ready = cut >= 0 ? pending.slice(0, cut) : pending;
+        pending = cut >= 0 ? pending.slice(cut) : "";
+        return restore(ready);
+      },
+      flush() {
+        const rest = pending;
+        pending = "";
+        return restore(rest);
+      },
+    };
+  }
+
+  return {
+    redact,
+    restore,
+    streamRestorer,
+    // Number of distinct values masked, by type
+    counts: () => ({ ...counts }),
+    masked: () => originals.size > 0,
+  };
+}
+
+// Returns an error message for invalid `redaction` settings, or null.
+export function validateRedactionSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "redaction must be an object";
+  }
+  if (settings.types !== undefined &&
+      (!Array.isArray(settings.types) || settings.types.some((type) => !ENTITY_TYPES.includes(type)))) {
+    return `redaction.types must be a list of ${ENTITY_TYPES.join(", ")}`;
+  }
+  if (settings.terms !== undefined &&
+      (!Array.isArray(settings.terms) || settings.terms.some((term) => typeof term !== "string"))) {
+    return "redaction.terms must be a list of strings";
+  }
+  return null;
+}
+
+// Note for the model, added to the messages when something was masked.
+export const PLACEHOLDER_NOTE =
+  "Alguns dados pessoais do texto foram substituídos por marcadores como [NOME_1] ou [CPF_1]. " +
+  "Trate cada marcador como o dado que ele representa e reproduza-o exatamente, com os colchetes, quando precisar citá-lo.";
+
+// Record that a call masked `counts` ({ CPF: 2, NOME: 1 }).
+export function recordRedaction(clientId, operation, counts) {
+  db.prepare("INSERT INTO redactions (tenant_id, operation, entities, created_at) VALUES (?, ?, ?, ?)")
+    .run(clientId, operation, JSON.stringify(counts), new Date().toISOString());
+}
+
+// The client's redaction audit between two days (YYYY-MM-DD, inclusive),
+// newest first: { entries: [{ operation, entities, createdAt }], totals }.
+export function listRedactions(clientId, from, to) {
+  const rows = db.prepare(`
+    SELECT operation, entities, created_at AS createdAt FROM redactions
+    WHERE tenant_id = ? AND substr(created_at, 1, 10) BETWEEN ? AND ?
+    ORDER BY id DESC
+  `).all(clientId, from, to);
+  const totals = {};
+  const entries = rows.map((row) => {
+    const entities = JSON.parse(row.entities);
+    for (const [type, count] of Object.entries(entities)) totals[type] = (totals[type] || 0) + count;
+    return { ...row, entities };
+  });
+  return { clientId, from, to, entries, totals };
+}
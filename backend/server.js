@@ -1,90 +1,440 @@
+// Load environment variables from .env if present. This must be the first
+// import: the modules below read their settings from process.env when they
+// are evaluated.
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
-import { readFileSync, writeFileSync, existsSync } from "fs";
+import { timingSafeEqual } from "crypto";
 import path from "path";
-import OpenAI from "openai";
-
-// Load environment variables from .env if present
-dotenv.config();
+import {
+  createChatCompletion,
+  completionText,
+  estimateTokens,
+  promptBudget,
+  resolveModelConfig,
+  validateApiKey,
+} from "./llm.js";
+import {
+  createThread,
+  listThreads,
+  getThread,
+  deleteThread,
+  appendMessages,
+  trimHistory,
+} from "./threads.js";
+import {
+  QuotaExceededError,
+  checkQuota,
+  quotaStatus,
+  summarizeUsage,
+  clientsWithUsage,
+  today,
+} from "./usage.js";
+import {
+  AuthError,
+  verifySecret,
+  verifyAgainstDummy,
+  secretVersion,
+  createSession,
+  verifyToken,
+} from "./auth.js";
+import { hasMasterKey, encryptSecret, decryptSecret, maskKey } from "./keystore.js";
+import {
+  getClients,
+  findClient,
+  sealTenantKeys,
+  updateClientRecord,
+  listTenants,
+  describeTenant,
+  createTenant,
+  updateTenantSettings,
+  validateTenantId,
+  validateTenantSettings,
+  setTenantDisabled,
+  rotateTenantSecret,
+  deleteTenant,
+  generateManifest,
+} from "./tenants.js";
+import {
+  validatePersonaName,
+  validatePersonaPrompt,
+  listPersonas,
+  getPersona,
+  createPersona,
+  addPersonaVersion,
+  rollbackPersona,
+  renamePersona,
+  deletePersona,
+} from "./personas.js";
+import { importLegacyJsonOnce } from "./import-json.js";
+import { listRedactions } from "./redaction.js";
+import { toParagraphs, analyzeDocument } from "./analysis.js";
+import {
+  AUDITED_ROUTES,
+  AUDIT_FORMATS,
+  auditRoute,
+  listAuditEntries,
+  auditToCsv,
+  auditToJsonl,
+  purgeAuditLog,
+} from "./audit.js";
+import { UpstreamError, classifyError } from "./upstream.js";
+import { limitRate } from "./ratelimit.js";
+import {
+  validateDocumentName,
+  parseDocument,
+  listDocuments,
+  addDocument,
+  deleteDocument,
+  searchKnowledge,
+} from "./knowledge.js";
+import { diffVersions, summarizeChanges, MAX_CHANGES } from "./compare.js";
+import {
+  validateSnapshotName,
+  listSnapshots,
+  getSnapshot,
+  createSnapshot,
+  deleteSnapshot,
+} from "./snapshots.js";
+import {
+  MAX_RUNNING_JOBS,
+  validateJobDocument,
+  runningJobs,
+  listJobs,
+  getJob,
+  startAnalysisJob,
+  cancelJob,
+  failInterruptedJobs,
+} from "./jobs.js";
+import {
+  ROLES,
+  LEGACY_ROLE,
+  validateUser,
+  generatePassword,
+  hasUsers,
+  listUsers,
+  getUser,
+  findUserByUsername,
+  describeUser,
+  createUser,
+  updateUser,
+  deleteUser,
+} from "./users.js";
+import {
+  EVENT_TYPES,
+  ACT_TERMS,
+  listCalendars,
+  validateDeadlineFacts,
+  computeDeadline,
+  extractDeadlineFacts,
+} from "./deadlines.js";
+import {
+  SELECTION_VARIABLE,
+  renderTemplate,
+  validateCommand,
+  listCommands,
+  getCommand,
+  createCommand,
+  updateCommand,
+  deleteCommand,
+} from "./commands.js";
+import {
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  formatFieldValues,
+  generateDocument,
+} from "./templates.js";
 
 const app = express();
 app.use(cors());
+// Knowledge base uploads, snapshots, comparisons and analysis jobs carry
+// whole documents (a .docx in base64); every other route gets the default
+// limit
+app.use(["/api/knowledge/upload", "/api/snapshots/create", "/api/compare", "/api/analyze/jobs"],
+  express.json({ limit: "15mb" }));
 app.use(express.json());
 
 // Serve static files from the frontend directory
 app.use(express.static(path.join(process.cwd(), '../frontend')));
 
-// Load the list of clients from clients.json. This simple JSON file
-// contains an array of client objects with the properties:
-//  - id: unique identifier for the client (string)
-//  - secret: pre‑shared secret used to authenticate the client (string)
-//  - openaiApiKey: API key to use when calling the OpenAI API on
-//    behalf of this client (string)
-//
-// In a production system you should store this information in a database
-// and rotate secrets periodically. For the sake of simplicity, this
-// example reads the data at startup. If you modify the file, you must
-// restart the server.
-const clientsPath = path.join(process.cwd(), "clients.json");
-let clients = [];
-try {
-  const raw = readFileSync(clientsPath, { encoding: "utf-8" });
-  clients = JSON.parse(raw);
-  if (!Array.isArray(clients)) {
-    throw new Error("clients.json must be an array of clients");
-  }
-} catch (err) {
-  console.error(`Could not read clients.json: ${err.message}`);
-  clients = [];
+// Bring in the JSON files of older installs on the first start, then
+// encrypt any API keys still in plaintext (or sealed with a previous
+// master key) before serving requests.
+importLegacyJsonOnce();
+sealTenantKeys();
+
+// Analyses still running when the server stopped cannot be resumed
+const interruptedJobs = failInterruptedJobs();
+if (interruptedJobs > 0) console.log(`Marked ${interruptedJobs} interrupted analysis job(s) as failed`);
+
+// Apply the audit log retention now and once a day (see audit.js)
+function purgeExpiredAudit() {
+  try {
+    const deleted = purgeAuditLog(getClients());
+    if (deleted > 0) console.log(`Deleted ${deleted} expired audit log entries`);
+  } catch (err) {
+    console.error(`Could not purge the audit log: ${err.message}`);
+  }
+}
+purgeExpiredAudit();
+setInterval(purgeExpiredAudit, 24 * 60 * 60 * 1000).unref();
+
+// Open a Server-Sent Events response and return a function that writes
+// one named event with a JSON payload. Used by the streaming variants of
+// /api/ia and /api/analyze so the task pane can render tokens (or the
+// analysis progress) as they arrive instead of waiting for the whole
+// completion.
+function openEventStream(res) {
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Disable response buffering in Nginx-style reverse proxies
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  return (event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
 }
 
-// Load assistants custom prompts
-const assistantsPath = path.join(process.cwd(), "assistants.json");
-let assistants = {};
-function loadAssistants() {
+// Stream a chat completion to the client as SSE. Emits a `delta` event per
+// token chunk and a final `done` event with the full trimmed text (plus any
+// extra fields), or an `error` event (with the error `code` of upstream.js)
+// if the upstream call fails midway.
+// If the client disconnects (e.g. the user pressed "Cancelar"), the
+// upstream request is aborted so we stop paying for tokens. Errors raised
+// before the stream opens (missing key, rejected request) are thrown so
+// the route can still answer with a regular JSON error. Resolves with the
+// full text once the stream completed, or null if it did not. `overrides`
+// (e.g. a command's model) and `audit` are passed on to
+// createChatCompletion; a failed stream is recorded in `audit`.
+async function streamChatCompletion(res, clientRecord, operation, messages, extra = {}, { overrides, audit } = {}) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const stream = await createChatCompletion(clientRecord, operation, messages, {
+    stream: true,
+    signal: controller.signal,
+    overrides,
+    audit,
+  });
+  const send = openEventStream(res);
+  let text = "";
   try {
-    if (existsSync(assistantsPath)) {
-      const raw = readFileSync(assistantsPath, { encoding: "utf-8" });
-      assistants = JSON.parse(raw);
+    for await (const chunk of stream) {
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+        ? chunk.choices[0].delta.content
+        : undefined;
+      if (delta) {
+        text += delta;
+        send("delta", { text: delta });
+      }
     }
+    send("done", { text: text.trim(), ...extra });
   } catch (err) {
-    console.error(`Could not read assistants.json: ${err.message}`);
-    assistants = {};
+    if (controller.signal.aborted) {
+      // Client went away; nothing left to write to.
+      return null;
+    }
+    console.error(err);
+    if (audit) audit.fail(err.message || "Erro interno");
+    send("error", errorPayload(classifyError(err)));
+    res.end();
+    return null;
+  }
+  res.end();
+  return text.trim();
+}
+
+// The JSON body describing an error, with the machine-readable code the
+// task pane translates: quota errors carry the exceeded period, and
+// upstream errors (see upstream.js) the seconds to wait before retrying.
+function errorPayload(err) {
+  if (err instanceof QuotaExceededError) {
+    return { error: err.message, code: err.code, period: err.period, limit: err.limit, used: err.used };
+  }
+  if (err instanceof UpstreamError) {
+    return { error: err.message, code: err.code, retryAfter: err.retryAfter };
   }
+  return { error: err.message || "Internal Error", code: err.code };
 }
-// Initial load
-loadAssistants();
-
-function saveAssistant(clientId, optimizedPrompt) {
-  // Reload first to ensure we don't overwrite other manual changes if possible (though race condition exists)
-  loadAssistants();
-  assistants[clientId] = optimizedPrompt;
-  writeFileSync(assistantsPath, JSON.stringify(assistants, null, 2));
+
+// Send the JSON error response for an exception thrown in a route. Quota
+// errors become 429 and upstream errors their own status (see
+// upstream.js); anything else is logged and reported as an internal error.
+function sendError(res, err) {
+  if (err instanceof QuotaExceededError) {
+    return res.status(429).json(errorPayload(err));
+  }
+  const failure = classifyError(err);
+  if (failure instanceof UpstreamError) {
+    console.error(failure.message);
+    if (failure.retryAfter) res.set("Retry-After", String(failure.retryAfter));
+    return res.status(failure.status).json(errorPayload(failure));
+  }
+  console.error(err);
+  res.status(500).json({ error: err.message || "Internal Error" });
+}
+
+// Express middleware for operator-only routes under /api/admin. The
+// caller must send `Authorization: Bearer <ADMIN_TOKEN>`; the routes are
+// disabled when ADMIN_TOKEN is not set.
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: "Admin API disabled (ADMIN_TOKEN not set)" });
+  }
+  const header = req.get("Authorization") || "";
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(adminToken);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+// Resolve the { from, to } day range (YYYY-MM-DD, inclusive) of a usage
+// query, defaulting to the current month. Returns null if malformed.
+function usageRange(from, to) {
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  const current = today();
+  const range = {
+    from: from || `${current.slice(0, 7)}-01`,
+    to: to || current,
+  };
+  if (!day.test(range.from) || !day.test(range.to)) {
+    return null;
+  }
+  return range;
+}
+
+// Send the audit entries of `clientId` matching `query` ({ from?, to?,
+// route?, format? }) as a CSV (default) or JSONL download.
+function sendAuditExport(res, clientId, query) {
+  const range = usageRange(query.from, query.to);
+  if (!range) {
+    return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+  }
+  if (query.route && !AUDITED_ROUTES.includes(query.route)) {
+    return res.status(400).json({ error: `route must be one of ${AUDITED_ROUTES.join(", ")}` });
+  }
+  const format = query.format || "csv";
+  if (!AUDIT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${AUDIT_FORMATS.join(", ")}` });
+  }
+  const entries = listAuditEntries(clientId, range.from, range.to, query.route);
+  res.set({
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="audit-${clientId}-${range.from}-${range.to}.${format}"`,
+  });
+  res.send(format === "csv" ? auditToCsv(entries) : auditToJsonl(entries));
 }
 
 // Helper to find a client by id and secret. Returns the client record
-// or undefined if not found or secret mismatch.
+// or undefined if not found or secret mismatch. The comparison is
+// constant‑time, including for unknown ids.
 function getClientRecord(clientId, clientSecret) {
   if (!clientId || !clientSecret) {
     return undefined;
   }
-  return clients.find(
-    (c) => c.id === clientId && c.secret && c.secret === clientSecret
-  );
+  const clientRecord = findClient(clientId);
+  if (!clientRecord) {
+    verifyAgainstDummy(clientSecret);
+    return undefined;
+  }
+  return verifySecret(clientSecret, clientRecord.secretHash) ? clientRecord : undefined;
 }
 
-// POST /api/ia
-// Body: { clientId, clientSecret, prompt, selectedText, mode }
+// Find the client (and user) a token was issued to: { clientRecord, user },
+// with `user` null for clients without users. Returns undefined if the
+// client or user no longer exists or was disabled, if the secret or
+// password was changed after the token was issued, or if the client got
+// users after a session without one was opened.
+function getTokenSession(claims) {
+  const clientRecord = findClient(claims.sub);
+  if (!clientRecord || clientRecord.disabled || secretVersion(clientRecord.secretHash) !== claims.sv) {
+    return undefined;
+  }
+  if (!claims.uid) {
+    return hasUsers(clientRecord.id) ? undefined : { clientRecord, user: null };
+  }
+  const user = getUser(clientRecord.id, claims.uid);
+  if (!user || user.disabled || secretVersion(user.passwordHash) !== claims.uv) {
+    return undefined;
+  }
+  return { clientRecord, user };
+}
+
+// Express middleware for every client route. Reads the access token from
+// `Authorization: Bearer <token>` and sets `req.client` to the client
+// record, `req.user` to the user (null for clients without users) and
+// `req.role` to their role. Responds 401 with code `token_expired` (the
+// task pane then refreshes its session) or `invalid_token`.
+function requireClient(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: "Missing access token", code: "invalid_token" });
+  }
+  try {
+    const session = getTokenSession(verifyToken(match[1], "access"));
+    if (!session) {
+      return res.status(401).json({ error: "Session revoked", code: "invalid_token" });
+    }
+    req.client = session.clientRecord;
+    req.user = session.user && describeUser(session.user);
+    req.role = session.user ? session.user.role : LEGACY_ROLE;
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+    sendError(res, err);
+  }
+}
+
+// Express middleware (after requireClient) letting only the given roles
+// through (see users.js). Responds 403 with code `forbidden`.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.role)) {
+      return res.status(403).json({ error: `This action requires the ${roles.join(" or ")} role`, code: "forbidden" });
+    }
+    next();
+  };
+}
+const anyRole = requireRole(...ROLES);
+const adminOnly = requireRole("admin");
+
+// The login/refresh response for a session.
+function sessionResponse(clientRecord, user) {
+  return {
+    clientId: clientRecord.id,
+    user: user && describeUser(user),
+    role: user ? user.role : LEGACY_ROLE,
+    ...createSession(clientRecord, user),
+  };
+}
+
+// POST /api/login
+// Body: { clientId, clientSecret, username?, password? }
 //
-// This endpoint accepts a prompt and selected text from the Word add‑in,
-// authenticates the client using the provided id and secret, and then
-// calls the OpenAI API using the per‑client API key. The response is
-// returned as plain text with an optional mode field to instruct the
-// add‑in how to insert the returned text (e.g. replace or append).
-app.post("/api/ia", async (req, res) => {
+// Exchanges the client's long‑lived secret for a short‑lived access token
+// and a refresh token (see auth.js). This is the only route that accepts
+// the secret; every other client route requires the access token. Clients
+// with users (see users.js) also need the username and password of one of
+// them; without them the route answers 401 with code `user_required`. The
+// response tells the task pane who logged in and their role.
+app.post("/api/login", (req, res) => {
   try {
-    const { clientId, clientSecret, prompt, selectedText, mode } = req.body;
+    const { clientId, clientSecret, username, password } = req.body;
     if (!clientId || !clientSecret) {
       return res.status(400).json({ error: "Missing clientId or clientSecret" });
     }
@@ -92,244 +442,1493 @@ app.post("/api/ia", async (req, res) => {
     if (!clientRecord) {
       return res.status(401).json({ error: "Invalid client credentials" });
     }
+    if (clientRecord.disabled) {
+      return res.status(403).json({ error: "Client disabled", code: "client_disabled" });
+    }
+    if (!hasUsers(clientRecord.id)) {
+      return res.json(sessionResponse(clientRecord, null));
+    }
+    if (!username || !password) {
+      return res.status(401).json({ error: "Missing username or password", code: "user_required" });
+    }
+    const user = findUserByUsername(clientRecord.id, username);
+    if (!user) {
+      verifyAgainstDummy(String(password));
+      return res.status(401).json({ error: "Invalid username or password", code: "invalid_user_credentials" });
+    }
+    if (!verifySecret(String(password), user.passwordHash)) {
+      return res.status(401).json({ error: "Invalid username or password", code: "invalid_user_credentials" });
+    }
+    if (user.disabled) {
+      return res.status(403).json({ error: "User disabled", code: "user_disabled" });
+    }
+    res.json(sessionResponse(clientRecord, user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/refresh
+// Body: { refreshToken }
+//
+// Issues a new access/refresh token pair from a valid refresh token.
+app.post("/api/refresh", (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Missing refreshToken" });
+    }
+    const session = getTokenSession(verifyToken(refreshToken, "refresh"));
+    if (!session) {
+      return res.status(401).json({ error: "Session revoked", code: "invalid_token" });
+    }
+    res.json(sessionResponse(session.clientRecord, session.user));
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+    sendError(res, err);
+  }
+});
+
+// Markup the model may use when its reply is inserted into the document
+// ("replace" and "after" modes). The task pane turns each line into a Word
+// paragraph with the document's Heading 1/2, List Number or Quote style,
+// and ** / * into bold and italic runs (see parseBlocks in taskpane.js).
+// Chat and revise replies stay plain text.
+const FORMATTED_REPLY_INSTRUCTIONS = "Responda apenas com o texto final, sem emojis e sem comentários, pronto para ser utilizado em um documento Word (.docx). " +
+  "Escreva um parágrafo por linha e use somente esta marcação: \"# \" no início de títulos, \"## \" no início de subtítulos, " +
+  "\"1. \", \"2. \"... no início de itens e cláusulas numeradas, \"> \" no início de citações (lei, jurisprudência, doutrina), " +
+  "**negrito** e *itálico* para destaques. Não use nenhuma outra marcação (tabelas, listas com hífen, links ou blocos de código).";
+// How many knowledge base passages /api/ia sends at most, and how the
+// model should use them.
+const KNOWLEDGE_PASSAGES = Number(process.env.KNOWLEDGE_PASSAGES) || 4;
+const KNOWLEDGE_INSTRUCTIONS = "Material de referência do escritório (modelos, cláusulas padrão e precedentes), selecionado por relevância para a tarefa. " +
+  "Quando pertinente, siga o estilo, a estrutura e as cláusulas desse material e prefira-o a redações genéricas; ignore os trechos que não se aplicarem. " +
+  "Não atribua ao material conteúdo que ele não contém.";
+const PLAIN_REPLY_INSTRUCTIONS = "Responda apenas com o texto final, limpo, sem marcadores, sem asteriscos, sem emojis e pronto para ser utilizado em um documento Word (.docx).";
+
+// System message with the knowledge base passages found for a request,
+// or "" when there are none.
+function knowledgeMessage(passages) {
+  return passages.length > 0
+    ? `${KNOWLEDGE_INSTRUCTIONS}\n\n${passages.map((p, i) =>
+      `[${i + 1}] ${p.name}${p.title ? ` — ${p.title}` : ""}\n${p.text}`).join("\n\n")}`
+    : "";
+}
+
+// POST /api/ia
+// Header: Authorization: Bearer <accessToken>
+// Body: { prompt, selectedText, mode, stream, threadId, personaId } or
+//       { commandId, variables, selectedText, mode, stream, threadId, personaId }
+//
+// This endpoint accepts a prompt and selected text from the Word add‑in,
+// authenticates the client using its session access token, and then
+// calls the OpenAI API using the per‑client API key. The response is
+// returned as plain text with an optional mode field to instruct the
+// add‑in how to insert the returned text (replace, after, chat or
+// revise, which applies the reply as tracked changes).
+// When `stream` is true the reply is sent as Server-Sent Events instead
+// (see streamChatCompletion). When `threadId` is given, the previous
+// messages of that conversation thread are sent along (trimmed to the
+// model's context window) and the new exchange is appended to it.
+// With `commandId` the prompt is the command's template (see commands.js)
+// filled with `variables` and the selection, and the command's model
+// override and default mode apply. `personaId` selects the assistant
+// persona whose current prompt is the system prompt (see personas.js).
+// The passages of the client's knowledge base most relevant to the prompt
+// and selection are sent along (see knowledge.js) and listed in `sources`.
+// Each call is recorded in the client's audit log (see audit.js), as are
+// those of /api/configure, /api/analyze and /api/save-key.
+app.post("/api/ia", requireClient, auditRoute("/api/ia"), anyRole, limitRate, async (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const clientId = clientRecord.id;
+    const { selectedText, stream, threadId, commandId, variables, personaId } = req.body;
+    let { prompt, mode } = req.body;
+    let display = prompt;
+    let overrides = {};
+    if (commandId) {
+      const command = getCommand(clientId, commandId);
+      if (!command) {
+        return res.status(404).json({ error: "Command not found" });
+      }
+      try {
+        prompt = renderTemplate(command.template, { ...variables, [SELECTION_VARIABLE]: selectedText || "" });
+        display = `${command.name}: ${renderTemplate(command.template, { ...variables, [SELECTION_VARIABLE]: "(seleção)" })}`;
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      mode = mode || command.mode;
+      if (command.model) overrides = { model: command.model };
+    }
     if (!prompt) {
       return res.status(400).json({ error: "Missing prompt" });
     }
+    let thread;
+    if (threadId) {
+      thread = getThread(clientId, threadId, req.user && req.user.id);
+      if (!thread) {
+        return res.status(404).json({ error: "Thread not found" });
+      }
+    }
+    let persona;
+    if (personaId) {
+      persona = getPersona(clientId, personaId);
+      if (!persona) {
+        return res.status(404).json({ error: "Persona not found" });
+      }
+    }
 
     // Compose the full prompt that will be sent to the OpenAI API.
+    const formatted = !mode || mode === "replace" || mode === "after";
     const fullPrompt = `\nVocê é um assistente jurídico brasileiro.\nTarefa: ${prompt}\nTexto de referência (se houver):\n${selectedText || "(nenhum texto selecionado)"
-      }\nResponda apenas com o texto final, limpo, sem marcadores, sem asteriscos, sem emojis e pronto para ser utilizado em um documento Word (.docx).\n`.trim();
+      }\n${formatted ? FORMATTED_REPLY_INSTRUCTIONS : PLAIN_REPLY_INSTRUCTIONS}\n`.trim();
 
-    // Determine which API key to use. Prefer the client‑specific key
-    // from clients.json. If absent, fall back to the global OPENAI_API_KEY
-    // from the environment. If neither is provided, respond with an error.
-    const apiKey = clientRecord.openaiApiKey || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: "No OpenAI API key configured for this client" });
-    }
-
-    // Create a fresh OpenAI client for this request. The OpenAI SDK is
-    // lightweight and can be instantiated per request.
-    const openai = new OpenAI({ apiKey });
+    // In "revise" mode the pane diffs the reply against the selection and
+    // applies it as tracked changes, so the model must return the whole
+    // passage, not only the parts it changed.
+    const revisePrompt = mode === "revise"
+      ? "\nDevolva o texto de referência completo já revisado, mantendo exatamente igual tudo o que não precisar de alteração."
+      : "";
 
     // Build messages with a system prompt to guide the model's tone and
-    // content. Use a conservative temperature for deterministic output.
-
-    // Reload assistants to pick up any manual changes
-    loadAssistants();
+    // content. The provider, model and temperature come from the client
+    // record (see llm.js); the API key falls back to OPENAI_API_KEY.
 
-    // Check if there is a custom prompt for this client
-    const customSystemPrompt = assistants[clientId] ||
+    // Use the chosen persona's prompt, if any
+    const customSystemPrompt = persona ? persona.prompt :
       "Você é um assistente jurídico brasileiro especializado em Direito Civil, Trabalhista e Previdenciário. Use linguagem técnica, clara e objetiva, conforme prática forense brasileira.";
 
+    // The firm's own models, clauses and precedents on the subject
+    const passages = searchKnowledge(clientId, `${prompt}\n${selectedText || ""}`, {
+      limit: KNOWLEDGE_PASSAGES,
+      maxTokens: Math.floor(promptBudget(clientRecord, "ia") / 4),
+    });
+    const knowledgePrompt = knowledgeMessage(passages);
+    const sources = passages.map(({ documentId, name, title }) => ({ documentId, name, title }));
+
+    // Previous turns of the thread, dropping the oldest ones that do not
+    // fit in the context window next to the system prompt and new message.
+    let history = [];
+    if (thread) {
+      const budget = promptBudget(clientRecord, "ia") - estimateTokens(customSystemPrompt) -
+        estimateTokens(knowledgePrompt) - estimateTokens(fullPrompt + revisePrompt);
+      history = trimHistory(thread.messages, Math.max(budget, 0));
+    }
+
     const messages = [
       {
         role: "system",
         content: customSystemPrompt,
       },
-      { role: "user", content: fullPrompt },
+      ...(knowledgePrompt ? [{ role: "system", content: knowledgePrompt }] : []),
+      ...history,
+      { role: "user", content: fullPrompt + revisePrompt },
     ];
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages,
-      temperature: 0.3,
-    });
-    // Safely extract the assistant's reply.  Use optional chaining
-    // on array elements to avoid exceptions when the API response
-    // structure changes or is undefined.
-    let answer = 'Não foi possível gerar resposta.';
-    if (completion && Array.isArray(completion.choices) && completion.choices.length > 0) {
-      const choice = completion.choices[0];
-      if (choice && choice.message && typeof choice.message.content === 'string') {
-        answer = choice.message.content.trim();
+
+    req.audit.set({ persona, request: fullPrompt + revisePrompt });
+
+    // Record the exchange in the thread once the reply is complete
+    const saveToThread = (answer) => {
+      req.audit.set({ response: answer });
+      if (thread && answer) {
+        appendMessages(clientId, thread.id, [
+          { role: "user", content: fullPrompt + revisePrompt, display },
+          { role: "assistant", content: answer },
+        ]);
       }
+    };
+
+    if (stream) {
+      const answer = await streamChatCompletion(res, clientRecord, "ia", messages, {
+        mode: mode || "replace",
+        threadId: thread ? thread.id : undefined,
+        sources,
+      }, { overrides, audit: req.audit });
+      saveToThread(answer);
+      return;
     }
-    res.json({ text: answer, mode: mode || "replace" });
+    const completion = await createChatCompletion(clientRecord, "ia", messages, { overrides, audit: req.audit });
+    const answer = completionText(completion, 'Não foi possível gerar resposta.');
+    saveToThread(answer);
+    res.json({ text: answer, mode: mode || "replace", threadId: thread ? thread.id : undefined, sources });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message || "Erro interno" });
+    sendError(res, err);
   }
 });
 
-// POST /api/configure
-// Body: { clientId, clientSecret, rawPrompt }
+// POST /api/threads/create
+// Header: Authorization: Bearer <accessToken>
+// Body: { title? }
 //
-// This endpoint takes a raw role description (e.g. "Civil Lawyer"),
-// optimizes it using GPT-4o-mini into a detailed system prompt,
-// and saves it for the client.
-app.post("/api/configure", async (req, res) => {
+// Starts a new, empty conversation thread for the client.
+app.post("/api/threads/create", requireClient, anyRole, (req, res) => {
   try {
-    const { clientId, clientSecret, rawPrompt } = req.body;
-    if (!clientId || !clientSecret) {
-      return res.status(400).json({ error: "Missing clientId or clientSecret" });
-    }
-    const clientRecord = getClientRecord(clientId, clientSecret);
-    if (!clientRecord) {
-      return res.status(401).json({ error: "Invalid client credentials" });
-    }
-    if (!rawPrompt) {
-      return res.status(400).json({ error: "Missing rawPrompt" });
-    }
-
-    const apiKey = clientRecord.openaiApiKey || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: "No OpenAI API key configured" });
-    }
+    const clientId = req.client.id;
+    const { title } = req.body;
+    res.json({ thread: createThread(clientId, title, req.user && req.user.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const openai = new OpenAI({ apiKey });
+// POST /api/threads/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the client's threads (without messages), most recent first.
+app.post("/api/threads/list", requireClient, anyRole, (req, res) => {
+  try {
+    const clientId = req.client.id;
+    res.json({ threads: listThreads(clientId, req.user && req.user.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // Optimize the prompt
-    const optimizationMessages = [
-      {
-        role: "system",
-        content: "Você é um especialista em Prompt Engineering para LLMs. Sua tarefa é transformar uma descrição curta de um papel profissional em um 'System Prompt' detalhado, robusto e otimizado para gerar documentos jurídicos de alta qualidade. O prompt otimizado deve instruir a IA a agir como esse profissional, usando terminologia correta e estilo formal. Responda APENAS com o prompt otimizado, sem explicações adicionais."
+// POST /api/threads/get
+// Header: Authorization: Bearer <accessToken>
+// Body: { threadId }
+//
+// Returns a thread with its messages so the task pane can resume it. Only
+// the text the user typed (`display`) is returned for user messages, not
+// the full prompt with the selected text.
+app.post("/api/threads/get", requireClient, anyRole, (req, res) => {
+  try {
+    const clientId = req.client.id;
+    const { threadId } = req.body;
+    const thread = threadId && getThread(clientId, threadId, req.user && req.user.id);
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    res.json({
+      thread: {
+        id: thread.id,
+        title: thread.title,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt,
+        messages: thread.messages.map((m) => ({
+          role: m.role,
+          content: m.display || m.content,
+          createdAt: m.createdAt,
+        })),
       },
-      {
-        role: "user",
-        content: `Crie um System Prompt otimizado para esta descrição: "${rawPrompt}"`
-      }
-    ];
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: optimizationMessages,
-      temperature: 0.7
     });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    let optimizedPrompt = "Você é um assistente jurídico.";
-    if (completion && completion.choices && completion.choices.length > 0) {
-      const content = completion.choices[0].message.content;
-      if (content) optimizedPrompt = content.trim();
+// POST /api/threads/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { threadId }
+app.post("/api/threads/delete", requireClient, anyRole, (req, res) => {
+  try {
+    const clientId = req.client.id;
+    const { threadId } = req.body;
+    if (!threadId || !deleteThread(clientId, threadId, req.user && req.user.id)) {
+      return res.status(404).json({ error: "Thread not found" });
     }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // Save
-    saveAssistant(clientId, optimizedPrompt);
-
-    res.json({ success: true, optimizedPrompt });
-
+// POST /api/commands/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the client's command library, sorted by name.
+app.post("/api/commands/list", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({ commands: listCommands(req.client.id) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message || "Internal Error" });
+    sendError(res, err);
   }
 });
 
-const EXPERT_PROMPT = `
-Você é uma Autoridade Suprema em Direito Brasileiro e Linguística, atuando como o mais experiente Consultor Jurídico e Revisor de Textos.
-Você detém conhecimento enciclopédico de todas as áreas do Direito (Civil, Penal, Trabalhista, Tributário, Constitucional, etc.) e domínio absoluto da Norma Culta da Língua Portuguesa.
+// POST /api/commands/create
+// Header: Authorization: Bearer <accessToken>
+// Body: { name, template, mode?, model? }
+app.post("/api/commands/create", requireClient, adminOnly, (req, res) => {
+  try {
+    const { name, template, mode, model } = req.body;
+    const invalid = validateCommand({ name, template, mode, model });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const command = createCommand(req.client.id, { name, template, mode, model });
+    if (!command) {
+      return res.status(409).json({ error: `A command named "${name.trim()}" already exists` });
+    }
+    res.status(201).json({ command });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-Sua missão é realizar uma ANÁLISE FORENSE E LINGUÍSTICA DO DOCUMENTO fornecido.
+// POST /api/commands/update
+// Header: Authorization: Bearer <accessToken>
+// Body: { commandId, name?, template?, mode?, model? } (model: null removes
+// the override)
+app.post("/api/commands/update", requireClient, adminOnly, (req, res) => {
+  try {
+    const { commandId, name, template, mode, model } = req.body;
+    const invalid = validateCommand({ name, template, mode, model }, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const command = commandId && updateCommand(req.client.id, commandId, { name, template, mode, model });
+    if (command === null) {
+      return res.status(409).json({ error: `A command named "${name.trim()}" already exists` });
+    }
+    if (!command) {
+      return res.status(404).json({ error: "Command not found" });
+    }
+    res.json({ command });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-Diretrizes de Análise:
-1.  **Rigidez Jurídica**: Verifique a solidez dos argumentos, a correta aplicação dos institutos jurídicos e a vigência das leis citadas. Aponte fragilidades, riscos de nulidade ou teses ultrapassadas.
-2.  **Excelência Linguística**: Identifique erros gramaticais, de sintaxe, pontuação e regência. Avalie a clareza, a coesão e a elegância do texto. O estilo deve ser culto, formal e persuasivo, sem ser pedante.
-3.  **Estratégia Processual**: Analise se o texto atinge seu objetivo (convencer o juiz, notificar a parte, etc.) com eficácia.
+// POST /api/commands/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { commandId }
+app.post("/api/commands/delete", requireClient, adminOnly, (req, res) => {
+  try {
+    const { commandId } = req.body;
+    if (!commandId || !deleteCommand(req.client.id, commandId)) {
+      return res.status(404).json({ error: "Command not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-Formato da Resposta:
-Forneça um RELATÓRIO TÉCNICO estruturado:
--   **Resumo da Análise**: Uma visão geral da qualidade do documento.
--   **Pontos Críticos (Jurídico)**: Erros graves ou sugestões de fundamentação.
--   **Correções Linguísticas**: Lista de erros gramaticais ou de estilo encontrados.
--   **Sugestões de Melhoria**: Recomendações para elevar o nível do documento.
+// POST /api/templates/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the client's document templates, sorted by name, with their
+// fields so the pane can show the form (see templates.js).
+app.post("/api/templates/list", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({ templates: listTemplates(req.client.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-Se o documento estiver perfeito, reconheça a excelência. Se estiver ruim, seja implacável mas construtivo.
-`;
+// POST /api/templates/create
+// Header: Authorization: Bearer <accessToken>
+// Body: { name, description?, fields, sections, body }
+app.post("/api/templates/create", requireClient, adminOnly, (req, res) => {
+  try {
+    const { name, description, fields, sections, body } = req.body;
+    const invalid = validateTemplate({ name, description, fields, sections, body });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const template = createTemplate(req.client.id, { name, description, fields, sections, body });
+    if (!template) {
+      return res.status(409).json({ error: `A template named "${name.trim()}" already exists` });
+    }
+    res.status(201).json({ template });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-// POST /api/analyze
-// Body: { clientId, clientSecret, documentText }
-//
-// Performs a full analysis of the document using the Expert Prompt.
-app.post("/api/analyze", async (req, res) => {
+// POST /api/templates/update
+// Header: Authorization: Bearer <accessToken>
+// Body: { templateId, name?, description?, fields?, sections?, body? }
+app.post("/api/templates/update", requireClient, adminOnly, (req, res) => {
   try {
-    const { clientId, clientSecret, documentText } = req.body;
-    if (!clientId || !clientSecret) {
-      return res.status(400).json({ error: "Missing clientId or clientSecret" });
+    const { templateId } = req.body;
+    const current = templateId && getTemplate(req.client.id, templateId);
+    if (!current) {
+      return res.status(404).json({ error: "Template not found" });
     }
-    const clientRecord = getClientRecord(clientId, clientSecret);
-    if (!clientRecord) {
-      return res.status(401).json({ error: "Invalid client credentials" });
+    const changed = {};
+    for (const key of ["name", "description", "fields", "sections", "body"]) {
+      changed[key] = req.body[key] !== undefined ? req.body[key] : current[key];
     }
-    if (!documentText) {
-      return res.status(400).json({ error: "Missing documentText" });
+    const invalid = validateTemplate(changed);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const template = updateTemplate(req.client.id, templateId, changed);
+    if (template === null) {
+      return res.status(409).json({ error: `A template named "${changed.name.trim()}" already exists` });
     }
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json({ template });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const apiKey = clientRecord.openaiApiKey || process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: "No OpenAI API key configured" });
+// POST /api/templates/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { templateId }
+app.post("/api/templates/delete", requireClient, adminOnly, (req, res) => {
+  try {
+    const { templateId } = req.body;
+    if (!templateId || !deleteTemplate(req.client.id, templateId)) {
+      return res.status(404).json({ error: "Template not found" });
     }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const openai = new OpenAI({ apiKey });
+// POST /api/templates/generate
+// Header: Authorization: Bearer <accessToken>
+// Body: { templateId, values: { <field>: <value> } }
+//
+// Generates a document from a template: the values are checked and
+// formatted for their field types, the template's fixed text is filled in
+// as written and the model writes its sections, drawing on the knowledge
+// base. Responds with { text, sections, sources }, `text` being the whole
+// document in the markup of FORMATTED_REPLY_INSTRUCTIONS, or 400 with code
+// `invalid_fields` and the reason for each invalid field in `fields`
+// ("required", "invalid" or "too_long").
+app.post("/api/templates/generate", requireClient, auditRoute("/api/templates/generate"), anyRole, limitRate, async (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const { templateId, values } = req.body;
+    const template = templateId && getTemplate(clientRecord.id, templateId);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    if (values !== undefined && (!values || typeof values !== "object" || Array.isArray(values))) {
+      return res.status(400).json({ error: "values must be an object" });
+    }
+    const formatted = formatFieldValues(template, values);
+    const invalidFields = Object.keys(formatted.errors);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        error: `Invalid fields: ${invalidFields.join(", ")}`,
+        code: "invalid_fields",
+        fields: formatted.errors,
+      });
+    }
+    req.audit.set({ request: JSON.stringify({ template: template.name, values: formatted.values }) });
 
-    const messages = [
-      {
-        role: "system",
-        content: EXPERT_PROMPT
-      },
-      {
-        role: "user",
-        content: `Aqui está o texto do documento para análise:\n\n${documentText}`
-      }
-    ];
+    const passages = template.sections.length > 0
+      ? searchKnowledge(clientRecord.id, [
+        template.name,
+        ...template.sections.map((section) => section.instructions),
+        ...template.fields.filter((field) => field.type === "long_text").map((field) => formatted.values[field.name]),
+      ].join("\n"), {
+        limit: KNOWLEDGE_PASSAGES,
+        maxTokens: Math.floor(promptBudget(clientRecord, "generate") / 4),
+      })
+      : [];
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages,
-      temperature: 0.4 // Lower temperature for more analytical/objective output
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
     });
+    const document = await generateDocument(clientRecord, template, formatted.values, {
+      reference: knowledgeMessage(passages),
+      signal: controller.signal,
+      audit: req.audit,
+    });
+    req.audit.set({ response: document.text });
+    res.json({ ...document, sources: passages.map(({ documentId, name, title }) => ({ documentId, name, title })) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    let analysis = "Não foi possível gerar a análise.";
-    if (completion && completion.choices && completion.choices.length > 0) {
-      const content = completion.choices[0].message.content;
-      if (content) analysis = content.trim();
-    }
-
-    res.json({ analysis });
-
+// POST /api/knowledge/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the documents of the client's knowledge base (see knowledge.js).
+app.post("/api/knowledge/list", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({ documents: listDocuments(req.client.id) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message || "Internal Error" });
+    sendError(res, err);
   }
 });
 
-// POST /api/save-key
-// Body: { clientId, clientSecret, apiKey }
+// POST /api/knowledge/upload
+// Header: Authorization: Bearer <accessToken>
+// Body: { name, content } (content: the file, base64-encoded)
 //
-// Updates the client's record with a new OpenAI API key.
-app.post("/api/save-key", (req, res) => {
+// Adds a .docx, .txt or .md document to the knowledge base, split into
+// indexed passages that /api/ia retrieves by relevance.
+app.post("/api/knowledge/upload", requireClient, adminOnly, (req, res) => {
   try {
-    const { clientId, clientSecret, apiKey } = req.body;
-    if (!clientId || !clientSecret) {
-      return res.status(400).json({ error: "Missing clientId or clientSecret" });
+    const { name, content } = req.body;
+    const invalid = validateDocumentName(name);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
-    if (!apiKey) {
-      return res.status(400).json({ error: "Missing apiKey" });
+    if (typeof content !== "string" || !content) {
+      return res.status(400).json({ error: "Missing content" });
     }
-
-    const clientRecord = getClientRecord(clientId, clientSecret);
-    if (!clientRecord) {
-      return res.status(401).json({ error: "Invalid client credentials" });
+    const buffer = Buffer.from(content, "base64");
+    let paragraphs;
+    try {
+      paragraphs = parseDocument(name, buffer);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (paragraphs.length === 0) {
+      return res.status(400).json({ error: "The document has no text" });
     }
+    const document = addDocument(req.client.id, name, buffer.length, paragraphs);
+    if (!document) {
+      return res.status(409).json({ error: `A document named "${name.trim()}" already exists` });
+    }
+    res.status(201).json({ document });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // Update the key in memory and on disk
-    // Note: In a real production app, use a secure vault.
-    const clientsPath = path.join(process.cwd(), "clients.json");
-    let allClients = [];
-    if (existsSync(clientsPath)) {
-      allClients = JSON.parse(readFileSync(clientsPath, "utf-8"));
+// POST /api/knowledge/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { documentId }
+app.post("/api/knowledge/delete", requireClient, adminOnly, (req, res) => {
+  try {
+    const { documentId } = req.body;
+    if (!documentId || !deleteDocument(req.client.id, documentId)) {
+      return res.status(404).json({ error: "Document not found" });
     }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    const clientIndex = allClients.findIndex(c => c.id === clientId && c.secret === clientSecret);
-    if (clientIndex >= 0) {
-      allClients[clientIndex].openaiApiKey = apiKey;
-      clients = allClients; // Update memory cache
-      writeFileSync(clientsPath, JSON.stringify(allClients, null, 2));
-      res.json({ success: true, message: "API Key salva com sucesso." });
-    } else {
-      // Should not happen if getClientRecord passed
-      res.status(500).json({ error: "Client found in cache but not in file." });
+// POST /api/personas/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the client's assistant personas with their current prompt.
+app.post("/api/personas/list", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({ personas: listPersonas(req.client.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/personas/get
+// Header: Authorization: Bearer <accessToken>
+// Body: { personaId }
+//
+// Returns the persona with all versions of its prompt, newest first.
+app.post("/api/personas/get", requireClient, adminOnly, (req, res) => {
+  try {
+    const { personaId } = req.body;
+    const persona = personaId && getPersona(req.client.id, personaId, true);
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
     }
+    res.json({ persona });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// POST /api/personas/create
+// Header: Authorization: Bearer <accessToken>
+// Body: { name, prompt }
+//
+// Creates a persona from a prompt written by hand (see /api/configure for
+// one optimized by the model).
+app.post("/api/personas/create", requireClient, adminOnly, (req, res) => {
+  try {
+    const { name, prompt } = req.body;
+    const invalid = validatePersonaName(name) || validatePersonaPrompt(prompt);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const persona = createPersona(req.client.id, name, { prompt, source: "manual" });
+    if (!persona) {
+      return res.status(409).json({ error: `A persona named "${name.trim()}" already exists` });
+    }
+    res.status(201).json({ persona });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/personas/update
+// Header: Authorization: Bearer <accessToken>
+// Body: { personaId, name?, prompt? }
+//
+// Renames the persona and/or saves a prompt edited by hand as a new
+// version.
+app.post("/api/personas/update", requireClient, adminOnly, (req, res) => {
+  try {
+    const clientId = req.client.id;
+    const { personaId, name, prompt } = req.body;
+    const invalid = (name !== undefined && validatePersonaName(name)) ||
+      (prompt !== undefined && validatePersonaPrompt(prompt));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    let persona = personaId && getPersona(clientId, personaId);
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    if (name !== undefined && name.trim() !== persona.name) {
+      persona = renamePersona(clientId, personaId, name);
+      if (!persona) {
+        return res.status(409).json({ error: `A persona named "${name.trim()}" already exists` });
+      }
+    }
+    if (prompt !== undefined && prompt !== persona.prompt) {
+      persona = addPersonaVersion(clientId, personaId, { prompt, source: "manual" });
+    }
+    res.json({ persona });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/personas/rollback
+// Header: Authorization: Bearer <accessToken>
+// Body: { personaId, version }
+//
+// Makes an earlier version current again. The restored prompt is saved as
+// a new version, so the history is kept.
+app.post("/api/personas/rollback", requireClient, adminOnly, (req, res) => {
+  try {
+    const { personaId, version } = req.body;
+    const persona = personaId && rollbackPersona(req.client.id, personaId, Number(version));
+    if (persona === null) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    res.json({ persona });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/personas/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { personaId }
+app.post("/api/personas/delete", requireClient, adminOnly, (req, res) => {
+  try {
+    const { personaId } = req.body;
+    if (!personaId || !deletePersona(req.client.id, personaId)) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/configure
+// Header: Authorization: Bearer <accessToken>
+// Body: { rawPrompt, personaId } or { rawPrompt, name }
+//
+// This endpoint takes a raw role description (e.g. "Civil Lawyer"),
+// optimizes it using the client's "configure" model into a detailed
+// system prompt, and saves it as a new version of the persona, or as a
+// new persona called `name`.
+app.post("/api/configure", requireClient, auditRoute("/api/configure"), adminOnly, limitRate, async (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const clientId = clientRecord.id;
+    const { rawPrompt, personaId, name } = req.body;
+    if (!rawPrompt) {
+      return res.status(400).json({ error: "Missing rawPrompt" });
+    }
+    req.audit.set({ request: rawPrompt });
+    // Check the target before spending tokens on the optimization
+    if (personaId) {
+      const persona = getPersona(clientId, personaId);
+      if (!persona) {
+        return res.status(404).json({ error: "Persona not found" });
+      }
+      req.audit.set({ persona });
+    } else {
+      const invalid = validatePersonaName(name);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      if (listPersonas(clientId).some((p) => p.name === name.trim())) {
+        return res.status(409).json({ error: `A persona named "${name.trim()}" already exists` });
+      }
+    }
+
+    // Optimize the prompt
+    const optimizationMessages = [
+      {
+        role: "system",
+        content: "Você é um especialista em Prompt Engineering para LLMs. Sua tarefa é transformar uma descrição curta de um papel profissional em um 'System Prompt' detalhado, robusto e otimizado para gerar documentos jurídicos de alta qualidade. O prompt otimizado deve instruir a IA a agir como esse profissional, usando terminologia correta e estilo formal. Responda APENAS com o prompt otimizado, sem explicações adicionais."
+      },
+      {
+        role: "user",
+        content: `Crie um System Prompt otimizado para esta descrição: "${rawPrompt}"`
+      }
+    ];
+
+    const completion = await createChatCompletion(clientRecord, "configure", optimizationMessages, {
+      audit: req.audit,
+    });
+    const optimizedPrompt = completionText(completion, "Você é um assistente jurídico.");
+    req.audit.set({ response: optimizedPrompt });
+
+    // Save as a new version
+    const version = { prompt: optimizedPrompt, source: "optimized", rawPrompt };
+    const persona = personaId
+      ? addPersonaVersion(clientId, personaId, version)
+      : createPersona(clientId, name, version);
+    if (!persona) {
+      // Deleted or created concurrently while the model was answering
+      return res.status(409).json({ error: "The persona changed while the prompt was optimized; try again" });
+    }
+    req.audit.set({ persona });
+
+    res.json({ success: true, optimizedPrompt, persona });
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/analyze
+// Header: Authorization: Bearer <accessToken>
+// Body: { paragraphs: [{ text, heading }], stream } or { documentText, stream }
+//
+// Performs a full analysis of the document, section by section, and
+// responds with the merged structured findings, including those of the
+// client's drafting rules (see lint.js): { summary, findings, ruleFindings,
+// discarded, sections, failedSections } (see analysis.js). `heading` is the
+// paragraph's heading level (0 for body text), used to split the document
+// into sections. When `stream` is true the progress of each section is
+// sent as Server-Sent Events (`sections`, `section`, `section_done`,
+// `section_error`) and the `done` event carries the report. The task pane
+// uses /api/analyze/jobs instead, which does not depend on the request
+// staying open.
+app.post("/api/analyze", requireClient, auditRoute("/api/analyze"), anyRole, limitRate, async (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const { stream } = req.body;
+    const paragraphs = toParagraphs(req.body);
+    if (paragraphs.length === 0) {
+      return res.status(400).json({ error: "Missing documentText" });
+    }
+    req.audit.set({ request: paragraphs.map((p) => p.text).join("\n") });
+
+    if (!stream) {
+      const report = await analyzeDocument(clientRecord, paragraphs, { audit: req.audit });
+      req.audit.set({ response: JSON.stringify(report) });
+      return res.json(report);
+    }
+
+    // Fail fast with a JSON error before the event stream opens
+    checkQuota(clientRecord);
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const send = openEventStream(res);
+    try {
+      const report = await analyzeDocument(clientRecord, paragraphs, {
+        signal: controller.signal,
+        audit: req.audit,
+        onProgress: send,
+      });
+      req.audit.set({ response: JSON.stringify(report) });
+      send("done", report);
+    } catch (err) {
+      if (controller.signal.aborted) {
+        // Client went away; nothing left to write to.
+        return;
+      }
+      console.error(err);
+      req.audit.fail(err.message || "Erro interno");
+      send("error", errorPayload(classifyError(err)));
+    }
+    res.end();
+
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/analyze/jobs
+// Header: Authorization: Bearer <accessToken>
+// Body: { paragraphs: [{ text, heading }], documentId?, documentName? }
+//
+// Starts analyzing the document in the background, like /api/analyze,
+// and responds at once with 202 and { job } (see jobs.js). Poll
+// /api/analyze/jobs/status for the progress and the report. `documentId`
+// is the id the pane keeps in the document's properties, so the document's
+// analyses can be listed later. 429 with code `too_many_jobs` when the
+// client already has MAX_RUNNING_JOBS analyses running.
+app.post("/api/analyze/jobs", requireClient, anyRole, limitRate, (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const { documentId, documentName } = req.body;
+    const paragraphs = toParagraphs(req.body);
+    if (paragraphs.length === 0) {
+      return res.status(400).json({ error: "Missing paragraphs" });
+    }
+    const invalid = validateJobDocument({ documentId, documentName });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (runningJobs(clientRecord.id) >= MAX_RUNNING_JOBS) {
+      return res.status(429).json({
+        error: `At most ${MAX_RUNNING_JOBS} analyses may run at once`,
+        code: "too_many_jobs",
+      });
+    }
+    // Fail fast, before the job is created
+    checkQuota(clientRecord);
+    const job = startAnalysisJob(clientRecord, paragraphs, { user: req.user, documentId, documentName });
+    res.status(202).json({ job });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/analyze/jobs/status
+// Header: Authorization: Bearer <accessToken>
+// Body: { jobId }
+//
+// Responds with { job }: its status and progress and, once done, the
+// report.
+app.post("/api/analyze/jobs/status", requireClient, anyRole, (req, res) => {
+  try {
+    const job = req.body.jobId && getJob(req.client.id, req.body.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json({ job });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/analyze/jobs/cancel
+// Header: Authorization: Bearer <accessToken>
+// Body: { jobId }
+//
+// Stops a running analysis. Responds with { job }, or 409 if it had
+// already finished.
+app.post("/api/analyze/jobs/cancel", requireClient, anyRole, (req, res) => {
+  try {
+    const { jobId } = req.body;
+    const job = jobId && getJob(req.client.id, jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (job.status !== "running") {
+      return res.status(409).json({ error: `The job is already ${job.status}` });
+    }
+    res.json({ job: cancelJob(req.client.id, jobId) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/analyze/jobs/list
+// Header: Authorization: Bearer <accessToken>
+// Body: { documentId?, contentHash? }
+//
+// Lists the analyses of a document, newest first and without their
+// reports: those started with its `documentId` or on the same content
+// (see contentHash in jobs.js).
+app.post("/api/analyze/jobs/list", requireClient, anyRole, (req, res) => {
+  try {
+    const { documentId, contentHash } = req.body;
+    if (!documentId && !contentHash) {
+      return res.status(400).json({ error: "Missing documentId or contentHash" });
+    }
+    res.json({ jobs: listJobs(req.client.id, { documentId, contentHash }) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/snapshots/list
+// Header: Authorization: Bearer <accessToken>
+//
+// Lists the saved versions of documents (without their text), newest
+// first.
+app.post("/api/snapshots/list", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({ snapshots: listSnapshots(req.client.id, req.user && req.user.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/snapshots/create
+// Header: Authorization: Bearer <accessToken>
+// Body: { name, paragraphs: [{ text, heading }] }
+//
+// Saves the document's body as it is now, to compare with later (see
+// /api/compare).
+app.post("/api/snapshots/create", requireClient, anyRole, (req, res) => {
+  try {
+    const { name } = req.body;
+    const invalid = validateSnapshotName(name);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const paragraphs = toParagraphs(req.body);
+    if (paragraphs.length === 0) {
+      return res.status(400).json({ error: "Missing paragraphs" });
+    }
+    res.status(201).json({ snapshot: createSnapshot(req.client.id, name, paragraphs, req.user && req.user.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/snapshots/delete
+// Header: Authorization: Bearer <accessToken>
+// Body: { snapshotId }
+app.post("/api/snapshots/delete", requireClient, anyRole, (req, res) => {
+  try {
+    const { snapshotId } = req.body;
+    if (!snapshotId || !deleteSnapshot(req.client.id, snapshotId, req.user && req.user.id)) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/compare
+// Header: Authorization: Bearer <accessToken>
+// Body: { paragraphs: [{ text, heading }], snapshotId? , document?: { name,
+//         content }, otherIsNewer?, party? }
+//
+// Compares the document open in Word (`paragraphs`: every paragraph of
+// the body, empty ones included) with another version of it: a saved
+// snapshot or an uploaded document (`content` base64-encoded). With
+// `otherIsNewer` the other version is the later one, e.g. the other
+// party's redline. The versions are diffed clause by clause and the model
+// summarizes each change and whom it favors, from the point of view of
+// `party` if given. Responds with { summary, changes, unchanged } (see
+// compare.js), or 400 with code `versions_unrelated` when the versions
+// differ in more than MAX_CHANGES clauses, or `document_too_large` when
+// either has more than MAX_PARAGRAPHS paragraphs or MAX_CLAUSES clauses.
+app.post("/api/compare", requireClient, auditRoute("/api/compare"), anyRole, limitRate, async (req, res) => {
+  try {
+    const { paragraphs, snapshotId, document, otherIsNewer, party } = req.body;
+    if (!Array.isArray(paragraphs) || !paragraphs.some((p) => p && typeof p.text === "string" && p.text.trim())) {
+      return res.status(400).json({ error: "Missing paragraphs" });
+    }
+    if (party !== undefined && (typeof party !== "string" || party.length > 120)) {
+      return res.status(400).json({ error: "party must be at most 120 characters" });
+    }
+    let other;
+    if (snapshotId) {
+      const snapshot = getSnapshot(req.client.id, snapshotId, req.user && req.user.id);
+      if (!snapshot) {
+        return res.status(404).json({ error: "Snapshot not found" });
+      }
+      other = snapshot.paragraphs;
+    } else if (document && typeof document.content === "string" && document.content) {
+      const invalid = validateDocumentName(document.name);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      try {
+        other = parseDocument(document.name, Buffer.from(document.content, "base64"));
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    } else {
+      return res.status(400).json({ error: "Missing snapshotId or document" });
+    }
+
+    const diff = diffVersions(paragraphs, other, { otherIsNewer: Boolean(otherIsNewer) });
+    if (diff.error) {
+      return res.status(400).json(diff);
+    }
+    const { changes, unchanged } = diff;
+    if (changes.length > MAX_CHANGES) {
+      return res.status(400).json({
+        error: `The versions differ in ${changes.length} clauses (more than ${MAX_CHANGES}); they may not be versions of the same document`,
+        code: "versions_unrelated",
+      });
+    }
+    req.audit.set({ request: JSON.stringify(changes) });
+
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const report = await summarizeChanges(req.client, changes, {
+      party: party && party.trim(),
+      signal: controller.signal,
+      audit: req.audit,
+    });
+    req.audit.set({ response: JSON.stringify(report) });
+    res.json({ ...report, unchanged });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/deadlines
+// Header: Authorization: Bearer <accessToken>
+// Body: { selectedText?, tribunal?, actType?, eventType?, eventDate?,
+//         termDays?, doubled? }
+//
+// Computes a procedural deadline (see deadlines.js). The model extracts
+// the act, date, kind of event and stated term from `selectedText`; fields
+// given in the body take precedence, and when eventType and eventDate are
+// given the model is not called at all, so the pane can correct the facts
+// and recount. The count itself is done in code. Responds with { deadline,
+// facts }, or 400 with code `deadline_incomplete` and the facts found when
+// the date or kind of event is missing.
+app.post("/api/deadlines", requireClient, auditRoute("/api/deadlines"), anyRole, limitRate, async (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const { selectedText, tribunal, actType, eventType, eventDate, termDays, doubled } = req.body;
+    const given = Object.fromEntries(Object.entries({ tribunal, actType, eventType, eventDate, termDays, doubled })
+      .filter(([, value]) => value !== undefined && value !== ""));
+    let facts = { ...given };
+    if (!given.eventType || !given.eventDate) {
+      if (typeof selectedText !== "string" || !selectedText.trim()) {
+        return res.status(400).json({ error: "Missing selectedText" });
+      }
+      req.audit.set({ request: selectedText });
+      facts = { ...(await extractDeadlineFacts(clientRecord, selectedText, { audit: req.audit })), ...given };
+    } else {
+      req.audit.set({ request: JSON.stringify(given) });
+    }
+    facts.tribunal = facts.tribunal || listCalendars(clientRecord).defaultTribunal;
+    if (!facts.eventType || !facts.eventDate) {
+      return res.status(400).json({
+        error: "The intimation or publication date was not found; fill it in to count the deadline",
+        code: "deadline_incomplete",
+        facts,
+      });
+    }
+    const invalid = validateDeadlineFacts(facts);
+    if (invalid) {
+      return res.status(400).json({ error: invalid, facts });
+    }
+    const deadline = computeDeadline(clientRecord, facts);
+    req.audit.set({ response: JSON.stringify(deadline) });
+    res.json({ deadline, facts });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/deadlines/options
+// Header: Authorization: Bearer <accessToken>
+//
+// What the pane offers when correcting the facts of a deadline: the kinds
+// of event, the acts with their legal terms and the courts the client has
+// calendars for.
+app.post("/api/deadlines/options", requireClient, anyRole, (req, res) => {
+  try {
+    res.json({
+      eventTypes: EVENT_TYPES,
+      acts: Object.entries(ACT_TERMS).map(([id, act]) => ({ id, ...act })),
+      ...listCalendars(req.client),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/key-status
+// Header: Authorization: Bearer <accessToken>
+//
+// Tells the task pane whether an API key is configured for the client and
+// its last four characters, without ever returning the key itself.
+// `source` is "client" for the client's own key and "server" when the
+// backend's OPENAI_API_KEY is used as a fallback.
+app.post("/api/key-status", requireClient, adminOnly, (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const ownKey = decryptSecret((clientRecord.provider && clientRecord.provider.apiKey) || clientRecord.openaiApiKey);
+    if (ownKey) {
+      return res.json({ ...maskKey(ownKey), source: "client" });
+    }
+    const { apiKey } = resolveModelConfig(clientRecord, "ia");
+    res.json({ configured: Boolean(apiKey), last4: null, source: apiKey ? "server" : null });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/save-key
+// Header: Authorization: Bearer <accessToken>
+// Body: { apiKey }
+//
+// Validates a new API key against the client's provider and, if accepted,
+// stores it encrypted in the client's record. The audit log records the
+// change, never the key.
+app.post("/api/save-key", requireClient, auditRoute("/api/save-key"), adminOnly, limitRate, async (req, res) => {
+  try {
+    const { apiKey } = req.body;
+    if (!apiKey) {
+      return res.status(400).json({ error: "Missing apiKey" });
+    }
+    if (!hasMasterKey()) {
+      return res.status(500).json({ error: "MASTER_KEY is not configured; cannot store API keys" });
+    }
+
+    let valid;
+    try {
+      valid = await validateApiKey(req.client, apiKey);
+    } catch (err) {
+      console.error(err);
+      return res.status(502).json({
+        error: `Could not validate the API key with the provider: ${err.message}`,
+        code: "provider_unavailable",
+      });
+    }
+    if (!valid) {
+      return res.status(400).json({ error: "The provider rejected this API key", code: "invalid_api_key" });
+    }
+
+    // Store the encrypted key in the client's record in the database
+    const updated = updateClientRecord(req.client.id, (record) => {
+      if (record.provider && record.provider.apiKey) {
+        record.provider.apiKey = encryptSecret(apiKey);
+      } else {
+        record.openaiApiKey = encryptSecret(apiKey);
+      }
+    });
+    if (updated) {
+      res.json({ success: true, message: "API Key salva com sucesso.", key: maskKey(apiKey) });
+    } else {
+      // Only if the client was deleted since requireClient loaded it
+      res.status(404).json({ error: "Client not found" });
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/usage
+// Header: Authorization: Bearer <accessToken>
+// Body: { from?, to? }
+//
+// Returns the client's token consumption between two days (YYYY-MM-DD,
+// default: the current month) with breakdowns per model, operation and
+// day, the estimated cost in USD, and the current quota status.
+app.post("/api/usage", requireClient, adminOnly, (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const clientId = clientRecord.id;
+    const { from, to } = req.body;
+    const range = usageRange(from, to);
+    if (!range) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+    res.json({
+      ...summarizeUsage(clientId, range.from, range.to),
+      quota: quotaStatus(clientRecord),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/redactions
+// Header: Authorization: Bearer <accessToken>
+// Body: { from?, to? }
+//
+// Returns the audit of personal data masked before the client's LLM calls
+// (see redaction.js) between two days, default: the current month, and
+// whether redaction is enabled.
+app.post("/api/redactions", requireClient, adminOnly, (req, res) => {
+  try {
+    const clientRecord = req.client;
+    const { from, to } = req.body;
+    const range = usageRange(from, to);
+    if (!range) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+    res.json({
+      ...listRedactions(clientRecord.id, range.from, range.to),
+      enabled: Boolean(clientRecord.redaction && clientRecord.redaction.enabled),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/audit/export
+// Header: Authorization: Bearer <accessToken>
+// Body: { from?, to?, route?, format? }
+//
+// Downloads the client's audit log (see audit.js) between two days
+// (YYYY-MM-DD, default: the current month), optionally only for one of
+// the audited routes, as CSV (default) or JSONL (`format: "jsonl"`).
+app.post("/api/audit/export", requireClient, adminOnly, (req, res) => {
+  try {
+    sendAuditExport(res, req.client.id, req.body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&clientId=...
+// Header: Authorization: Bearer <ADMIN_TOKEN>
+//
+// Same as /api/usage, for every client (or only `clientId`), plus the
+// totals across all of them.
+app.get("/api/admin/usage", requireAdmin, (req, res) => {
+  try {
+    const range = usageRange(req.query.from, req.query.to);
+    if (!range) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+    const ids = new Set([...getClients().map((c) => c.id), ...clientsWithUsage()]);
+    const summaries = [...ids]
+      .filter((id) => !req.query.clientId || id === req.query.clientId)
+      .map((id) => {
+        const clientRecord = findClient(id);
+        return {
+          ...summarizeUsage(id, range.from, range.to),
+          quota: clientRecord ? quotaStatus(clientRecord) : null,
+        };
+      });
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 };
+    for (const summary of summaries) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += summary.totals[key];
+      }
+    }
+    res.json({ from: range.from, to: range.to, totals, clients: summaries });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Tenant administration. All routes require the admin token. Creating a
+// tenant or rotating its secret returns the new plaintext secret and, when
+// a base URL is known (`baseUrl` in the body or PUBLIC_BASE_URL), the
+// tenant's ready-to-sideload manifest. The secret is not stored in
+// plaintext, so this is the only chance to get it.
+
+// GET /api/admin/tenants
+app.get("/api/admin/tenants", requireAdmin, (req, res) => {
+  try {
+    res.json({ tenants: listTenants() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Respond with a tenant's new secret and, if possible, its manifest.
+function sendCredentials(res, id, secret, baseUrl, extra = {}) {
+  const manifestBase = baseUrl || process.env.PUBLIC_BASE_URL;
+  res.json({
+    ...extra,
+    tenant: describeTenant(findClient(id)),
+    secret,
+    manifest: manifestBase ? generateManifest(id, secret, manifestBase) : null,
+  });
+}
+
+// POST /api/admin/tenants
+// Body: { id, provider?, model?, operations?, quota?, redaction?, audit?,
+//         rateLimit?, deadlines?, lint?, baseUrl? }
+app.post("/api/admin/tenants", requireAdmin, (req, res) => {
+  try {
+    const { id, baseUrl, ...settings } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: "Missing id" });
+    }
+    const invalid = validateTenantId(id) || validateTenantSettings(settings);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (findClient(id)) {
+      return res.status(409).json({ error: `Tenant ${id} already exists` });
+    }
+    const { secret } = createTenant(id, settings);
+    sendCredentials(res.status(201), id, secret, baseUrl);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PATCH /api/admin/tenants/:id
+// Body: { provider?, model?, operations?, quota?, redaction?, audit?,
+//         rateLimit?, deadlines?, lint? }; null removes a setting.
+app.patch("/api/admin/tenants/:id", requireAdmin, (req, res) => {
+  try {
+    const { provider, model, operations, quota, redaction, audit, rateLimit, deadlines, lint } = req.body;
+    const settings = { provider, model, operations, quota, redaction, audit, rateLimit, deadlines, lint };
+    const invalid = validateTenantSettings(settings);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!updateTenantSettings(req.params.id, settings)) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    res.json({ tenant: describeTenant(findClient(req.params.id)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/admin/tenants/:id/disable and /enable
+// Disabled tenants cannot log in, and their sessions stop working.
+app.post("/api/admin/tenants/:id/:action(disable|enable)", requireAdmin, (req, res) => {
+  try {
+    if (!setTenantDisabled(req.params.id, req.params.action === "disable")) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    res.json({ tenant: describeTenant(findClient(req.params.id)) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/admin/tenants/:id/rotate-secret
+// Body: { baseUrl? }
+app.post("/api/admin/tenants/:id/rotate-secret", requireAdmin, (req, res) => {
+  try {
+    const secret = rotateTenantSecret(req.params.id);
+    if (!secret) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    sendCredentials(res, req.params.id, secret, req.body.baseUrl);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/admin/tenants/:id/users
+//
+// The tenant's users (see users.js), without their password hashes.
+app.get("/api/admin/tenants/:id/users", requireAdmin, (req, res) => {
+  try {
+    if (!findClient(req.params.id)) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    res.json({ users: listUsers(req.params.id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/admin/tenants/:id/users
+// Body: { username, role, name?, password? }
+//
+// Creates a user. Without a password one is generated and returned, only
+// this once. The first user switches the tenant to
+// named logins, so sessions opened without a user end.
+app.post("/api/admin/tenants/:id/users", requireAdmin, (req, res) => {
+  try {
+    if (!findClient(req.params.id)) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    const { username, name, role } = req.body;
+    const generated = req.body.password === undefined;
+    const password = generated ? generatePassword() : req.body.password;
+    const error = validateUser({ username, name, role, password });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const user = createUser(req.params.id, { username, name, role, password });
+    if (!user) {
+      return res.status(409).json({ error: "A user with this username already exists" });
+    }
+    res.status(201).json(generated ? { user, password } : { user });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// PATCH /api/admin/tenants/:id/users/:userId
+// Body: { name?, role?, password?, disabled? }
+//
+// A new password or disabling the user ends their open sessions.
+app.patch("/api/admin/tenants/:id/users/:userId", requireAdmin, (req, res) => {
+  try {
+    const { name, role, password, disabled } = req.body;
+    const error = validateUser({ name, role, password, disabled }, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const user = updateUser(req.params.id, req.params.userId, { name, role, password, disabled });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json({ user });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/admin/tenants/:id/users/:userId
+//
+// Deletes the user and their conversations.
+app.delete("/api/admin/tenants/:id/users/:userId", requireAdmin, (req, res) => {
+  try {
+    if (!deleteUser(req.params.id, req.params.userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/admin/tenants/:id/redactions?from=YYYY-MM-DD&to=YYYY-MM-DD
+//
+// Same as /api/redactions, for any tenant: one entry per LLM call with
+// the number of values masked by type, plus totals.
+app.get("/api/admin/tenants/:id/redactions", requireAdmin, (req, res) => {
+  try {
+    const range = usageRange(req.query.from, req.query.to);
+    if (!range) {
+      return res.status(400).json({ error: "from and to must be dates in YYYY-MM-DD format" });
+    }
+    res.json(listRedactions(req.params.id, range.from, range.to));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// GET /api/admin/tenants/:id/audit?from=YYYY-MM-DD&to=YYYY-MM-DD&route=/api/ia&format=csv|jsonl
+//
+// Same as /api/audit/export, for any tenant, including deleted ones
+// whose entries are still within the retention period.
+app.get("/api/admin/tenants/:id/audit", requireAdmin, (req, res) => {
+  try {
+    sendAuditExport(res, req.params.id, req.query);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/admin/tenants/:id
+app.delete("/api/admin/tenants/:id", requireAdmin, (req, res) => {
+  try {
+    if (!deleteTenant(req.params.id)) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
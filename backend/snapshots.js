@@ -0,0 +1,63 @@
+import { randomUUID } from "crypto";
+import { db } from "./db.js";
+
+// Saved versions of documents, stored in the `snapshots` table (see
+// db.js), so the task pane can later compare the document with how it was
+// (see compare.js): a draft before sending it to the other party, or a
+// round of a negotiation. A snapshot keeps the paragraphs of the document
+// body in the shape /api/analyze takes them:
+//
+//   {
+//     "id": "<uuid>",
+//     "name": "Minuta enviada em 10/03",
+//     "paragraphs": [{ "text": "CLÁUSULA 1ª - DO OBJETO", "heading": 1 }],
+//     "createdAt": "..."
+//   }
+//
+// Like conversation threads, snapshots of clients with named users (see
+// users.js) belong to the user who saved them.
+
+const MAX_NAME_LENGTH = 120;
+
+// SQL condition for the snapshots of a client visible to one of its users
+// (parameters: clientId, userId; userId is null for clients without users).
+const VISIBLE_TO = "tenant_id = ? AND (user_id = ? OR user_id IS NULL)";
+
+// Returns an error message for an invalid snapshot name, or null.
+export function validateSnapshotName(name) {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `Snapshot name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// The client's (and user's) snapshots, newest first, without their text.
+export function listSnapshots(clientId, userId = null) {
+  return db.prepare(`
+    SELECT id, name, json_array_length(paragraphs) AS paragraphs, created_at AS createdAt
+    FROM snapshots WHERE ${VISIBLE_TO} ORDER BY created_at DESC
+  `).all(clientId, userId);
+}
+
+// The snapshot with its paragraphs, or undefined if it does not exist or
+// belongs to another client or user.
+export function getSnapshot(clientId, snapshotId, userId = null) {
+  const row = db.prepare(`
+    SELECT id, name, paragraphs, created_at AS createdAt FROM snapshots WHERE id = ? AND ${VISIBLE_TO}
+  `).get(snapshotId, clientId, userId);
+  return row && { ...row, paragraphs: JSON.parse(row.paragraphs) };
+}
+
+// Save paragraphs ([{ text, heading }]) as a snapshot. Returns it without
+// the text.
+export function createSnapshot(clientId, name, paragraphs, userId = null) {
+  const id = randomUUID();
+  db.prepare("INSERT INTO snapshots (id, tenant_id, user_id, name, paragraphs, created_at) VALUES (?, ?, ?, ?, ?, ?)")
+    .run(id, clientId, userId, name.trim(), JSON.stringify(paragraphs), new Date().toISOString());
+  return listSnapshots(clientId, userId).find((snapshot) => snapshot.id === id);
+}
+
+// Returns true if the snapshot existed and was deleted.
+export function deleteSnapshot(clientId, snapshotId, userId = null) {
+  return db.prepare(`DELETE FROM snapshots WHERE id = ? AND ${VISIBLE_TO}`).run(snapshotId, clientId, userId).changes > 0;
+}
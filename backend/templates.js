@@ -0,0 +1,462 @@
+import { randomUUID } from "crypto";
+import { db } from "./db.js";
+import { createChatCompletion, completionText } from "./llm.js";
+import { extractJson } from "./analysis.js";
+import { isValidCpf, isValidCnpj, isValidCnj } from "./redaction.js";
+
+// Per-tenant document templates (petição inicial, procuração, notificação
+// extrajudicial...), stored in the `document_templates` table (see db.js).
+// The task pane shows a form with the template's fields and generates the
+// whole document: the fixed text of the template is kept as written, with
+// the fields filled in, and only its sections are written by the model. A
+// template looks like:
+//
+//   {
+//     "id": "<uuid>",
+//     "name": "Notificação extrajudicial",
+//     "description": "Notificação de inadimplemento contratual",
+//     "fields": [
+//       { "name": "notificante", "label": "Notificante", "type": "text", "required": true },
+//       { "name": "documento", "label": "CPF/CNPJ do notificante", "type": "cpf_cnpj", "required": true },
+//       { "name": "valor", "label": "Valor em aberto", "type": "money", "required": true },
+//       { "name": "fatos", "label": "O que aconteceu", "type": "long_text", "required": true }
+//     ],
+//     "sections": [
+//       { "name": "fatos", "instructions": "Narre os fatos e o inadimplemento de forma objetiva." }
+//     ],
+//     "body": "# NOTIFICAÇÃO EXTRAJUDICIAL\n**{{notificante}}**, inscrito(a) no CPF/CNPJ sob o nº {{documento}}, ...\n{{ia:fatos}}\n...",
+//     "createdAt": "...",
+//     "updatedAt": "..."
+//   }
+//
+// The body uses the markup of the task pane's formatted replies ("# "
+// headings, "1. " items, **bold**...). `{{campo}}` is replaced by the
+// field's value, formatted for its type (see FIELD_TYPES), and a line
+// holding only `{{ia:secao}}` by the section the model writes following
+// its instructions. Fields need not appear in the body: a "long_text"
+// with the facts may only be there for the model to use.
+
+// text        a line of text
+// long_text   several paragraphs, e.g. the facts of the case
+// cpf, cnpj   checked and written as 000.000.000-00 / 00.000.000/0000-00
+// cpf_cnpj    either one
+// address     { street, number, complement, district, city, state,
+//             postalCode }, written as one line
+// case_number a CNJ case number, checked and written as
+//             0000000-00.0000.0.00.0000
+// money       an amount in reais ("1.500,00" or 1500), written as
+//             "R$ 1.500,00 (mil e quinhentos reais)"
+// date        YYYY-MM-DD, written as "10 de março de 2026"
+export const FIELD_TYPES = ["text", "long_text", "cpf", "cnpj", "cpf_cnpj", "address", "case_number", "money", "date"];
+
+export const STATES = [
+  "AC", "AL", "AP", "AM", "BA", "CE", "DF", "ES", "GO", "MA", "MT", "MS", "MG", "PA",
+  "PB", "PR", "PE", "PI", "RJ", "RN", "RS", "RO", "RR", "SC", "SP", "SE", "TO",
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(ia:)?([A-Za-z0-9_]+)\s*\}\}/g;
+const SECTION_LINE_PATTERN = /^\s*\{\{\s*ia:[A-Za-z0-9_]+\s*\}\}\s*$/;
+const NAME_PATTERN = /^[A-Za-z0-9_]{1,40}$/;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_LABEL_LENGTH = 80;
+const MAX_FIELDS = 40;
+const MAX_SECTIONS = 10;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_BODY_LENGTH = 20000;
+const MAX_TEXT_LENGTH = 300;
+const MAX_LONG_TEXT_LENGTH = 8000;
+// Amounts up to R$ 999 trilhões
+const MAX_CENTS = 1e17;
+
+const MONTHS = [
+  "janeiro", "fevereiro", "março", "abril", "maio", "junho",
+  "julho", "agosto", "setembro", "outubro", "novembro", "dezembro",
+];
+
+const GENERATE_PROMPT = `
+Você é um advogado brasileiro experiente e está redigindo um documento a partir de um modelo do escritório.
+Você receberá o modelo já preenchido com os dados do caso, com as seções que você deve redigir marcadas como [[SEÇÃO nome]], as instruções de cada seção e os dados informados pelo usuário.
+Redija apenas as seções marcadas, de forma coerente com o texto fixo do modelo e sem repeti-lo. Use somente os dados fornecidos: quando faltar uma informação necessária, escreva [COMPLETAR: o que falta] em vez de inventá-la.
+
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois e sem blocos de código, no formato:
+{
+  "sections": {
+    "nome_da_secao": "texto da seção"
+  }
+}
+
+No texto de cada seção, escreva um parágrafo por linha (\\n entre parágrafos) e use somente esta marcação: "## " no início de subtítulos, "1. ", "2. "... no início de itens numerados, "> " no início de citações (lei, jurisprudência, doutrina), **negrito** e *itálico* para destaques.
+`.trim();
+
+// Names of the `{{campo}}` and `{{ia:secao}}` placeholders of a body.
+function placeholders(body) {
+  const fields = [];
+  const sections = [];
+  for (const [, section, name] of body.matchAll(PLACEHOLDER_PATTERN)) {
+    (section ? sections : fields).push(name);
+  }
+  return { fields, sections };
+}
+
+// Check a template being created or updated. Returns an error message, or
+// null if it is valid.
+export function validateTemplate({ name, description, fields, sections, body }) {
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    return `Template name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  if (description !== undefined && (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Template description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (!Array.isArray(fields) || fields.length > MAX_FIELDS) {
+    return `fields must be a list of at most ${MAX_FIELDS} fields`;
+  }
+  for (const field of fields) {
+    if (!field || typeof field.name !== "string" || !NAME_PATTERN.test(field.name)) {
+      return "Field names must be 1-40 letters, digits or '_'";
+    }
+    if (typeof field.label !== "string" || !field.label.trim() || field.label.length > MAX_LABEL_LENGTH) {
+      return `Field "${field.name}": label must be 1-${MAX_LABEL_LENGTH} characters`;
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field "${field.name}": type must be one of ${FIELD_TYPES.join(", ")}`;
+    }
+    if (field.required !== undefined && typeof field.required !== "boolean") {
+      return `Field "${field.name}": required must be true or false`;
+    }
+  }
+  if (!Array.isArray(sections) || sections.length > MAX_SECTIONS) {
+    return `sections must be a list of at most ${MAX_SECTIONS} sections`;
+  }
+  for (const section of sections) {
+    if (!section || typeof section.name !== "string" || !NAME_PATTERN.test(section.name)) {
+      return "Section names must be 1-40 letters, digits or '_'";
+    }
+    if (typeof section.instructions !== "string" || !section.instructions.trim() ||
+        section.instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return `Section "${section.name}": instructions must be 1-${MAX_INSTRUCTIONS_LENGTH} characters`;
+    }
+  }
+  for (const list of [fields, sections]) {
+    const names = list.map((item) => item.name);
+    const repeated = names.find((item, index) => names.indexOf(item) !== index);
+    if (repeated) return `"${repeated}" is defined more than once`;
+  }
+  if (typeof body !== "string" || !body.trim() || body.length > MAX_BODY_LENGTH) {
+    return `Template body must be 1-${MAX_BODY_LENGTH} characters`;
+  }
+
+  const used = placeholders(body);
+  const unknownField = used.fields.find((item) => !fields.some((field) => field.name === item));
+  if (unknownField) return `The body uses {{${unknownField}}}, which is not a field`;
+  const unknownSection = used.sections.find((item) => !sections.some((section) => section.name === item));
+  if (unknownSection) return `The body uses {{ia:${unknownSection}}}, which is not a section`;
+  for (const section of sections) {
+    const count = used.sections.filter((item) => item === section.name).length;
+    if (count !== 1) return `The body must use {{ia:${section.name}}} exactly once`;
+  }
+  const misplaced = body.split(/\r?\n/).find((line) => /\{\{\s*ia:/.test(line) && !SECTION_LINE_PATTERN.test(line));
+  if (misplaced) return "Each {{ia:...}} placeholder must be alone on its line";
+  return null;
+}
+
+function toTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    fields: JSON.parse(row.fields),
+    sections: JSON.parse(row.sections),
+    body: row.body,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function nameTaken(clientId, name, exceptId) {
+  return Boolean(db.prepare("SELECT 1 FROM document_templates WHERE tenant_id = ? AND name = ? AND id != ?")
+    .get(clientId, name, exceptId || ""));
+}
+
+// Fields as stored: only the known keys, with `required` defaulting to
+// true.
+function storedFields(fields) {
+  return JSON.stringify(fields.map(({ name, label, type, required }) => ({
+    name, label: label.trim(), type, required: required !== false,
+  })));
+}
+
+function storedSections(sections) {
+  return JSON.stringify(sections.map(({ name, instructions }) => ({ name, instructions: instructions.trim() })));
+}
+
+// The client's templates, sorted by name.
+export function listTemplates(clientId) {
+  return db.prepare("SELECT * FROM document_templates WHERE tenant_id = ? ORDER BY name COLLATE NOCASE")
+    .all(clientId)
+    .map(toTemplate);
+}
+
+// Returns the template, or undefined if it does not exist or belongs to
+// another client.
+export function getTemplate(clientId, templateId) {
+  const row = db.prepare("SELECT * FROM document_templates WHERE id = ? AND tenant_id = ?").get(templateId, clientId);
+  return row ? toTemplate(row) : undefined;
+}
+
+// Create a template from validated fields (see validateTemplate). Returns
+// null if the client already has a template with that name.
+export function createTemplate(clientId, { name, description, fields, sections, body }) {
+  if (nameTaken(clientId, name.trim())) {
+    return null;
+  }
+  const id = randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO document_templates (id, tenant_id, name, description, fields, sections, body, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, clientId, name.trim(), (description || "").trim(), storedFields(fields), storedSections(sections), body,
+    now, now);
+  return getTemplate(clientId, id);
+}
+
+// Replace a template with validated fields. Returns the template,
+// undefined if it does not exist, or null if the new name is taken.
+export function updateTemplate(clientId, templateId, { name, description, fields, sections, body }) {
+  if (!getTemplate(clientId, templateId)) {
+    return undefined;
+  }
+  if (nameTaken(clientId, name.trim(), templateId)) {
+    return null;
+  }
+  db.prepare(`
+    UPDATE document_templates SET name = ?, description = ?, fields = ?, sections = ?, body = ?, updated_at = ?
+    WHERE id = ? AND tenant_id = ?
+  `).run(name.trim(), (description || "").trim(), storedFields(fields), storedSections(sections), body,
+    new Date().toISOString(), templateId, clientId);
+  return getTemplate(clientId, templateId);
+}
+
+// Returns true if the template existed and was deleted.
+export function deleteTemplate(clientId, templateId) {
+  return db.prepare("DELETE FROM document_templates WHERE id = ? AND tenant_id = ?").run(templateId, clientId).changes > 0;
+}
+
+const UNITS = [
+  "zero", "um", "dois", "três", "quatro", "cinco", "seis", "sete", "oito", "nove", "dez",
+  "onze", "doze", "treze", "catorze", "quinze", "dezesseis", "dezessete", "dezoito", "dezenove",
+];
+const TENS = ["", "", "vinte", "trinta", "quarenta", "cinquenta", "sessenta", "setenta", "oitenta", "noventa"];
+const HUNDREDS = [
+  "", "cento", "duzentos", "trezentos", "quatrocentos", "quinhentos", "seiscentos", "setecentos", "oitocentos",
+  "novecentos",
+];
+// Singular and plural of each group of three digits
+const SCALES = [["", ""], ["mil", "mil"], ["milhão", "milhões"], ["bilhão", "bilhões"], ["trilhão", "trilhões"]];
+
+// 1-999 in words.
+function hundredsInWords(number) {
+  if (number === 100) return "cem";
+  const words = [];
+  if (number >= 100) words.push(HUNDREDS[Math.floor(number / 100)]);
+  const rest = number % 100;
+  if (rest >= 20) {
+    words.push(rest % 10 ? `${TENS[Math.floor(rest / 10)]} e ${UNITS[rest % 10]}` : TENS[Math.floor(rest / 10)]);
+  } else if (rest > 0) {
+    words.push(UNITS[rest]);
+  }
+  return words.join(" e ");
+}
+
+// A whole number (below a quadrillion) in Portuguese words: 1250 -> "mil
+// duzentos e cinquenta", 2500000 -> "dois milhões e quinhentos mil".
+export function numberInWords(number) {
+  if (number === 0) return UNITS[0];
+  const groups = [];
+  for (let scale = 0, rest = number; rest > 0; scale++, rest = Math.floor(rest / 1000)) {
+    if (rest % 1000 > 0) groups.unshift({ value: rest % 1000, scale });
+  }
+  return groups.map(({ value, scale }, index) => {
+    let words = scale === 1 && value === 1 ? "mil" : hundredsInWords(value);
+    if (scale > 0 && words !== "mil") words += ` ${SCALES[scale][value === 1 ? 0 : 1]}`;
+    if (index === 0) return words;
+    // "mil e cem", "mil e vinte", but "mil duzentos e cinquenta"
+    if (index === groups.length - 1 && (value < 100 || value % 100 === 0)) return ` e ${words}`;
+    return groups[index - 1].scale >= 2 ? `, ${words}` : ` ${words}`;
+  }).join("");
+}
+
+// An amount in cents in words: "mil e quinhentos reais e cinquenta
+// centavos", "um milhão de reais".
+export function amountInWords(cents) {
+  const reais = Math.floor(cents / 100);
+  const centavos = cents % 100;
+  const parts = [];
+  if (reais > 0 || centavos === 0) {
+    let unit = reais === 1 ? "real" : "reais";
+    if (reais >= 1e6 && reais % 1e6 === 0) unit = "de reais";
+    parts.push(`${numberInWords(reais)} ${unit}`);
+  }
+  if (centavos > 0) {
+    parts.push(`${numberInWords(centavos)} ${centavos === 1 ? "centavo" : "centavos"}`);
+  }
+  return parts.join(" e ");
+}
+
+// "1.500,50", "1500.5", "R$ 1.500" or 1500.5 -> cents, or null.
+function parseAmount(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value * 100) : null;
+  }
+  let text = String(value).replace(/^\s*R\$\s*/i, "").trim();
+  if (text.includes(",")) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, "");
+  }
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+  return Math.round(Number(text) * 100);
+}
+
+// Cents as "R$ 1.500,50".
+function formatAmount(cents) {
+  const reais = String(Math.floor(cents / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ".");
+  return `R$ ${reais},${String(cents % 100).padStart(2, "0")}`;
+}
+
+function formatCpf(digits) {
+  return digits.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, "$1.$2.$3-$4");
+}
+
+function formatCnpj(digits) {
+  return digits.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, "$1.$2.$3/$4-$5");
+}
+
+// The value of a field as written in the document, or { error } with the
+// reason ("invalid" or "too_long") it cannot be used.
+function formatValue(type, value) {
+  const digits = typeof value === "string" ? value.replace(/\D/g, "") : "";
+  switch (type) {
+    case "text":
+      if (typeof value !== "string") return { error: "invalid" };
+      return value.length > MAX_TEXT_LENGTH ? { error: "too_long" } : { text: value.replace(/\s+/g, " ").trim() };
+    case "long_text":
+      if (typeof value !== "string") return { error: "invalid" };
+      return value.length > MAX_LONG_TEXT_LENGTH ? { error: "too_long" } : { text: value.trim() };
+    case "cpf":
+      return isValidCpf(digits) ? { text: formatCpf(digits) } : { error: "invalid" };
+    case "cnpj":
+      return isValidCnpj(digits) ? { text: formatCnpj(digits) } : { error: "invalid" };
+    case "cpf_cnpj":
+      if (digits.length === 11 && isValidCpf(digits)) return { text: formatCpf(digits) };
+      if (digits.length === 14 && isValidCnpj(digits)) return { text: formatCnpj(digits) };
+      return { error: "invalid" };
+    case "case_number":
+      return digits.length === 20 && isValidCnj(digits)
+        ? { text: digits.replace(/^(\d{7})(\d{2})(\d{4})(\d)(\d{2})(\d{4})$/, "$1-$2.$3.$4.$5.$6") }
+        : { error: "invalid" };
+    case "money": {
+      const cents = parseAmount(value);
+      if (cents === null || cents >= MAX_CENTS) return { error: "invalid" };
+      return { text: `${formatAmount(cents)} (${amountInWords(cents)})` };
+    }
+    case "date": {
+      const match = typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+      const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      if (!date || date.getUTCDate() !== Number(match[3]) || date.getUTCMonth() !== Number(match[2]) - 1) {
+        return { error: "invalid" };
+      }
+      return { text: `${Number(match[3])} de ${MONTHS[date.getUTCMonth()]} de ${match[1]}` };
+    }
+    case "address": {
+      if (!value || typeof value !== "object") return { error: "invalid" };
+      const part = (key) => (typeof value[key] === "string" ? value[key].replace(/\s+/g, " ").trim() : "");
+      const postalCode = part("postalCode").replace(/\D/g, "");
+      const state = part("state").toUpperCase();
+      if (!part("street") || !part("number") || !part("city") || !STATES.includes(state) || postalCode.length !== 8) {
+        return { error: "invalid" };
+      }
+      const text = [
+        part("street"),
+        /^\d/.test(part("number")) ? `nº ${part("number")}` : part("number"),
+        part("complement"),
+        part("district"),
+        `${part("city")}/${state}`,
+        `CEP ${postalCode.replace(/^(\d{5})/, "$1-")}`,
+      ].filter(Boolean).join(", ");
+      return text.length > MAX_TEXT_LENGTH ? { error: "too_long" } : { text };
+    }
+    default:
+      return { error: "invalid" };
+  }
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === "object") return Object.values(value).every((part) => !String(part || "").trim());
+  return !String(value).trim();
+}
+
+// Check and format the values of a template's form. Returns { values }
+// with each field's text as written in the document ("" for optional
+// fields left empty) and { errors } with the reason of each invalid field:
+// "required", "invalid" or "too_long".
+export function formatFieldValues(template, values = {}) {
+  const formatted = {};
+  const errors = {};
+  for (const field of template.fields) {
+    const value = values[field.name];
+    if (isEmpty(value)) {
+      if (field.required) errors[field.name] = "required";
+      formatted[field.name] = "";
+      continue;
+    }
+    const result = formatValue(field.type, value);
+    if (result.error) errors[field.name] = result.error;
+    else formatted[field.name] = result.text;
+  }
+  return { values: formatted, errors };
+}
+
+// The body with the fields filled in. Section lines are replaced with
+// `section(name)`.
+function fillBody(template, values, section) {
+  return template.body.replace(PLACEHOLDER_PATTERN, (_, isSection, name) => (isSection ? section(name) : values[name]));
+}
+
+// Generate a document from a template and its formatted values (see
+// formatFieldValues): the model writes the sections, and the fixed text
+// is filled in as written. `reference` is an optional system message
+// (e.g. knowledge base passages). Returns { text, sections }, `text`
+// being the whole document in the pane's markup.
+export async function generateDocument(clientRecord, template, values, { reference, signal, audit } = {}) {
+  let text = fillBody(template, values, () => "");
+  const sections = {};
+  if (template.sections.length > 0) {
+    const draft = fillBody(template, values, (name) => `[[SEÇÃO ${name}]]`);
+    const data = template.fields
+      .filter((field) => values[field.name])
+      .map((field) => `${field.label}: ${values[field.name]}`)
+      .join("\n");
+    const instructions = template.sections.map((section) => `[[SEÇÃO ${section.name}]]: ${section.instructions}`).join("\n");
+    const completion = await createChatCompletion(clientRecord, "generate", [
+      { role: "system", content: GENERATE_PROMPT },
+      ...(reference ? [{ role: "system", content: reference }] : []),
+      {
+        role: "user",
+        content: `Documento: ${template.name}\n\nModelo preenchido:\n${draft}\n\nInstruções das seções:\n${instructions}\n\nDados informados:\n${data}`,
+      },
+    ], { signal, audit });
+    const reply = extractJson(completionText(completion, ""));
+    const written = reply && typeof reply.sections === "object" && reply.sections ? reply.sections : {};
+    for (const section of template.sections) {
+      const sectionText = typeof written[section.name] === "string" ? written[section.name].trim() : "";
+      if (!sectionText) {
+        throw new Error(`The model did not write the section "${section.name}"`);
+      }
+      sections[section.name] = sectionText;
+    }
+    text = fillBody(template, values, (name) => sections[name]);
+  }
+  return { text: text.replace(/\n{3,}/g, "\n\n").trim(), sections };
+}
@@ -0,0 +1,311 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { randomBytes, randomUUID } from "crypto";
+import { hashSecret } from "./auth.js";
+import { db, transaction } from "./db.js";
+import { hasMasterKey, decryptSecret, sealRecordKeys, maskKey } from "./keystore.js";
+import { validateModelSettings } from "./llm.js";
+import { validateQuotaSettings } from "./usage.js";
+import { validateRedactionSettings } from "./redaction.js";
+import { validateAuditSettings } from "./audit.js";
+import { validateRateLimitSettings } from "./ratelimit.js";
+import { validateDeadlineSettings } from "./deadlines.js";
+import { validateLintSettings } from "./lint.js";
+
+// Tenant (client) records, stored in the `tenants` table (see db.js). The
+// rest of the backend sees each tenant as an object with the properties:
+//  - id: unique identifier for the client (string)
+//  - secretHash: scrypt hash of the pre‑shared secret used to authenticate
+//    the client (string, see auth.js)
+//  - disabled: true to block the client without deleting it
+//  - addinId: the GUID of the client's add‑in manifest
+//  - createdAt: ISO timestamp
+//  - openaiApiKey: API key to use when calling the OpenAI API on
+//    behalf of this client (string, encrypted with MASTER_KEY; see
+//    keystore.js)
+//  - provider, model, operations: optional LLM provider and per‑operation
+//    model settings (see llm.js)
+//  - quota: optional token quotas (see usage.js)
+//  - redaction: optional masking of personal data sent to the LLM (see
+//    redaction.js)
+//  - audit: optional audit log content storage and retention (see
+//    audit.js)
+//  - rateLimit: optional requests per minute to the AI routes (see
+//    ratelimit.js)
+//  - deadlines: optional court calendars for deadline counting (see
+//    deadlines.js)
+//  - lint: optional settings of the drafting rules checked with the
+//    analysis (see lint.js)
+//
+// The properties after createdAt are kept together in the `config` JSON
+// column. The server and the admin CLI share the database, so changes made
+// with the CLI take effect without a restart.
+const manifestTemplatePath = path.join(process.cwd(), "../manifest-template.xml");
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function toRecord(row) {
+  const record = {
+    id: row.id,
+    secretHash: row.secret_hash,
+    addinId: row.addin_id,
+    createdAt: row.created_at,
+    ...JSON.parse(row.config),
+  };
+  if (row.disabled) record.disabled = true;
+  return record;
+}
+
+function toRow(record) {
+  const { id, secretHash, disabled, addinId, createdAt, ...config } = record;
+  return {
+    id,
+    secret_hash: secretHash,
+    disabled: disabled ? 1 : 0,
+    addin_id: addinId || null,
+    created_at: createdAt || new Date().toISOString(),
+    config: JSON.stringify(config),
+  };
+}
+
+function writeRecord(record) {
+  db.prepare(`
+    UPDATE tenants SET secret_hash = @secret_hash, disabled = @disabled, addin_id = @addin_id,
+      created_at = @created_at, config = @config
+    WHERE id = @id
+  `).run(toRow(record));
+}
+
+// Insert a complete tenant record. Returns false if the id is taken.
+export function addTenantRecord(record) {
+  const result = db.prepare(`
+    INSERT INTO tenants (id, secret_hash, disabled, addin_id, created_at, config)
+    VALUES (@id, @secret_hash, @disabled, @addin_id, @created_at, @config)
+    ON CONFLICT (id) DO NOTHING
+  `).run(toRow(record));
+  return result.changes > 0;
+}
+
+export function getClients() {
+  return db.prepare("SELECT * FROM tenants ORDER BY id").all().map(toRecord);
+}
+
+export function findClient(clientId) {
+  const row = db.prepare("SELECT * FROM tenants WHERE id = ?").get(clientId);
+  return row ? toRecord(row) : undefined;
+}
+
+// Apply `update` to the record of `clientId` and save it, in one
+// transaction. Returns false if the client does not exist.
+export function updateClientRecord(clientId, update) {
+  return transaction(() => {
+    const record = findClient(clientId);
+    if (!record) {
+      return false;
+    }
+    update(record);
+    writeRecord(record);
+    return true;
+  });
+}
+
+// Encrypt plaintext API keys (or re-encrypt them after a master key
+// rotation) so the database never keeps them in the clear. Run at startup.
+export function sealTenantKeys() {
+  transaction(() => {
+    for (const record of getClients()) {
+      try {
+        if (sealRecordKeys(record)) {
+          writeRecord(record);
+          console.log(`Encrypted API key of client ${record.id}`);
+        }
+      } catch (err) {
+        // e.g. sealed with a master key that is no longer configured
+        console.error(`Could not encrypt API key of client ${record.id}: ${err.message}`);
+      }
+    }
+  });
+  if (!hasMasterKey() && getClients().some((c) => c.openaiApiKey || (c.provider && c.provider.apiKey))) {
+    console.warn("MASTER_KEY not set; tenant API keys are stored in plaintext.");
+  }
+}
+
+// A new random client secret, shown to the operator once.
+function generateSecret() {
+  return randomBytes(24).toString("base64url");
+}
+
+// Tenant record as shown to operators: no secret hash, API key masked.
+export function describeTenant(record) {
+  let key;
+  try {
+    key = maskKey(decryptSecret((record.provider && record.provider.apiKey) || record.openaiApiKey));
+  } catch (err) {
+    key = { configured: true, last4: null, error: err.message };
+  }
+  return {
+    id: record.id,
+    disabled: Boolean(record.disabled),
+    createdAt: record.createdAt || null,
+    addinId: record.addinId || null,
+    provider: record.provider ? { ...record.provider, apiKey: undefined } : { type: "openai" },
+    model: record.model || null,
+    operations: record.operations || {},
+    quota: record.quota || null,
+    redaction: record.redaction || null,
+    audit: record.audit || null,
+    rateLimit: record.rateLimit || null,
+    deadlines: record.deadlines || null,
+    lint: record.lint || null,
+    apiKey: key,
+  };
+}
+
+export function listTenants() {
+  return getClients().map(describeTenant);
+}
+
+const SETTINGS_FIELDS = ["provider", "model", "operations", "quota", "redaction", "audit", "rateLimit", "deadlines", "lint"];
+
+// Returns an error message for an invalid tenant id, or null.
+export function validateTenantId(id) {
+  if (typeof id !== "string" || !TENANT_ID_PATTERN.test(id)) {
+    return "Tenant id must be 1-64 letters, digits, '-' or '_'";
+  }
+  return null;
+}
+
+// Returns an error message for invalid tenant settings, or null. Checked
+// before they are saved, since a bad setting would otherwise break every
+// later request of the tenant. New API keys are only accepted with a
+// MASTER_KEY to encrypt them (as in /api/save-key); plaintext keys left
+// from before only cause a warning at startup (see sealTenantKeys).
+export function validateTenantSettings(settings) {
+  if (settings.provider && typeof settings.provider.apiKey === "string" && !hasMasterKey()) {
+    return "MASTER_KEY is not configured; cannot store API keys";
+  }
+  return validateModelSettings(settings) || validateQuotaSettings(settings.quota) ||
+    validateRedactionSettings(settings.redaction) || validateAuditSettings(settings.audit) ||
+    validateRateLimitSettings(settings.rateLimit) || validateDeadlineSettings(settings.deadlines) ||
+    validateLintSettings(settings.lint);
+}
+
+// Copy the given settings onto a record; null removes a setting. A
+// provider.apiKey given in plaintext is encrypted.
+function applySettings(record, settings) {
+  for (const field of SETTINGS_FIELDS) {
+    if (settings[field] === null) delete record[field];
+    else if (field === "provider" && settings.provider) record.provider = mergeProvider(record.provider, settings.provider);
+    else if (settings[field] !== undefined) record[field] = settings[field];
+  }
+  sealRecordKeys(record);
+}
+
+// The provider settings are merged over the stored ones, with null
+// removing a property, so sending back the provider as describeTenant
+// shows it (without its apiKey) does not delete the key; clearing the key
+// takes an explicit `apiKey: null`.
+function mergeProvider(current, update) {
+  const provider = { ...current, ...update };
+  for (const [key, value] of Object.entries(provider)) {
+    if (value === null || value === undefined) delete provider[key];
+  }
+  return provider;
+}
+
+// Create a tenant. `settings` may hold provider, model, operations, quota,
+// redaction, audit and rateLimit. Returns { tenant, secret } with the plaintext secret,
+// which is not stored anywhere and must be handed to the client (inside
+// its manifest). Throws on an invalid id or settings (see
+// validateTenantSettings).
+export function createTenant(id, settings = {}) {
+  const invalid = validateTenantId(id) || validateTenantSettings(settings);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+  const secret = generateSecret();
+  const record = {
+    id,
+    secretHash: hashSecret(secret),
+    addinId: randomUUID(),
+    createdAt: new Date().toISOString(),
+  };
+  applySettings(record, settings);
+  if (!addTenantRecord(record)) {
+    throw new Error(`Tenant ${id} already exists`);
+  }
+  return { tenant: describeTenant(record), secret };
+}
+
+// Change a tenant's provider, model, operations, quota, redaction, audit or
+// rate limit settings (see createTenant). Returns false if it does not exist;
+// throws on invalid settings.
+export function updateTenantSettings(id, settings) {
+  const invalid = validateTenantSettings(settings);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+  return updateClientRecord(id, (record) => applySettings(record, settings));
+}
+
+// Block or unblock a tenant. Returns false if it does not exist.
+export function setTenantDisabled(id, disabled) {
+  return updateClientRecord(id, (record) => {
+    if (disabled) {
+      record.disabled = true;
+    } else {
+      delete record.disabled;
+    }
+  });
+}
+
+// Replace a tenant's secret. Existing sessions stop working (see auth.js).
+// Returns the new plaintext secret, or null if the tenant does not exist.
+export function rotateTenantSecret(id) {
+  const secret = generateSecret();
+  const updated = updateClientRecord(id, (record) => {
+    record.secretHash = hashSecret(secret);
+    if (!record.addinId) record.addinId = randomUUID();
+  });
+  return updated ? secret : null;
+}
+
+// Delete a tenant with its personas, threads, commands and knowledge base;
+// its usage is kept for billing. Returns false if the tenant does not exist.
+export function deleteTenant(id) {
+  return db.prepare("DELETE FROM tenants WHERE id = ?").run(id).changes > 0;
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Build a ready-to-sideload manifest for a tenant from
+// manifest-template.xml. `baseUrl` is the HTTPS origin (and optional path)
+// serving taskpane.html, e.g. https://ia.escritorio.com.br. The manifest
+// carries the tenant's add‑in Id and its credentials in the task pane URL,
+// which is why it can only be produced when the plaintext secret is known
+// (on creation or secret rotation). The manifest is therefore as secret as
+// the secret itself: the URL is cached by Office on each workstation and
+// may show up in proxy logs, so leaked manifests call for a rotation.
+export function generateManifest(id, secret, baseUrl) {
+  const record = findClient(id);
+  if (!record) {
+    throw new Error(`Tenant ${id} not found`);
+  }
+  if (!baseUrl) {
+    throw new Error("A base URL is required (set PUBLIC_BASE_URL or pass one)");
+  }
+  const base = new URL(baseUrl);
+  const root = `${base.origin}${base.pathname.replace(/\/$/, "")}`;
+  const taskpaneUrl = `${root}/taskpane.html?cid=${encodeURIComponent(id)}&token=${encodeURIComponent(secret)}`;
+
+  return readFileSync(manifestTemplatePath, { encoding: "utf-8" })
+    .replace("REPLACE-WITH-UNIQUE-GUID", record.addinId)
+    .replace('DefaultValue="TASKPANE_URL"', `DefaultValue="${escapeXml(taskpaneUrl)}"`)
+    .replace(/https:\/\/seu-dominio\.com/g, base.origin);
+}
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffVersions, MAX_PARAGRAPHS } from "../compare.js";
+
+const paragraphs = (...texts) => texts.map((text) => ({ text, heading: 0 }));
+
+const earlier = paragraphs(
+  "Cláusula 1ª – Do objeto",
+  "A locação do imóvel situado na Rua A, 100, para fins residenciais.",
+  "Cláusula 2ª – Do prazo",
+  "O prazo da locação é de 30 meses, contados da entrega das chaves.",
+  "Cláusula 3ª – Do aluguel",
+  "O aluguel mensal é de R$ 2.000,00, pago até o dia 5 de cada mês."
+);
+
+test("identical versions have no changes", () => {
+  const { changes, unchanged } = diffVersions(earlier, earlier);
+  assert.equal(changes.length, 0);
+  assert.equal(unchanged, 3);
+});
+
+test("a modified clause is aligned with its earlier version", () => {
+  const later = earlier.map((p) => (p.text.startsWith("O prazo") ? { ...p, text: p.text.replace("30 meses", "36 meses") } : p));
+  // The document open in Word is the later version
+  const { changes, unchanged } = diffVersions(later, earlier);
+  assert.equal(unchanged, 2);
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].type, "modified");
+  assert.match(changes[0].before, /30 meses/);
+  assert.match(changes[0].after, /36 meses/);
+  assert.deepEqual(changes[0].paragraphs, [3]);
+});
+
+test("added and removed clauses are reported", () => {
+  const later = earlier.slice(0, 4).concat(paragraphs(
+    "Cláusula 3ª – Da multa",
+    "A infração de qualquer cláusula sujeita o infrator à multa de três aluguéis."
+  ));
+  const types = diffVersions(earlier, later, { otherIsNewer: true }).changes.map((c) => c.type).sort();
+  assert.deepEqual(types, ["added", "removed"]);
+});
+
+test("versions that are too large are not aligned", () => {
+  const large = Array.from({ length: MAX_PARAGRAPHS + 1 }, (_, i) => ({ text: `Parágrafo ${i}`, heading: 0 }));
+  assert.equal(diffVersions(large, earlier).code, "document_too_large");
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeDeadline, validateDeadlineSettings } from "../deadlines.js";
+
+const client = { id: "escritorio" };
+
+// Skipped days other than weekends, as "YYYY-MM-DD reason"
+function holidays(result) {
+  return result.skipped.filter((s) => s.reason !== "sábado" && s.reason !== "domingo").map((s) => `${s.date} ${s.reason}`);
+}
+
+test("the recess of 20/12 to 20/01 suspends the count across the new year", () => {
+  const result = computeDeadline(client, { eventType: "intimacao", eventDate: "2025-12-15", actType: "apelacao" });
+  assert.equal(result.startDate, "2025-12-16");
+  assert.equal(result.termDays, 15);
+  // 16-19/12 are days 1 to 4; counting resumes on 21/01
+  assert.equal(result.dueDate, "2026-02-04");
+  // Weekends are reported as such, so the suspension shows from Monday 22/12
+  const suspended = result.skipped.filter((s) => s.reason.includes("art. 220"));
+  assert.equal(suspended[0].date, "2025-12-22");
+  assert.equal(suspended[suspended.length - 1].date, "2026-01-20");
+});
+
+test("Carnaval Monday and Tuesday are not business days", () => {
+  const result = computeDeadline(client, { eventType: "intimacao", eventDate: "2026-02-12", actType: "manifestacao" });
+  assert.equal(result.startDate, "2026-02-13");
+  assert.equal(result.dueDate, "2026-02-23");
+  assert.deepEqual(holidays(result), ["2026-02-16 Carnaval", "2026-02-17 Carnaval"]);
+});
+
+test("a DJe availability is published on the next business day", () => {
+  // 03/04/2026 is Good Friday
+  const result = computeDeadline(client, { eventType: "disponibilizacao", eventDate: "2026-04-01", termDays: 5 });
+  assert.equal(result.publicationDate, "2026-04-02");
+  assert.equal(result.startDate, "2026-04-06");
+  assert.equal(result.dueDate, "2026-04-10");
+  assert.deepEqual(holidays(result), ["2026-04-03 Sexta-feira da Paixão"]);
+});
+
+test("doubled terms skip Corpus Christi", () => {
+  const result = computeDeadline(client, { eventType: "publicacao", eventDate: "2026-06-01", termDays: 5, doubled: true });
+  assert.equal(result.totalDays, 10);
+  assert.equal(result.dueDate, "2026-06-16");
+  assert.deepEqual(holidays(result), ["2026-06-04 Corpus Christi"]);
+});
+
+test("20 November is a national holiday only from 2024", () => {
+  assert.equal(computeDeadline(client, { eventType: "intimacao", eventDate: "2023-11-16", termDays: 3 }).dueDate, "2023-11-21");
+  assert.equal(computeDeadline(client, { eventType: "intimacao", eventDate: "2024-11-18", termDays: 3 }).dueDate, "2024-11-22");
+});
+
+test("the court's own holidays and suspensions are skipped", () => {
+  const record = {
+    id: "escritorio",
+    deadlines: {
+      calendars: {
+        TJSP: {
+          holidays: ["01-25"],
+          suspensions: [{ from: "2027-01-27", to: "2027-01-28", reason: "Indisponibilidade do sistema" }],
+        },
+      },
+    },
+  };
+  const result = computeDeadline(record, { eventType: "intimacao", eventDate: "2027-01-21", termDays: 3, tribunal: "TJSP" });
+  assert.equal(result.calendar, "TJSP");
+  assert.equal(result.dueDate, "2027-01-29");
+});
+
+test("calendar settings are validated", () => {
+  const calendar = (settings) => validateDeadlineSettings({ calendars: { TJSP: settings } });
+  assert.equal(calendar({ holidays: ["01-25", "02-29", { date: "2026-06-05", name: "Ponto facultativo" }] }), null);
+  assert.equal(calendar({ suspensions: [{ from: "12-20", to: "01-06" }] }), null);
+  assert.match(calendar({ holidays: { date: "01-25" } }), /must be a list/);
+  assert.match(calendar({ holidays: ["02-31"] }), /holidays must be dates/);
+  assert.match(calendar({ holidays: ["2026-13-45"] }), /holidays must be dates/);
+  assert.match(calendar({ suspensions: [{ from: "2026-03-04", to: "2026-03-02" }] }), /suspensions/);
+});
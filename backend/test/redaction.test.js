@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isValidCpf, isValidCnpj, isValidCnj, createRedactor } from "../redaction.js";
+
+test("CPF, CNPJ and CNJ numbers are checked by their digits", () => {
+  assert.ok(isValidCpf("529.982.247-25"));
+  assert.ok(!isValidCpf("529.982.247-24"));
+  assert.ok(!isValidCpf("111.111.111-11"));
+  assert.ok(isValidCnpj("11.222.333/0001-81"));
+  assert.ok(!isValidCnpj("11.222.333/0001-82"));
+  assert.ok(isValidCnj("0000001-68.2026.8.26.0100"));
+  assert.ok(!isValidCnj("0000001-67.2026.8.26.0100"));
+});
+
+test("personal data is masked and restored", () => {
+  const redactor = createRedactor();
+  const masked = redactor.redact("Inscrito no CPF 529.982.247-25 e no CNPJ 11.222.333/0001-81.");
+  assert.equal(masked, "Inscrito no CPF [CPF_1] e no CNPJ [CNPJ_1].");
+  assert.equal(redactor.restore(masked), "Inscrito no CPF 529.982.247-25 e no CNPJ 11.222.333/0001-81.");
+});
+
+test("a term in another case or spacing keeps its placeholder", () => {
+  const redactor = createRedactor({ types: ["CPF"], terms: ["Acme Ltda"] });
+  const masked = redactor.redact("A Acme Ltda notifica a ACME  LTDA.");
+  assert.equal(masked, "A [NOME_1] notifica a [NOME_1].");
+  assert.equal(redactor.restore(masked), "A Acme Ltda notifica a Acme Ltda.");
+});
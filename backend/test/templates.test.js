@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { numberInWords, amountInWords, formatFieldValues, validateTemplate } from "../templates.js";
+
+test("numbers are written in words", () => {
+  assert.equal(numberInWords(0), "zero");
+  assert.equal(numberInWords(1001), "mil e um");
+  assert.equal(numberInWords(1250), "mil duzentos e cinquenta");
+  assert.equal(numberInWords(2500000), "dois milhões e quinhentos mil");
+});
+
+test("amounts in cents are written in reais and centavos", () => {
+  assert.equal(amountInWords(100100), "mil e um reais");
+  assert.equal(amountInWords(100025000), "um milhão, duzentos e cinquenta reais");
+  assert.equal(amountInWords(250000001), "dois milhões e quinhentos mil reais e um centavo");
+  assert.equal(amountInWords(100000000), "um milhão de reais");
+  assert.equal(amountInWords(100), "um real");
+  assert.equal(amountInWords(50), "cinquenta centavos");
+});
+
+const template = {
+  name: "Notificação",
+  fields: [
+    { name: "parte", label: "Parte", type: "text", required: true },
+    { name: "documento", label: "CPF/CNPJ", type: "cpf_cnpj", required: true },
+    { name: "valor", label: "Valor", type: "money", required: true },
+    { name: "data", label: "Data", type: "date", required: false },
+  ],
+  sections: [],
+  body: "{{parte}}, {{documento}}, {{valor}}, {{data}}",
+};
+
+test("form values are checked and formatted for the document", () => {
+  const { values, errors } = formatFieldValues(template, { parte: "Ana", documento: "52998224725", valor: "1.500,50", data: "2026-03-10" });
+  assert.deepEqual(errors, {});
+  assert.equal(values.documento, "529.982.247-25");
+  assert.equal(values.valor, "R$ 1.500,50 (mil e quinhentos reais e cinquenta centavos)");
+  assert.equal(values.data, "10 de março de 2026");
+});
+
+test("invalid and missing form values are reported by field", () => {
+  const { errors } = formatFieldValues(template, { documento: "529.982.247-24", valor: "abc", data: "2026-02-30" });
+  assert.deepEqual(errors, { parte: "required", documento: "invalid", valor: "invalid", data: "invalid" });
+});
+
+test("templates must place sections on their own line", () => {
+  assert.equal(validateTemplate({ ...template, sections: [{ name: "fatos", instructions: "Narre os fatos." }], body: "Fatos:\n{{ia:fatos}}" }), null);
+  assert.ok(validateTemplate({ ...template, sections: [{ name: "fatos", instructions: "Narre os fatos." }], body: "Fatos: {{ia:fatos}}" }));
+});
@@ -0,0 +1,125 @@
+import { randomUUID } from "crypto";
+import { db, transaction } from "./db.js";
+import { estimateTokens } from "./llm.js";
+
+// Conversation threads for the task pane chat, stored in the `threads` and
+// `thread_messages` tables (see db.js). A full thread looks like:
+//
+//   {
+//     "id": "<uuid>",
+//     "clientId": "cliente123",
+//     "title": "Redija uma contestação...",
+//     "createdAt": "2024-01-01T12:00:00.000Z",
+//     "updatedAt": "2024-01-01T12:05:00.000Z",
+//     "messages": [
+//       { "role": "user", "content": "<prompt sent to the model>", "display": "<what the user typed>", "createdAt": "..." },
+//       { "role": "assistant", "content": "...", "createdAt": "..." }
+//     ]
+//   }
+//
+// Every function takes the clientId so one client can never read or modify
+// another client's threads. For clients with named users (see users.js) a
+// thread also belongs to the user who started it, `userId`, and other
+// users of the client do not see it; threads from before the client had
+// users (user_id NULL) stay visible to all of them.
+
+// SQL condition for the threads of a client visible to one of its users
+// (parameters: clientId, userId; userId is null for clients without users).
+const VISIBLE_TO = "tenant_id = ? AND (user_id = ? OR user_id IS NULL)";
+
+const SUMMARY_COLUMNS = `
+  id, title, created_at AS createdAt, updated_at AS updatedAt,
+  (SELECT COUNT(*) FROM thread_messages WHERE thread_id = threads.id) AS messageCount
+`;
+
+// Short summary of a thread for listings (without the messages).
+function summary(clientId, threadId) {
+  return db.prepare(`SELECT ${SUMMARY_COLUMNS} FROM threads WHERE id = ? AND tenant_id = ?`)
+    .get(threadId, clientId);
+}
+
+export function createThread(clientId, title, userId = null) {
+  const id = randomUUID();
+  const now = new Date().toISOString();
+  db.prepare("INSERT INTO threads (id, tenant_id, user_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)")
+    .run(id, clientId, userId, title || "", now, now);
+  return summary(clientId, id);
+}
+
+// List the threads of the client (and user) most recently used first.
+export function listThreads(clientId, userId = null) {
+  return db.prepare(`SELECT ${SUMMARY_COLUMNS} FROM threads WHERE ${VISIBLE_TO} ORDER BY updated_at DESC`)
+    .all(clientId, userId);
+}
+
+// Returns the full thread, or undefined if it does not exist or belongs
+// to another client or user.
+export function getThread(clientId, threadId, userId = null) {
+  const thread = db.prepare(`
+    SELECT id, tenant_id AS clientId, title, created_at AS createdAt, updated_at AS updatedAt
+    FROM threads WHERE id = ? AND ${VISIBLE_TO}
+  `).get(threadId, clientId, userId);
+  if (!thread) {
+    return undefined;
+  }
+  thread.messages = db.prepare(`
+    SELECT role, content, display, created_at AS createdAt
+    FROM thread_messages WHERE thread_id = ? ORDER BY id
+  `).all(threadId).map(({ display, ...message }) => (display === null ? message : { ...message, display }));
+  return thread;
+}
+
+// Returns true if the thread existed and was deleted.
+export function deleteThread(clientId, threadId, userId = null) {
+  return db.prepare(`DELETE FROM threads WHERE id = ? AND ${VISIBLE_TO}`).run(threadId, clientId, userId).changes > 0;
+}
+
+// Append messages ({ role, content, display? }) to a thread. The first
+// user message also becomes the thread title if it has none.
+export function appendMessages(clientId, threadId, messages) {
+  return transaction(() => {
+    const thread = db.prepare("SELECT title FROM threads WHERE id = ? AND tenant_id = ?").get(threadId, clientId);
+    if (!thread) {
+      return undefined;
+    }
+    const now = new Date().toISOString();
+    const insert = db.prepare(
+      "INSERT INTO thread_messages (thread_id, role, content, display, created_at) VALUES (?, ?, ?, ?, ?)"
+    );
+    for (const message of messages) {
+      insert.run(threadId, message.role, message.content, message.display ?? null, now);
+    }
+    let title = thread.title;
+    if (!title) {
+      const firstUser = db.prepare(`
+        SELECT content, display FROM thread_messages
+        WHERE thread_id = ? AND role = 'user' ORDER BY id LIMIT 1
+      `).get(threadId);
+      if (firstUser) {
+        const text = (firstUser.display || firstUser.content).replace(/\s+/g, " ").trim();
+        title = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+      }
+    }
+    db.prepare("UPDATE threads SET title = ?, updated_at = ? WHERE id = ?").run(title, now, threadId);
+    return summary(clientId, threadId);
+  });
+}
+
+// Return the most recent messages of the history that fit in
+// `budgetTokens`, oldest first, as { role, content } pairs ready to be
+// sent to the model. Older messages are dropped first; an assistant reply
+// is never kept without the user message that produced it.
+export function trimHistory(messages, budgetTokens) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (used + cost > budgetTokens) break;
+    used += cost;
+    kept.unshift({ role: messages[i].role, content: messages[i].content });
+  }
+  while (kept.length > 0 && kept[0].role !== "user") {
+    kept.shift();
+  }
+  return kept;
+}
@@ -0,0 +1,182 @@
+import { createHash } from "crypto";
+import { APIError, APIConnectionError, APIUserAbortError } from "openai";
+
+// Resilience of the calls to the LLM providers. Every upstream call made by
+// createChatCompletion (see llm.js) goes through callUpstream, which:
+//
+//  - gives up after UPSTREAM_TIMEOUT_MS (the SDK client is created with
+//    this timeout and without its own retries);
+//  - retries rate-limited (429), unavailable (5xx) and timed-out calls up
+//    to UPSTREAM_MAX_RETRIES times, with exponential backoff and full
+//    jitter, honouring the provider's Retry-After when it sends one;
+//  - keeps a circuit breaker per provider key (base URL + API key): after
+//    CIRCUIT_FAILURE_THRESHOLD calls in a row fail because the provider is
+//    down, further calls fail at once for CIRCUIT_COOLDOWN_MS, then a
+//    single trial call decides whether the circuit closes again.
+//
+// Failures are turned into an UpstreamError with a stable `code`, which the
+// routes send to the task pane (see sendError in server.js):
+//
+//   invalid_api_key       the provider rejected the key, or none is set
+//   quota_exceeded        the provider account ran out of credit
+//   rate_limited          too many requests (see also ratelimit.js)
+//   context_too_long      the prompt does not fit the model's context
+//   provider_unavailable  provider down, timed out or circuit open
+
+export const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 60000;
+const MAX_RETRIES = process.env.UPSTREAM_MAX_RETRIES !== undefined ? Number(process.env.UPSTREAM_MAX_RETRIES) : 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN_MS = Number(process.env.CIRCUIT_COOLDOWN_MS) || 30000;
+
+const STATUS_BY_CODE = {
+  invalid_api_key: 502,
+  quota_exceeded: 429,
+  rate_limited: 429,
+  context_too_long: 400,
+  provider_unavailable: 503,
+};
+
+// A failed upstream call. `status` is the HTTP status the route answers
+// with, and `retryAfter` the seconds after which trying again makes sense
+// (or null).
+export class UpstreamError extends Error {
+  constructor(code, message, retryAfter = null) {
+    super(message);
+    this.name = "UpstreamError";
+    this.code = code;
+    this.status = STATUS_BY_CODE[code];
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Seconds the provider asked us to wait (Retry-After / retry-after-ms),
+// or null.
+function retryAfterOf(err) {
+  const headers = (err && err.headers) || {};
+  const ms = Number(headers["retry-after-ms"]);
+  if (ms > 0) return Math.ceil(ms / 1000);
+  const seconds = Number(headers["retry-after"]);
+  if (seconds > 0) return seconds;
+  const date = Date.parse(headers["retry-after"] || "");
+  return date > Date.now() ? Math.ceil((date - Date.now()) / 1000) : null;
+}
+
+// Map an error of the OpenAI SDK to an UpstreamError. Aborts by the client
+// and errors this module does not know are returned unchanged.
+export function classifyError(err) {
+  if (err instanceof UpstreamError || err instanceof APIUserAbortError) return err;
+  if (err instanceof APIConnectionError) {
+    // Includes APIConnectionTimeoutError
+    return new UpstreamError("provider_unavailable", `The LLM provider could not be reached: ${err.message}`);
+  }
+  if (!(err instanceof APIError)) return err;
+  const providerCode = err.code || (err.error && err.error.code) || "";
+  if (err.status === 401 || err.status === 403) {
+    return new UpstreamError("invalid_api_key", `The LLM provider rejected the API key: ${err.message}`);
+  }
+  if (err.status === 429 && providerCode === "insufficient_quota") {
+    return new UpstreamError("quota_exceeded", `The LLM provider account has no credit left: ${err.message}`);
+  }
+  if (err.status === 429) {
+    return new UpstreamError("rate_limited", `The LLM provider is rate limiting requests: ${err.message}`, retryAfterOf(err));
+  }
+  if ((err.status === 400 || err.status === 413) &&
+      (providerCode === "context_length_exceeded" || /context length|maximum context|too many tokens/i.test(err.message))) {
+    return new UpstreamError("context_too_long", `The text is too long for the model: ${err.message}`);
+  }
+  if (err.status === 408 || err.status >= 500) {
+    return new UpstreamError("provider_unavailable", `The LLM provider failed: ${err.message}`, retryAfterOf(err));
+  }
+  return err;
+}
+
+function isTransient(err) {
+  return err instanceof UpstreamError && (err.code === "rate_limited" || err.code === "provider_unavailable");
+}
+
+// Circuit breakers by provider key: { failures, openedUntil, trial }.
+const circuits = new Map();
+
+// Key of a provider account, without keeping the API key in memory twice.
+export function providerKey(config) {
+  return createHash("sha256").update(`${config.type}\u0000${config.baseURL || ""}\u0000${config.apiKey || ""}`).digest("hex");
+}
+
+function circuitFor(key) {
+  if (!circuits.has(key)) circuits.set(key, { failures: 0, openedUntil: 0, trial: false });
+  return circuits.get(key);
+}
+
+// Throw if the circuit is open. Once the cooldown is over, one call at a
+// time is let through as a trial.
+function checkCircuit(circuit) {
+  if (circuit.failures < CIRCUIT_FAILURE_THRESHOLD) return;
+  const now = Date.now();
+  if (now < circuit.openedUntil || circuit.trial) {
+    const retryAfter = Math.max(Math.ceil((circuit.openedUntil - now) / 1000), 1);
+    throw new UpstreamError("provider_unavailable", "The LLM provider is failing; requests are paused for a moment", retryAfter);
+  }
+  circuit.trial = true;
+}
+
+function recordOutcome(circuit, err) {
+  circuit.trial = false;
+  if (err && err.code === "provider_unavailable") {
+    circuit.failures += 1;
+    if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      circuit.openedUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+      if (circuit.failures === CIRCUIT_FAILURE_THRESHOLD) {
+        console.error(`Circuit opened for an LLM provider after ${circuit.failures} failures`);
+      }
+    }
+  } else if (!err || !isTransient(err)) {
+    // Any answer from the provider (even a rejection) means it is up
+    circuit.failures = 0;
+  }
+}
+
+// Exponential backoff with full jitter, or the provider's Retry-After.
+function retryDelay(attempt, err) {
+  if (err.retryAfter) return Math.min(err.retryAfter * 1000, MAX_DELAY_MS);
+  return Math.random() * Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+// Run `call` (an upstream request) for the provider account `key`, with
+// retries and the circuit breaker described above. Errors are thrown as
+// classified by classifyError. For streams only opening the stream is
+// retried; an error midway is left to the caller.
+export async function callUpstream(key, call, { signal } = {}) {
+  const circuit = circuitFor(key);
+  for (let attempt = 0; ; attempt++) {
+    checkCircuit(circuit);
+    try {
+      const result = await call();
+      recordOutcome(circuit, null);
+      return result;
+    } catch (raw) {
+      const err = classifyError(raw);
+      if (err instanceof APIUserAbortError || (signal && signal.aborted)) {
+        circuit.trial = false;
+        throw err;
+      }
+      recordOutcome(circuit, err);
+      if (!isTransient(err) || attempt >= MAX_RETRIES) throw err;
+      await sleep(retryDelay(attempt, err), signal);
+    }
+  }
+}
@@ -0,0 +1,161 @@
+import { db } from "./db.js";
+
+// Token usage metering and quotas. Usage is aggregated in the `usage` table
+// (see db.js) per client, per day, per operation ("ia", "analyze",
+// "configure", "deadlines", "compare", "generate") and per model, as
+// request and prompt/completion token counts.
+//
+// Quotas are configured per client record (see tenants.js), in total tokens
+// (prompt + completion):
+//
+//   "quota": { "dailyTokens": 200000, "monthlyTokens": 3000000 }
+
+// Days are counted in the firms' local time so the daily quota resets at
+// midnight for them, not at midnight UTC.
+const USAGE_TIMEZONE = process.env.USAGE_TIMEZONE || "America/Sao_Paulo";
+
+// Estimated price in USD per million tokens. Matched by model-name prefix;
+// the first match wins, so more specific prefixes come first. Models not
+// listed (e.g. self-hosted ones) have no estimated cost.
+const MODEL_PRICING = [
+  ["gpt-4o-mini", { input: 0.15, output: 0.6 }],
+  ["gpt-4o", { input: 2.5, output: 10 }],
+  ["gpt-4.1-nano", { input: 0.1, output: 0.4 }],
+  ["gpt-4.1-mini", { input: 0.4, output: 1.6 }],
+  ["gpt-4.1", { input: 2, output: 8 }],
+  ["gpt-4-turbo", { input: 10, output: 30 }],
+  ["gpt-3.5-turbo", { input: 0.5, output: 1.5 }],
+];
+
+// Thrown by checkQuota when a client has used up its daily or monthly
+// token allowance. Routes answer it with HTTP 429.
+export class QuotaExceededError extends Error {
+  constructor(period, limit, used) {
+    super(`${period === "daily" ? "Daily" : "Monthly"} token quota exceeded (${used}/${limit})`);
+    this.name = "QuotaExceededError";
+    this.code = "quota_exceeded";
+    this.period = period;
+    this.limit = limit;
+    this.used = used;
+  }
+}
+
+// Today's date (YYYY-MM-DD) in USAGE_TIMEZONE.
+export function today() {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: USAGE_TIMEZONE }).format(new Date());
+}
+
+// Add one request's token counts to the client's totals.
+export function recordUsage(clientId, operation, model, promptTokens, completionTokens) {
+  db.prepare(`
+    INSERT INTO usage (tenant_id, day, operation, model, requests, prompt_tokens, completion_tokens)
+    VALUES (?, ?, ?, ?, 1, ?, ?)
+    ON CONFLICT (tenant_id, day, operation, model) DO UPDATE SET
+      requests = requests + 1,
+      prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+      completion_tokens = completion_tokens + excluded.completion_tokens
+  `).run(clientId, today(), operation, model, promptTokens || 0, completionTokens || 0);
+}
+
+// Total tokens used by a client on the days matching the LIKE pattern
+// `dayPattern` (a day, or a month followed by "%").
+function tokensUsed(clientId, dayPattern) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS total
+    FROM usage WHERE tenant_id = ? AND day LIKE ?
+  `).get(clientId, dayPattern).total;
+}
+
+// Returns an error message for invalid `quota` settings, or null.
+export function validateQuotaSettings(settings) {
+  if (settings === null || settings === undefined) return null;
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "quota must be an object";
+  }
+  for (const field of ["dailyTokens", "monthlyTokens"]) {
+    if (settings[field] !== undefined && settings[field] !== null &&
+        (!Number.isInteger(settings[field]) || settings[field] < 1)) {
+      return `quota.${field} must be a positive whole number of tokens`;
+    }
+  }
+  return null;
+}
+
+// Current consumption against the client's quotas. A limit of null means
+// the client has no quota for that period.
+export function quotaStatus(clientRecord) {
+  const quota = clientRecord.quota || {};
+  const day = today();
+  const month = day.slice(0, 7);
+  return {
+    daily: {
+      limit: quota.dailyTokens || null,
+      used: tokensUsed(clientRecord.id, day),
+    },
+    monthly: {
+      limit: quota.monthlyTokens || null,
+      used: tokensUsed(clientRecord.id, `${month}%`),
+    },
+  };
+}
+
+// Throws QuotaExceededError if the client already reached a quota.
+export function checkQuota(clientRecord) {
+  if (!clientRecord.quota) return;
+  const status = quotaStatus(clientRecord);
+  for (const period of ["daily", "monthly"]) {
+    const { limit, used } = status[period];
+    if (limit && used >= limit) {
+      throw new QuotaExceededError(period, limit, used);
+    }
+  }
+}
+
+// Estimated cost in USD, or null if the model has no known price.
+export function estimateCost(model, promptTokens, completionTokens) {
+  const match = MODEL_PRICING.find(([prefix]) => model.startsWith(prefix));
+  if (!match) return null;
+  const { input, output } = match[1];
+  return (promptTokens * input + completionTokens * output) / 1e6;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+function addTo(totals, entry, cost) {
+  totals.requests += entry.requests;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.promptTokens + entry.completionTokens;
+  if (cost !== null) totals.estimatedCost += cost;
+}
+
+// Aggregate a client's usage between two days (inclusive, YYYY-MM-DD)
+// into totals and breakdowns per model, operation and day.
+export function summarizeUsage(clientId, from, to) {
+  const rows = db.prepare(`
+    SELECT day, operation, model, requests,
+           prompt_tokens AS promptTokens, completion_tokens AS completionTokens
+    FROM usage WHERE tenant_id = ? AND day BETWEEN ? AND ?
+    ORDER BY day
+  `).all(clientId, from, to);
+  const summary = { clientId, from, to, totals: emptyTotals(), byModel: {}, byOperation: {}, byDay: {} };
+  for (const { day, operation, model, ...entry } of rows) {
+    const cost = estimateCost(model, entry.promptTokens, entry.completionTokens);
+    addTo(summary.totals, entry, cost);
+    addTo((summary.byModel[model] = summary.byModel[model] || emptyTotals()), entry, cost);
+    addTo((summary.byOperation[operation] = summary.byOperation[operation] || emptyTotals()), entry, cost);
+    addTo((summary.byDay[day] = summary.byDay[day] || emptyTotals()), entry, cost);
+  }
+  // Self-hosted and unknown models have no price; say so instead of 0
+  for (const model of Object.keys(summary.byModel)) {
+    if (estimateCost(model, 0, 0) === null) summary.byModel[model].estimatedCost = null;
+  }
+  return summary;
+}
+
+// Ids of every client that has recorded usage.
+export function clientsWithUsage() {
+  return db.prepare("SELECT DISTINCT tenant_id AS id FROM usage").all().map((row) => row.id);
+}
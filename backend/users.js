@@ -0,0 +1,153 @@
+import { randomUUID, randomBytes } from "crypto";
+import { db, transaction } from "./db.js";
+import { hashSecret } from "./auth.js";
+
+// Individual users of a client (tenant), stored in the `users` table (see
+// db.js). The manifest's cid/token pair still identifies the firm; once a
+// client has users, each person also logs in with their own username and
+// password, and their role decides what they may do:
+//
+//   admin   everything: API key, personas, command library, document
+//           templates, knowledge base, usage and audit exports, plus
+//           drafting and analysis
+//   lawyer  drafting (/api/ia), analysis, deadlines, documents from
+//           templates and their own conversations; personas, commands,
+//           templates and the knowledge base are read-only
+//
+// A client without users keeps working as before, with the session acting
+// as admin, so existing installs are not locked out; creating the first
+// user (admin API or `node admin-cli.js add-user`) switches the client to
+// named logins. A user looks like:
+//
+//   {
+//     "id": "<uuid>",
+//     "username": "ana.souza",           // unique within the client, lowercase
+//     "name": "Ana Souza",
+//     "role": "lawyer",
+//     "disabled": false,
+//     "createdAt": "...",
+//     "updatedAt": "..."
+//   }
+
+export const ROLES = ["admin", "lawyer"];
+
+// The role of sessions of clients that have no users yet
+export const LEGACY_ROLE = "admin";
+
+const USERNAME_PATTERN = /^[a-z0-9._@-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_COLUMNS = `
+  id, username, name, role, disabled, created_at AS createdAt, updated_at AS updatedAt
+`;
+
+function toUser(row) {
+  return row && { ...row, disabled: Boolean(row.disabled) };
+}
+
+// Returns an error message for invalid user fields, or null. With
+// `partial` only the fields given are checked (for updates).
+export function validateUser({ username, name, role, password, disabled }, partial = false) {
+  if (!partial || username !== undefined) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+      return "username must be 2-64 letters, digits, '.', '_', '@' or '-'";
+    }
+  }
+  if (name !== undefined && (typeof name !== "string" || name.length > 120)) {
+    return "name must be at most 120 characters";
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return `role must be one of ${ROLES.join(", ")}`;
+    }
+  }
+  if (password !== undefined && (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (disabled !== undefined && typeof disabled !== "boolean") {
+    return "disabled must be true or false";
+  }
+  return null;
+}
+
+// A random password for users created without one.
+export function generatePassword() {
+  return randomBytes(12).toString("base64url");
+}
+
+export function hasUsers(clientId) {
+  return Boolean(db.prepare("SELECT 1 FROM users WHERE tenant_id = ?").get(clientId));
+}
+
+// The client's users, sorted by username.
+export function listUsers(clientId) {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE tenant_id = ? ORDER BY username`)
+    .all(clientId)
+    .map(toUser);
+}
+
+// The user, or undefined if it does not exist or belongs to another
+// client. `passwordHash` is included for authentication.
+export function getUser(clientId, userId) {
+  const row = db.prepare(`SELECT ${USER_COLUMNS}, password_hash AS passwordHash FROM users WHERE id = ? AND tenant_id = ?`)
+    .get(userId, clientId);
+  return toUser(row);
+}
+
+export function findUserByUsername(clientId, username) {
+  const row = db.prepare(`SELECT ${USER_COLUMNS}, password_hash AS passwordHash FROM users WHERE tenant_id = ? AND username = ?`)
+    .get(clientId, String(username || "").trim().toLowerCase());
+  return toUser(row);
+}
+
+// What routes and the task pane get to see of a user.
+export function describeUser(user) {
+  const { passwordHash, ...visible } = user;
+  return visible;
+}
+
+// Create a user. Returns it, or null if the username is taken.
+export function createUser(clientId, { username, name, role, password }) {
+  return transaction(() => {
+    const normalized = username.trim().toLowerCase();
+    if (findUserByUsername(clientId, normalized)) {
+      return null;
+    }
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO users (id, tenant_id, username, name, role, password_hash, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, clientId, normalized, (name || "").trim(), role, hashSecret(password), now, now);
+    return describeUser(getUser(clientId, id));
+  });
+}
+
+// Change a user's name, role, password or disabled flag. A new password
+// ends the user's open sessions (see requireClient in server.js). Returns
+// the updated user, or undefined if it does not exist.
+export function updateUser(clientId, userId, { name, role, password, disabled }) {
+  return transaction(() => {
+    const user = getUser(clientId, userId);
+    if (!user) {
+      return undefined;
+    }
+    db.prepare(`
+      UPDATE users SET name = ?, role = ?, password_hash = ?, disabled = ?, updated_at = ? WHERE id = ?
+    `).run(
+      name !== undefined ? name.trim() : user.name,
+      role || user.role,
+      password !== undefined ? hashSecret(password) : user.passwordHash,
+      disabled !== undefined ? Number(disabled) : Number(user.disabled),
+      new Date().toISOString(),
+      userId
+    );
+    return describeUser(getUser(clientId, userId));
+  });
+}
+
+// Returns true if the user existed and was deleted with their threads and
+// snapshots.
+export function deleteUser(clientId, userId) {
+  return db.prepare("DELETE FROM users WHERE id = ? AND tenant_id = ?").run(userId, clientId).changes > 0;
+}
@@ -2,8 +2,9 @@
  * taskpane.js
  *
  * Script for the multi‑tenant Word add‑in front‑end. This module reads
- * client identifiers from the query string, displays a chat‑like interface,
- * and communicates with the backend API to generate AI‑assisted legal text.
+ * client identifiers from the query string, exchanges them for a session
+ * token, displays a chat‑like interface, and communicates with the backend
+ * API to generate AI‑assisted legal text.
  */
 
 // Parse query parameters from the current URL (e.g. ?cid=client1&token=secret1).
@@ -20,8 +21,9 @@ function getQueryParams() {
   return params;
 }
 
-// When Office is ready, wire up UI events and check for client credentials.
-Office.onReady(() => {
+// When Office is ready, log in with the client credentials and wire up UI
+// events.
+Office.onReady(async () => {
   const params = getQueryParams();
   const clientId = params.cid;
   const clientSecret = params.token;
@@ -34,21 +36,103 @@ Office.onReady(() => {
     return;
   }
 
+  // The secret is only sent to /api/login. Drop it from the URL so it does
+  // not linger in the task pane's history (Office and proxies may still
+  // have the manifest's URL; see "The manifest is a secret" in README).
+  window.history.replaceState(null, '', window.location.pathname);
+  try {
+    await login(clientId, clientSecret);
+  } catch (err) {
+    console.error(err);
+    if (err.code === 'user_required') {
+      // The firm has named users: ask who is logging in
+      showUserLogin(clientId, clientSecret);
+      return;
+    }
+    showLoginError(err);
+    return;
+  }
+  startPane();
+});
+
+// Show a login error in the status bar and disable sending.
+function showLoginError(err) {
+  const statusEl = document.getElementById('status');
+  if (err.code === 'invalid_user_credentials') {
+    statusEl.textContent = 'Usuário ou senha incorretos.';
+    return;
+  }
+  if (err.code === 'user_disabled') {
+    statusEl.textContent = 'Seu usuário está desativado. Fale com o administrador do escritório.';
+  } else if (err.status === 401) {
+    statusEl.textContent = 'Erro: credenciais inválidas. Verifique o cid e o token configurados no manifest.';
+  } else if (err.code === 'client_disabled') {
+    statusEl.textContent = 'O acesso do seu escritório ao assistente está desativado. Fale com o administrador.';
+  } else {
+    statusEl.textContent = describeError(err);
+  }
+  document.getElementById('sendButton').disabled = true;
+}
+
+// Ask for the username and password of firms with named users. The last
+// username is remembered on this computer; the password never is.
+function showUserLogin(clientId, clientSecret) {
+  const form = document.getElementById('userLogin');
+  const usernameInput = document.getElementById('loginUsername');
+  const passwordInput = document.getElementById('loginPassword');
+  const usernameKey = `username:${clientId}`;
+  usernameInput.value = localStorage.getItem(usernameKey) || '';
+  form.hidden = false;
+  document.getElementById('status').textContent = 'Entre com seu usuário e senha do escritório.';
+  (usernameInput.value ? passwordInput : usernameInput).focus();
+
+  form.onsubmit = async (event) => {
+    event.preventDefault();
+    const statusEl = document.getElementById('status');
+    const loginBtn = document.getElementById('loginButton');
+    loginBtn.disabled = true;
+    statusEl.textContent = 'Entrando...';
+    try {
+      await login(clientId, clientSecret, usernameInput.value.trim(), passwordInput.value);
+    } catch (err) {
+      console.error(err);
+      passwordInput.value = '';
+      loginBtn.disabled = false;
+      showLoginError(err);
+      return;
+    }
+    localStorage.setItem(usernameKey, usernameInput.value.trim());
+    passwordInput.value = '';
+    form.hidden = true;
+    statusEl.textContent = '';
+    startPane();
+  };
+}
+
+// Wire up the UI once logged in. Users without the admin role do not get
+// the configuration section nor the command editor (the backend refuses
+// those routes anyway; see users.js).
+function startPane() {
+  const isAdmin = session.role === 'admin';
+  document.getElementById('configSection').hidden = !isAdmin;
+  document.getElementById('manageCommandsButton').hidden = !isAdmin;
+  document.getElementById('manageTemplatesButton').hidden = !isAdmin;
+
   // Setup event handler for the send button
   document.getElementById('sendButton').onclick = () => {
-    runIA(clientId, clientSecret);
+    runIA();
   };
 
   // Setup event handler for config button
   document.getElementById('configButton').onclick = () => {
-    configureAssistant(clientId, clientSecret);
+    configureAssistant();
   };
 
   // Setup event handler for Save Key button
   const saveKeyBtn = document.getElementById('saveKeyButton');
   if (saveKeyBtn) {
     saveKeyBtn.onclick = () => {
-      saveApiKeyOnly(clientId, clientSecret);
+      saveApiKeyOnly();
     };
   }
 
@@ -56,13 +140,338 @@ Office.onReady(() => {
   const analyzeBtn = document.getElementById('analyzeButton');
   if (analyzeBtn) {
     analyzeBtn.onclick = () => {
-      analyzeDocument(clientId, clientSecret);
+      analyzeDocument();
     };
   }
-});
+  document.getElementById('openAnalysisButton').onclick = () => {
+    openAnalysis();
+  };
+
+  // Setup deadline calculator
+  document.getElementById('deadlineButton').onclick = () => {
+    calculateDeadline();
+  };
+  document.getElementById('recountDeadlineButton').onclick = () => {
+    recountDeadline();
+  };
+  document.getElementById('insertDeadlineButton').onclick = () => {
+    insertDeadlineNote();
+  };
+
+  // Setup document templates: form and editor (admins only)
+  document.getElementById('templateButton').onclick = () => {
+    toggleTemplatePanel();
+  };
+  document.getElementById('templateSelect').onchange = () => {
+    renderTemplateForm();
+  };
+  document.getElementById('generateDocumentButton').onclick = () => {
+    generateFromTemplate();
+  };
+  document.getElementById('manageTemplatesButton').onclick = () => {
+    toggleTemplateEditor();
+  };
+  document.getElementById('templateEditorSelect').onchange = (event) => {
+    fillTemplateEditor(event.target.value);
+  };
+  document.getElementById('saveTemplateButton').onclick = () => {
+    saveTemplate();
+  };
+  document.getElementById('deleteTemplateButton').onclick = () => {
+    deleteSelectedTemplate();
+  };
+
+  // Setup version comparison
+  document.getElementById('compareButton').onclick = () => {
+    toggleComparePanel();
+  };
+  document.getElementById('compareSource').onchange = () => {
+    renderCompareSource();
+  };
+  document.getElementById('runCompareButton').onclick = () => {
+    compareVersions();
+  };
+  document.getElementById('deleteSnapshotButton').onclick = () => {
+    deleteSelectedSnapshot();
+  };
+  document.getElementById('saveSnapshotButton').onclick = () => {
+    saveSnapshot();
+  };
+
+  // Setup event handler for cancel button (aborts the running stream,
+  // or else the analysis job being followed)
+  const cancelBtn = document.getElementById('cancelButton');
+  if (cancelBtn) {
+    cancelBtn.onclick = () => {
+      if (currentRequest) {
+        cancelCurrentRequest();
+      } else {
+        cancelAnalysisJob();
+      }
+    };
+  }
+
+  // Setup conversation thread controls
+  document.getElementById('threadSelect').onchange = (event) => {
+    const threadId = event.target.value;
+    if (threadId) {
+      openThread(threadId);
+    } else {
+      startNewThread();
+    }
+  };
+  document.getElementById('newThreadButton').onclick = () => {
+    startNewThread();
+  };
+  document.getElementById('deleteThreadButton').onclick = () => {
+    deleteCurrentThread();
+  };
+
+  // Setup revision preview actions ("revise" mode)
+  document.getElementById('applyRevisionButton').onclick = () => {
+    applyRevision();
+  };
+  document.getElementById('discardRevisionButton').onclick = () => {
+    discardRevision();
+  };
+
+  // Setup command library: quick actions, variables form and editor
+  document.getElementById('commandSearch').oninput = () => {
+    renderCommands();
+  };
+  document.getElementById('manageCommandsButton').onclick = () => {
+    toggleCommandEditor();
+  };
+  document.getElementById('batchButton').onclick = () => {
+    toggleBatchPanel();
+  };
+  document.getElementById('runBatchButton').onclick = () => {
+    runBatch();
+  };
+  document.getElementById('retryBatchButton').onclick = () => {
+    retryBatchFailures();
+  };
+  document.getElementById('runCommandButton').onclick = () => {
+    submitCommandVariables();
+  };
+  document.getElementById('cancelCommandButton').onclick = () => {
+    closeCommandVariables();
+  };
+  document.getElementById('commandVariablesFields').onkeydown = (event) => {
+    if (event.key === 'Enter') submitCommandVariables();
+  };
+  document.getElementById('commandEditorSelect').onchange = (event) => {
+    fillCommandEditor(event.target.value);
+  };
+  document.getElementById('saveCommandButton').onclick = () => {
+    saveCommand();
+  };
+  document.getElementById('deleteCommandButton').onclick = () => {
+    deleteSelectedCommand();
+  };
+  loadCommands();
+
+  // Setup persona picker and editor
+  document.getElementById('personaSelect').onchange = (event) => {
+    localStorage.setItem(personaStorageKey(), event.target.value);
+  };
+  document.getElementById('personaEditorSelect').onchange = (event) => {
+    document.getElementById('configResult').textContent = '';
+    openPersona(event.target.value);
+  };
+  document.getElementById('savePersonaButton').onclick = () => {
+    savePersonaEdits();
+  };
+  document.getElementById('deletePersonaButton').onclick = () => {
+    deleteEditedPersona();
+  };
+  loadPersonas();
+
+  // Setup knowledge base uploads
+  document.getElementById('uploadKnowledgeButton').onclick = () => {
+    uploadKnowledgeFiles();
+  };
+
+  // Resume the conversation that was open when Word was last closed
+  restoreThread();
+
+  // List the document's earlier analyses and follow one still running
+  loadAnalysisHistory();
+  resumeAnalysisJob();
+
+  if (isAdmin) {
+    loadKnowledge();
+    // Show whether an API key is already configured
+    showKeyStatus();
+  }
+}
+
+// Current session: { clientId, user, role, accessToken, refreshToken }.
+// `user` is null for firms without named users, whose sessions have the
+// admin role. Tokens are kept in memory only; reopening the pane logs in
+// again.
+let session = null;
+
+// Exchange the client secret (and, for firms with named users, the user's
+// username and password) for a session token pair.
+async function login(clientId, clientSecret, username, password) {
+  const response = await fetch(apiUrl('/api/login'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clientId, clientSecret, username, password }),
+  });
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+  session = await response.json();
+}
+
+// Concurrent refreshes share one request, since each refresh token is
+// replaced by the response.
+let refreshing = null;
+
+// Obtain a new access token with the refresh token. Returns false if the
+// session can no longer be refreshed.
+async function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const response = await fetch(apiUrl('/api/refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      });
+      if (!response.ok) {
+        return false;
+      }
+      session = await response.json();
+      return true;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+// fetch() a backend route with the session's access token. An expired
+// access token is refreshed once and the request retried.
+async function authFetch(path, options = {}) {
+  const send = () => fetch(apiUrl(path), {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${session.accessToken}` },
+  });
+  let response = await send();
+  if (response.status === 401 && session.refreshToken) {
+    if (await refreshSession()) {
+      response = await send();
+    }
+  }
+  return response;
+}
+
+// Build the full URL for a backend route. Use a relative path if served
+// from the same domain; otherwise set API_BASE_URL in an injected script.
+function apiUrl(path) {
+  return `${window.API_BASE_URL || ''}${path}`;
+}
+
+// Build an Error from a non-2xx backend response. The error carries the
+// HTTP status, the backend's machine-readable `code` (if any) and the full
+// JSON body in `details`, for describeError.
+async function responseError(response) {
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (err) {
+    // Body was not JSON; keep the status-only message
+  }
+  const error = new Error(data.error ? `Erro HTTP ${response.status}: ${data.error}` : `Erro HTTP ${response.status}`);
+  error.status = response.status;
+  error.code = data.code;
+  error.details = data;
+  return error;
+}
+
+// Build an Error from the payload of an `error` event of a streamed
+// response, with the same fields as responseError.
+function eventError(payload) {
+  const error = new Error(payload.error || 'Erro no servidor');
+  error.code = payload.code;
+  error.details = payload;
+  return error;
+}
+
+// "em 30 segundos" / "em alguns instantes", from the error's retryAfter.
+function retryHint(err) {
+  const seconds = err.details && err.details.retryAfter;
+  return seconds ? `em ${seconds} segundo(s)` : 'em alguns instantes';
+}
+
+// Turn an error from a backend call into a message for the user.
+// Errors with a known code get specific guidance in Portuguese.
+function describeError(err) {
+  if (err.code === 'token_expired' || err.code === 'invalid_token') {
+    return 'Sua sessão expirou. Feche e reabra o painel do assistente para entrar novamente.';
+  }
+  if (err.code === 'forbidden') {
+    return 'Seu usuário não tem permissão para esta ação. Fale com o administrador do escritório.';
+  }
+  if (err.code === 'invalid_api_key') {
+    return 'A API Key foi recusada pelo provedor ou não está configurada. ' +
+      'Verifique em Configurações se ela foi copiada por completo e se está ativa.';
+  }
+  if (err.code === 'quota_exceeded' && err.details && err.details.period) {
+    const period = err.details.period === 'daily' ? 'diário' : 'mensal';
+    return `O limite ${period} de uso da IA contratado pelo seu escritório foi atingido. ` +
+      'Tente novamente quando o limite for renovado ou fale com o administrador para ampliá-lo.';
+  }
+  if (err.code === 'quota_exceeded') {
+    return 'A conta do provedor de IA ficou sem créditos. Peça ao responsável pela conta que verifique o faturamento.';
+  }
+  if (err.code === 'rate_limited') {
+    return `Muitas solicitações em pouco tempo. Aguarde e tente novamente ${retryHint(err)}.`;
+  }
+  if (err.code === 'context_too_long') {
+    return 'O texto é longo demais para o modelo. Selecione um trecho menor ou inicie uma nova conversa.';
+  }
+  if (err.code === 'provider_unavailable') {
+    return `O provedor de IA está indisponível ou não respondeu a tempo. Tente novamente ${retryHint(err)}.`;
+  }
+  if (err.code === 'too_many_jobs') {
+    return 'Já há outras análises em andamento no escritório. Aguarde uma delas terminar e tente novamente.';
+  }
+  if (err.code === 'job_interrupted') {
+    return 'A análise foi interrompida por uma reinicialização do servidor. Analise o documento novamente.';
+  }
+  if (err instanceof TypeError) {
+    // fetch() rejects with a TypeError when the backend cannot be reached
+    return 'Não foi possível conectar ao servidor do assistente. Verifique sua conexão e tente novamente.';
+  }
+  if (err.status >= 500) {
+    return 'Erro interno no servidor do assistente. Tente novamente; se persistir, fale com o administrador.';
+  }
+  return `Erro: ${err.message}`;
+}
+
+// POST a JSON body to the backend and return the parsed JSON response.
+// Throws a responseError on non-2xx responses. `signal` optionally aborts
+// the request.
+async function postJson(path, body, signal) {
+  const response = await authFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+  return response.json();
+}
 
 
 // Append a message to the chat container. type is 'user' or 'ai'.
+// Returns the message element so streamed replies can be updated in place
+// with appendToMessage.
 function appendMessage(content, type) {
   const chat = document.getElementById('chat');
   const messageDiv = document.createElement('div');
@@ -70,10 +479,201 @@ function appendMessage(content, type) {
   messageDiv.textContent = content;
   chat.appendChild(messageDiv);
   chat.scrollTop = chat.scrollHeight;
+  return messageDiv;
 }
 
-// Runs the AI call: reads selected text, sends request, inserts reply.
-async function runIA(clientId, clientSecret) {
+// Append streamed text to an existing chat message and keep the chat
+// scrolled to the bottom while tokens arrive.
+function appendToMessage(messageDiv, text) {
+  const chat = document.getElementById('chat');
+  messageDiv.textContent += text;
+  chat.scrollTop = chat.scrollHeight;
+}
+
+// Id of the conversation thread the chat is showing, or null when the
+// next message starts a new thread. Persisted in localStorage per client
+// (and user) so the conversation can be resumed after Word is reopened.
+let currentThreadId = null;
+
+function threadStorageKey() {
+  return session.user ? `threadId:${session.clientId}:${session.user.id}` : `threadId:${session.clientId}`;
+}
+
+function setCurrentThread(threadId) {
+  currentThreadId = threadId;
+  if (threadId) {
+    localStorage.setItem(threadStorageKey(), threadId);
+  } else {
+    localStorage.removeItem(threadStorageKey());
+  }
+}
+
+// Fill the thread selector with the client's threads, keeping the current
+// thread selected.
+async function refreshThreadList() {
+  const select = document.getElementById('threadSelect');
+  const data = await postJson('/api/threads/list', {});
+  select.innerHTML = '';
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.textContent = 'Nova conversa';
+  select.appendChild(newOption);
+  (data.threads || []).forEach((thread) => {
+    const option = document.createElement('option');
+    option.value = thread.id;
+    option.textContent = thread.title || 'Conversa sem título';
+    select.appendChild(option);
+  });
+  select.value = currentThreadId || '';
+}
+
+// Load the thread list and reopen the last used thread, if it still exists.
+async function restoreThread() {
+  const savedId = localStorage.getItem(threadStorageKey());
+  try {
+    if (savedId) {
+      await openThread(savedId);
+    } else {
+      await refreshThreadList();
+    }
+  } catch (err) {
+    console.error(err);
+    if (err.status === 404) {
+      startNewThread();
+      refreshThreadList().catch(console.error);
+    }
+  }
+}
+
+// Replace the chat with the messages of an existing thread.
+async function openThread(threadId) {
+  const statusEl = document.getElementById('status');
+  const data = await postJson('/api/threads/get', { threadId });
+  document.getElementById('chat').innerHTML = '';
+  data.thread.messages.forEach((message) => {
+    appendMessage(message.content, message.role === 'user' ? 'user' : 'ai');
+  });
+  setCurrentThread(threadId);
+  await refreshThreadList();
+  statusEl.textContent = '';
+}
+
+// Clear the chat; the next message will create a new thread.
+function startNewThread() {
+  setCurrentThread(null);
+  document.getElementById('chat').innerHTML = '';
+  document.getElementById('threadSelect').value = '';
+}
+
+async function deleteCurrentThread() {
+  const statusEl = document.getElementById('status');
+  if (!currentThreadId) {
+    startNewThread();
+    return;
+  }
+  try {
+    await postJson('/api/threads/delete', { threadId: currentThreadId });
+    startNewThread();
+    await refreshThreadList();
+    statusEl.textContent = 'Conversa excluída.';
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = `Erro ao excluir conversa: ${describeError(err)}`;
+  }
+}
+
+// AbortController for the request currently streaming, if any. Only one
+// streaming request runs at a time; the cancel button aborts it.
+let currentRequest = null;
+
+// Start tracking a new streaming request and show the cancel button.
+function beginRequest() {
+  cancelCurrentRequest();
+  currentRequest = new AbortController();
+  updateCancelButton();
+  return currentRequest.signal;
+}
+
+// Stop tracking the streaming request and hide the cancel button, unless
+// an analysis job is still being followed.
+function endRequest(signal) {
+  if (currentRequest && currentRequest.signal === signal) {
+    currentRequest = null;
+    updateCancelButton();
+  }
+}
+
+function updateCancelButton() {
+  const cancelBtn = document.getElementById('cancelButton');
+  if (cancelBtn) cancelBtn.hidden = !currentRequest && !analysisPoll;
+}
+
+// Abort the streaming request, if any. Closing the connection makes the
+// backend abort its upstream OpenAI call as well.
+function cancelCurrentRequest() {
+  if (currentRequest) {
+    currentRequest.abort();
+  }
+}
+
+// POST a JSON body to a streaming endpoint and call onEvent(event, data)
+// for each Server-Sent Event received. Resolves with the payload of the
+// final `done` event; rejects on HTTP errors, `error` events or abort.
+async function postEventStream(path, body, onEvent, signal) {
+  const response = await authFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      });
+      if (!data) continue;
+      const payload = JSON.parse(data);
+      if (event === 'error') {
+        throw eventError(payload);
+      }
+      if (event === 'done') {
+        result = payload;
+      }
+      onEvent(event, payload);
+    }
+  }
+  if (!result) {
+    throw new Error('A resposta foi interrompida.');
+  }
+  return result;
+}
+
+// Sends the typed prompt with the mode chosen in the input bar.
+async function runIA() {
   const statusEl = document.getElementById('status');
   const promptEl = document.getElementById('prompt');
   const mode = document.getElementById('mode').value;
@@ -82,11 +682,19 @@ async function runIA(clientId, clientSecret) {
     statusEl.textContent = 'Informe um comando para a IA.';
     return;
   }
+  promptEl.value = '';
+  await requestIA({ prompt }, mode, prompt);
+}
+
+// Runs the AI call: reads selected text, sends request, inserts reply.
+// `request` holds the prompt, or the commandId and variables of a library
+// command; `label` is what the chat shows for the user's message.
+async function requestIA(request, mode, label) {
+  const statusEl = document.getElementById('status');
   statusEl.textContent = '';
 
   // Show user message in chat
-  appendMessage(prompt, 'user');
-  promptEl.value = '';
+  appendMessage(label, 'user');
 
   // Read selected text from Word
   let selectedText = '';
@@ -97,41 +705,58 @@ async function runIA(clientId, clientSecret) {
     statusEl.textContent = 'Falha ao ler seleção do Word.';
     return;
   }
+  if (mode === 'revise' && !selectedText.trim()) {
+    statusEl.textContent = 'Selecione no documento o trecho que a IA deve revisar.';
+    return;
+  }
+
+  // Start a new thread on the first message of a conversation
+  if (!currentThreadId) {
+    try {
+      const data = await postJson('/api/threads/create', {});
+      setCurrentThread(data.thread.id);
+    } catch (err) {
+      console.error(err);
+      statusEl.textContent = describeError(err);
+      return;
+    }
+  }
 
   // Compose request body
   const body = {
-    clientId,
-    clientSecret,
-    prompt,
+    ...request,
     selectedText,
     mode,
+    stream: true,
+    threadId: currentThreadId,
+    personaId: document.getElementById('personaSelect').value || undefined,
   };
 
-  try {
-    // Determine API base URL. Use relative path if served from same domain;
-    // otherwise fall back to localhost:4000 in development.
-    let apiBase = '';
-    // If the front‑end is served from a different origin than the backend,
-    // set API_BASE_URL in an injected script or environment variable.
-    if (window.API_BASE_URL) {
-      apiBase = window.API_BASE_URL;
-    }
-    const apiUrl = `${apiBase}/api/ia`;
+  const signal = beginRequest();
+  let aiMessage = null;
 
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
-    if (!response.ok) {
-      throw new Error(`Erro HTTP ${response.status}`);
-    }
-    const data = await response.json();
+  try {
+    statusEl.textContent = 'Gerando resposta...';
+    aiMessage = appendMessage('', 'ai');
+    const data = await postEventStream('/api/ia', body, (event, payload) => {
+      if (event === 'delta') {
+        appendToMessage(aiMessage, payload.text);
+      }
+    }, signal);
     const aiText = (data.text || '').trim();
-    appendMessage(aiText, 'ai');
+    // Replies to be inserted carry formatting markup; the chat shows them
+    // without it
+    aiMessage.textContent = mode === 'replace' || mode === 'after' ? blocksToText(parseBlocks(aiText)) : aiText;
+    showSources(aiMessage, data.sources);
+    statusEl.textContent = '';
+    // The first exchange gives the thread its title
+    refreshThreadList().catch(console.error);
 
-    // Optionally insert into Word
-    if (mode !== 'chat') {
+    // Optionally insert into Word, only once the full reply has arrived.
+    // Revisions are previewed first and applied from the preview.
+    if (mode === 'revise') {
+      showRevisionPreview(selectedText, aiText);
+    } else if (mode !== 'chat') {
       try {
         await insertTextIntoWord(aiText, mode);
       } catch (err) {
@@ -140,179 +765,2430 @@ async function runIA(clientId, clientSecret) {
       }
     }
   } catch (err) {
+    if (err.name === 'AbortError') {
+      statusEl.textContent = 'Solicitação cancelada. Nada foi inserido no documento.';
+      if (aiMessage) appendToMessage(aiMessage, ' [cancelado]');
+      return;
+    }
     console.error(err);
-    statusEl.textContent = `Erro: ${err.message}`;
+    statusEl.textContent = describeError(err);
+    if (aiMessage && !aiMessage.textContent) aiMessage.remove();
+  } finally {
+    endRequest(signal);
   }
 }
 
-// Read the currently selected text in the Word document.
-async function getSelectedTextFromWord() {
-  return Word.run(async (context) => {
-    const selection = context.document.getSelection();
-    selection.load('text');
-    await context.sync();
-    return selection.text || '';
+// Command library of the client (see backend/commands.js), loaded at
+// startup and shown as quick-action buttons above the input bar.
+let commands = [];
+
+// Command waiting for its variables to be filled in, if any.
+let pendingCommand = null;
+
+const COMMAND_MODE_LABELS = {
+  replace: 'Substituir seleção',
+  after: 'Inserir abaixo da seleção',
+  revise: 'Revisar seleção',
+  chat: 'Apenas Chat',
+};
+
+// Lowercase, accent-free form of a text for searching.
+function searchKey(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Placeholders the user must fill in; {{selecao}} comes from Word.
+function commandInputs(command) {
+  return command.variables.filter((name) => name !== 'selecao');
+}
+
+async function loadCommands() {
+  try {
+    const data = await postJson('/api/commands/list', {});
+    commands = data.commands;
+  } catch (err) {
+    console.error(err);
+    commands = [];
+  }
+  renderCommands();
+  renderCommandEditorOptions();
+  renderBatchCommands();
+}
+
+// Show a button for each command whose name or template matches the
+// search box.
+function renderCommands() {
+  const list = document.getElementById('commandList');
+  const query = searchKey(document.getElementById('commandSearch').value.trim());
+  list.innerHTML = '';
+  const matches = commands.filter((command) =>
+    !query || searchKey(command.name).includes(query) || searchKey(command.template).includes(query));
+  matches.forEach((command) => {
+    const button = document.createElement('button');
+    button.textContent = command.name;
+    button.title = `${command.template}\n(${COMMAND_MODE_LABELS[command.mode]})`;
+    button.onclick = () => startCommand(command);
+    list.appendChild(button);
   });
+  if (matches.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'command-empty';
+    empty.textContent = commands.length === 0
+      ? 'Nenhum comando salvo. Use "Gerenciar" para criar.'
+      : 'Nenhum comando encontrado.';
+    list.appendChild(empty);
+  }
 }
 
-// Insert text into the Word document according to the specified mode.
-async function insertTextIntoWord(text, mode) {
-  return Word.run(async (context) => {
-    const selection = context.document.getSelection();
-    if (mode === 'after') {
-      selection.insertText('\n' + text + '\n', Word.InsertLocation.after);
-    } else {
-      selection.insertText(text, Word.InsertLocation.replace);
-    }
-    await context.sync();
+// Run a command right away, or ask for its variables first.
+function startCommand(command) {
+  if (currentRequest) {
+    document.getElementById('status').textContent = 'Aguarde a resposta atual ou cancele-a.';
+    return;
+  }
+  if (commandInputs(command).length === 0) {
+    runCommand(command, {});
+    return;
+  }
+  pendingCommand = command;
+  document.getElementById('commandVariablesTitle').textContent = command.name;
+  const fields = document.getElementById('commandVariablesFields');
+  fields.innerHTML = '';
+  commandInputs(command).forEach((name) => {
+    const label = document.createElement('label');
+    label.textContent = name.replace(/_/g, ' ');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.variable = name;
+    label.appendChild(input);
+    fields.appendChild(label);
   });
+  document.getElementById('commandVariables').hidden = false;
+  fields.querySelector('input').focus();
 }
 
-// Calls /api/configure to optimize and save the assistant prompt
-async function configureAssistant(clientId, clientSecret) {
-  const roleInput = document.getElementById('roleDescription');
-  const resultDiv = document.getElementById('configResult');
-  const rawPrompt = roleInput.value.trim();
+function closeCommandVariables() {
+  pendingCommand = null;
+  document.getElementById('commandVariables').hidden = true;
+}
 
-  if (!rawPrompt) {
-    resultDiv.textContent = "Por favor, descreva o papel do assistente.";
+// Read the variables form and run the pending command.
+function submitCommandVariables() {
+  const command = pendingCommand;
+  if (!command) return;
+  const variables = {};
+  let missing = false;
+  document.querySelectorAll('#commandVariablesFields input').forEach((input) => {
+    variables[input.dataset.variable] = input.value.trim();
+    if (!input.value.trim()) missing = true;
+  });
+  if (missing) {
+    document.getElementById('status').textContent = 'Preencha todos os campos do comando.';
     return;
   }
+  closeCommandVariables();
+  runCommand(command, variables);
+}
 
-  resultDiv.textContent = "Otimizando prompt... aguarde.";
+// The backend fills the template (selection included) and applies the
+// command's model override; the command's default mode is sent along.
+function runCommand(command, variables) {
+  return requestIA({ commandId: command.id, variables }, command.mode, command.name);
+}
 
-  // Determine API base URL
-  let apiBase = '';
-  if (window.API_BASE_URL) {
-    apiBase = window.API_BASE_URL;
+function toggleCommandEditor() {
+  const editor = document.getElementById('commandEditor');
+  editor.hidden = !editor.hidden;
+  if (!editor.hidden) {
+    fillCommandEditor(document.getElementById('commandEditorSelect').value);
   }
-  const apiUrl = `${apiBase}/api/configure`;
+}
 
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ clientId, clientSecret, rawPrompt }),
-    });
+function renderCommandEditorOptions() {
+  const select = document.getElementById('commandEditorSelect');
+  const selected = select.value;
+  select.innerHTML = '';
+  const blank = document.createElement('option');
+  blank.value = '';
+  blank.textContent = 'Novo comando';
+  select.appendChild(blank);
+  commands.forEach((command) => {
+    const option = document.createElement('option');
+    option.value = command.id;
+    option.textContent = command.name;
+    select.appendChild(option);
+  });
+  select.value = commands.some((c) => c.id === selected) ? selected : '';
+}
 
-    if (!response.ok) {
-      throw new Error(`Erro HTTP ${response.status}`);
-    }
+// Load a command (or blank fields for a new one) into the editor.
+function fillCommandEditor(commandId) {
+  const command = commands.find((c) => c.id === commandId);
+  document.getElementById('commandEditorSelect').value = command ? command.id : '';
+  document.getElementById('commandName').value = command ? command.name : '';
+  document.getElementById('commandTemplate').value = command ? command.template : '';
+  document.getElementById('commandMode').value = command ? command.mode : 'replace';
+  document.getElementById('commandModel').value = command && command.model ? command.model : '';
+  document.getElementById('deleteCommandButton').disabled = !command;
+  document.getElementById('commandEditorResult').textContent = '';
+}
 
-    const data = await response.json();
-    if (data.success) {
-      resultDiv.innerHTML = "<strong>Sucesso!</strong> Prompt otimizado:<br/><br/>" + data.optimizedPrompt;
-      console.log("Optimized Prompt:", data.optimizedPrompt);
-    } else {
-      resultDiv.textContent = "Erro ao salvar configuração.";
-    }
+async function saveCommand() {
+  const resultDiv = document.getElementById('commandEditorResult');
+  const commandId = document.getElementById('commandEditorSelect').value;
+  const name = document.getElementById('commandName').value.trim();
+  const template = document.getElementById('commandTemplate').value.trim();
+  const mode = document.getElementById('commandMode').value;
+  const model = document.getElementById('commandModel').value.trim() || null;
+  if (!name || !template) {
+    resultDiv.textContent = 'Informe o nome e o texto do comando.';
+    return;
+  }
+  try {
+    const data = commandId
+      ? await postJson('/api/commands/update', { commandId, name, template, mode, model })
+      : await postJson('/api/commands/create', { name, template, mode, model });
+    await loadCommands();
+    fillCommandEditor(data.command.id);
+    resultDiv.textContent = 'Comando salvo.';
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = err.status === 409
+      ? 'Já existe um comando com esse nome.'
+      : describeError(err);
+  }
+}
+
+async function deleteSelectedCommand() {
+  const resultDiv = document.getElementById('commandEditorResult');
+  const commandId = document.getElementById('commandEditorSelect').value;
+  if (!commandId) return;
+  try {
+    await postJson('/api/commands/delete', { commandId });
+    await loadCommands();
+    fillCommandEditor('');
+    resultDiv.textContent = 'Comando excluído.';
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
+
+// Read the currently selected text in the Word document.
+async function getSelectedTextFromWord() {
+  return Word.run(async (context) => {
+    const selection = context.document.getSelection();
+    selection.load('text');
+    await context.sync();
+    return selection.text || '';
+  });
+}
+
+// Word styles for the blocks of a formatted reply. Built-in style names
+// work in any document language and use the document's own definitions.
+const BLOCK_STYLES = {
+  heading1: 'Heading1',
+  heading2: 'Heading2',
+  numbered: 'ListNumber',
+  quote: 'Quote',
+  paragraph: 'Normal',
+};
+
+// Split a block's text into runs { text, bold, italic } at ***, ** and *.
+function parseRuns(text) {
+  const runs = [];
+  const pattern = /\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|\*(\S(?:.*?\S)?)\*/g;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match.index > position) runs.push({ text: text.slice(position, match.index) });
+    if (match[1] !== undefined) runs.push({ text: match[1], bold: true, italic: true });
+    else if (match[2] !== undefined) runs.push({ text: match[2], bold: true });
+    else runs.push({ text: match[3], italic: true });
+    position = pattern.lastIndex;
+  }
+  if (position < text.length) runs.push({ text: text.slice(position) });
+  return runs;
+}
+
+// Parse a reply written in the markup requested by the backend for
+// "replace" and "after" modes (see FORMATTED_REPLY_INSTRUCTIONS in
+// server.js): one block per line, "# " and "## " headings, "1. " numbered
+// items, "> " quotes and **bold** / *italic* runs. Returns the blocks
+// { type, runs, number? }; other lines are plain paragraphs.
+function parseBlocks(text) {
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).map((line) => {
+    let match = line.match(/^(#{1,6})\s+(.*)$/);
+    if (match) {
+      return { type: match[1].length === 1 ? 'heading1' : 'heading2', runs: parseRuns(match[2]) };
+    }
+    match = line.match(/^(\d+)[.)]\s+(.*)$/);
+    if (match) {
+      return { type: 'numbered', number: match[1], runs: parseRuns(match[2]) };
+    }
+    match = line.match(/^>\s?(.*)$/);
+    if (match) {
+      return { type: 'quote', runs: parseRuns(match[1]) };
+    }
+    return { type: 'paragraph', runs: parseRuns(line) };
+  });
+}
+
+// Plain-text form of parsed blocks, for the chat and for Word versions
+// without paragraph styles. Item numbers are kept.
+function blocksToText(blocks) {
+  return blocks.map((block) => {
+    const text = block.runs.map((run) => run.text).join('');
+    return block.type === 'numbered' ? `${block.number}. ${text}` : text;
+  }).join('\n');
+}
+
+// Insert runs at `location` of `target`, each with its own emphasis.
+function insertRuns(target, runs, location) {
+  let range = null;
+  runs.forEach((run) => {
+    range = range
+      ? range.insertText(run.text, Word.InsertLocation.after)
+      : target.insertText(run.text, location);
+    range.font.bold = Boolean(run.bold);
+    range.font.italic = Boolean(run.italic);
+  });
+}
+
+// Insert a formatted reply into the Word document according to the
+// specified mode. Each block becomes a paragraph with its style; a
+// reply that is a single plain paragraph replaces the selection inline.
+async function insertTextIntoWord(text, mode) {
+  const blocks = parseBlocks(text);
+  if (blocks.length === 0) return;
+
+  // Paragraph styles need WordApi 1.3; older versions get plain text
+  if (!Office.context.requirements.isSetSupported('WordApi', '1.3')) {
+    return Word.run(async (context) => {
+      const selection = context.document.getSelection();
+      const plain = blocksToText(blocks);
+      if (mode === 'after') {
+        selection.insertText('\n' + plain + '\n', Word.InsertLocation.after);
+      } else {
+        selection.insertText(plain, Word.InsertLocation.replace);
+      }
+      await context.sync();
+    });
+  }
+
+  return Word.run(async (context) => {
+    const selection = context.document.getSelection();
+    if (mode !== 'after' && blocks.length === 1 && blocks[0].type === 'paragraph') {
+      insertRuns(selection, blocks[0].runs, Word.InsertLocation.replace);
+      await context.sync();
+      return;
+    }
+
+    // When whole paragraphs are selected they are replaced as a whole, so
+    // no empty paragraph is left behind; otherwise only the selection is.
+    let replaced = [];
+    let anchor = selection;
+    if (mode !== 'after') {
+      const paragraphs = selection.paragraphs;
+      selection.load('text');
+      paragraphs.load('items/text');
+      await context.sync();
+      const paragraphText = paragraphs.items.map((p) => p.text).join('\r');
+      if (selection.text.trim() && selection.text.trim() === paragraphText.trim()) {
+        replaced = paragraphs.items;
+        anchor = paragraphs.items[0];
+      }
+    }
+
+    let paragraph = null;
+    blocks.forEach((block) => {
+      if (mode === 'after') {
+        paragraph = (paragraph || selection).insertParagraph('', Word.InsertLocation.after);
+      } else {
+        paragraph = anchor.insertParagraph('', Word.InsertLocation.before);
+      }
+      paragraph.styleBuiltIn = BLOCK_STYLES[block.type];
+      insertRuns(paragraph, block.runs, Word.InsertLocation.end);
+    });
+
+    if (mode !== 'after') {
+      if (replaced.length > 0) {
+        replaced.forEach((p) => p.delete());
+      } else {
+        selection.insertText('', Word.InsertLocation.replace);
+      }
+    }
+    await context.sync();
+  });
+}
+
+// Revision under review in "revise" mode: the words of the selection the
+// AI revised and the hunks that turn them into the AI's version, each
+// { start, end, added, accepted }, meaning words [start, end) of the
+// selection are replaced by the `added` words. Null when no revision is
+// pending.
+let pendingRevision = null;
+
+// Larger diffs are treated as a single replacement of the whole passage.
+const MAX_DIFF_CELLS = 4000000;
+
+function splitWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Word-level diff of two word lists (longest common subsequence). Returns
+// the hunks in document order.
+function diffWords(original, revised) {
+  const n = original.length;
+  const m = revised.length;
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [{ start: 0, end: n, added: revised }];
+  }
+  // lcs[i * width + j]: length of the LCS of original[i..] and revised[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = original[i] === revised[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && original[i] === revised[j]) {
+      if (hunk) hunks.push(hunk);
+      hunk = null;
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      hunk = hunk || { start: i, end: i, added: [] };
+      hunk.added.push(revised[j]);
+      j++;
+    } else {
+      hunk = hunk || { start: i, end: i, added: [] };
+      hunk.end = i + 1;
+      i++;
+    }
+  }
+  if (hunk) hunks.push(hunk);
+  return hunks;
+}
+
+// Diff the AI's version against the selected text and show the hunks for
+// review. Nothing is written to the document until the user applies them.
+function showRevisionPreview(selectedText, aiText) {
+  const statusEl = document.getElementById('status');
+  const words = splitWords(selectedText);
+  const hunks = diffWords(words, splitWords(aiText));
+  if (hunks.length === 0) {
+    pendingRevision = null;
+    renderRevision();
+    statusEl.textContent = 'A IA não sugeriu alterações no trecho selecionado.';
+    return;
+  }
+  hunks.forEach((hunk) => {
+    hunk.accepted = true;
+  });
+  pendingRevision = { words, hunks };
+  renderRevision();
+  statusEl.textContent = `${hunks.length} alteração(ões) sugerida(s). Revise-as abaixo antes de aplicar.`;
+}
+
+// Words shown around a hunk in the preview.
+const REVISION_CONTEXT_WORDS = 4;
+
+function renderRevision() {
+  const panel = document.getElementById('revisionPanel');
+  const list = document.getElementById('revisionList');
+  list.textContent = '';
+  panel.hidden = !pendingRevision;
+  if (!pendingRevision) return;
+
+  const { words, hunks } = pendingRevision;
+  hunks.forEach((hunk) => {
+    const item = document.createElement('div');
+    item.className = hunk.accepted ? 'hunk' : 'hunk rejected';
+
+    const text = document.createElement('div');
+    const addSpan = (content, className) => {
+      if (!content) return;
+      const span = document.createElement('span');
+      if (className) span.className = className;
+      span.textContent = content;
+      text.appendChild(span);
+      text.appendChild(document.createTextNode(' '));
+    };
+    const before = words.slice(Math.max(0, hunk.start - REVISION_CONTEXT_WORDS), hunk.start).join(' ');
+    const after = words.slice(hunk.end, hunk.end + REVISION_CONTEXT_WORDS).join(' ');
+    addSpan(before && (hunk.start > REVISION_CONTEXT_WORDS ? `…${before}` : before));
+    addSpan(words.slice(hunk.start, hunk.end).join(' '), 'deleted');
+    addSpan(hunk.added.join(' '), 'inserted');
+    addSpan(after && (hunk.end + REVISION_CONTEXT_WORDS < words.length ? `${after}…` : after));
+    item.appendChild(text);
+
+    const actions = document.createElement('div');
+    actions.className = 'hunk-actions';
+    [['Aceitar', true], ['Rejeitar', false]].forEach(([label, accepted]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.className = hunk.accepted === accepted ? 'selected' : '';
+      button.onclick = () => {
+        hunk.accepted = accepted;
+        renderRevision();
+      };
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+
+    list.appendChild(item);
+  });
+  const acceptedCount = hunks.filter((h) => h.accepted).length;
+  document.getElementById('revisionCount').textContent =
+    `${acceptedCount} de ${hunks.length} alteração(ões) aceita(s)`;
+}
+
+function discardRevision() {
+  pendingRevision = null;
+  renderRevision();
+  document.getElementById('status').textContent = 'Revisão descartada. O documento não foi alterado.';
+}
+
+// Apply one hunk to the selection's word ranges (see applyRevision).
+function applyHunk(ranges, hunk) {
+  const text = hunk.added.join(' ');
+  if (hunk.start === hunk.end) {
+    // Pure insertion, before the word at `start` or after the last word
+    if (hunk.start < ranges.length) {
+      ranges[hunk.start].insertText(`${text} `, Word.InsertLocation.start);
+    } else {
+      ranges[ranges.length - 1].insertText(` ${text}`, Word.InsertLocation.end);
+    }
+    return;
+  }
+  const first = ranges[hunk.start];
+  const last = ranges[hunk.end - 1];
+  if (text) {
+    first.expandTo(last).insertText(text, Word.InsertLocation.replace);
+  } else if (hunk.end < ranges.length) {
+    // Deletion: also remove the space that separated the words
+    first.expandTo(ranges[hunk.end].getRange(Word.RangeLocation.start)).delete();
+  } else if (hunk.start > 0) {
+    ranges[hunk.start - 1].getRange(Word.RangeLocation.end).expandTo(last).delete();
+  } else {
+    first.expandTo(last).delete();
+  }
+}
+
+// Apply hunks to `range`, whose words must still be `words`, with change
+// tracking on (`tracked`) or off. Returns false, changing nothing, if the
+// range's words differ.
+async function applyHunks(context, range, words, hunks, tracked) {
+  const ranges = range.getTextRanges([' '], true);
+  ranges.load('items/text');
+  context.document.load('changeTrackingMode');
+  await context.sync();
+
+  const wordRanges = ranges.items.filter((r) => r.text.trim());
+  if (wordRanges.map((r) => r.text.trim()).join(' ') !== words.join(' ')) {
+    return false;
+  }
+  const previousMode = context.document.changeTrackingMode;
+  context.document.changeTrackingMode = tracked ? Word.ChangeTrackingMode.trackAll : Word.ChangeTrackingMode.off;
+  // Last hunk first, so earlier word ranges are not disturbed
+  [...hunks].reverse().forEach((hunk) => applyHunk(wordRanges, hunk));
+  context.document.changeTrackingMode = previousMode;
+  await context.sync();
+  return true;
+}
+
+// Write the accepted hunks into the document with change tracking on, so
+// each one shows up as a Word revision the lawyer can still accept or
+// reject. The revised passage must still be selected, unchanged.
+async function applyRevision() {
+  const statusEl = document.getElementById('status');
+  if (!pendingRevision) return;
+  const accepted = pendingRevision.hunks.filter((h) => h.accepted);
+  if (accepted.length === 0) {
+    discardRevision();
+    return;
+  }
+  if (!Office.context.requirements.isSetSupported('WordApi', '1.4')) {
+    statusEl.textContent = 'Esta versão do Word não permite aplicar alterações controladas.';
+    return;
+  }
+
+  try {
+    const applied = await Word.run((context) =>
+      applyHunks(context, context.document.getSelection(), pendingRevision.words, accepted, true));
+    if (!applied) {
+      statusEl.textContent = 'A seleção mudou. Selecione novamente o trecho revisado, sem alterá-lo, e clique em Aplicar.';
+      return;
+    }
+    pendingRevision = null;
+    renderRevision();
+    statusEl.textContent = `${accepted.length} alteração(ões) aplicada(s) como revisões do Word.`;
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = 'Falha ao aplicar as alterações no documento.';
+  }
+}
+
+// Batch mode: apply the typed prompt or a library command to every
+// paragraph or heading-delimited section of the document that passes the
+// filters. Each one is sent to /api/ia on its own in "revise" mode and the
+// reply is written in place with the same word diff as revisions, as
+// tracked changes or not. Batch requests are not added to the
+// conversation.
+
+// Requests in flight at once
+const BATCH_CONCURRENCY = 3;
+// Times a rate-limited request waits (as long as the backend asks) and is
+// retried before counting as a failure
+const BATCH_RATE_LIMIT_RETRIES = 3;
+const MAX_BATCH_WAIT_SECONDS = 60;
+
+// Last batch: { request, tracked, failures: [{ unit, error }] }, kept so
+// its failures can be retried.
+let lastBatch = null;
+
+function toggleBatchPanel() {
+  const panel = document.getElementById('batchPanel');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) renderBatchCommands();
+}
+
+// The typed prompt plus the library commands that need no other input
+// than the passage itself.
+function renderBatchCommands() {
+  const select = document.getElementById('batchCommand');
+  const selected = select.value;
+  select.innerHTML = '';
+  const typed = document.createElement('option');
+  typed.value = '';
+  typed.textContent = 'Comando digitado abaixo';
+  select.appendChild(typed);
+  commands.filter((command) => commandInputs(command).length === 0).forEach((command) => {
+    const option = document.createElement('option');
+    option.value = command.id;
+    option.textContent = command.name;
+    select.appendChild(option);
+  });
+  select.value = [...select.options].some((o) => o.value === selected) ? selected : '';
+}
+
+// Split the document's paragraphs ({ text, style }) into batch units
+// { start, texts, text, label }: the paragraphs [start, start +
+// texts.length) of the body. `level` 0 makes one unit per paragraph of
+// body text; 1-3 one per section starting at a heading of that level or
+// above, text before the first heading included. `style` keeps only
+// paragraphs (or section headings) with that style name and `pattern`
+// only units whose text it matches.
+function batchUnits(paragraphs, { level, style, pattern }) {
+  const units = [];
+  if (level === 0) {
+    paragraphs.forEach((p, index) => {
+      if (p.text.trim() && headingLevel(p.style) === 0) {
+        units.push({ start: index, texts: [p.text], styleName: p.style });
+      }
+    });
+  } else {
+    let unit = null;
+    paragraphs.forEach((p, index) => {
+      const heading = headingLevel(p.style);
+      if (!unit || (heading > 0 && heading <= level)) {
+        unit = { start: index, texts: [], styleName: p.style };
+        units.push(unit);
+      }
+      unit.texts.push(p.text);
+    });
+  }
+  return units
+    .map((unit) => ({ ...unit, text: unit.texts.join('\n') }))
+    .filter((unit) => unit.text.trim())
+    .filter((unit) => !style || searchKey((unit.styleName || '').trim()) === searchKey(style))
+    .filter((unit) => !pattern || pattern.test(unit.text))
+    .map((unit) => ({ ...unit, label: unit.texts.find((t) => t.trim()).trim().slice(0, 80) }));
+}
+
+// Index of the first paragraph of `unit` among the current paragraph
+// texts: where it was read, unless earlier edits moved it, in which case
+// the first place the same paragraphs appear. -1 if it was changed.
+function locateUnit(texts, unit) {
+  const matchesAt = (start) => unit.texts.every((text, i) => texts[start + i] === text);
+  if (matchesAt(unit.start)) return unit.start;
+  for (let start = 0; start + unit.texts.length <= texts.length; start++) {
+    if (matchesAt(start)) return start;
+  }
+  return -1;
+}
+
+// Write the AI's version of a unit into the document. Returns the number
+// of changes; throws if the unit was edited meanwhile.
+async function applyBatchReply(unit, aiText, tracked) {
+  const words = splitWords(unit.text);
+  const hunks = diffWords(words, splitWords(aiText));
+  if (hunks.length === 0) return 0;
+  const applied = await Word.run(async (context) => {
+    const paragraphs = context.document.body.paragraphs;
+    paragraphs.load('items/text');
+    await context.sync();
+    const start = locateUnit(paragraphs.items.map((p) => p.text), unit);
+    if (start < 0) return false;
+    const range = paragraphs.items[start].getRange(Word.RangeLocation.whole)
+      .expandTo(paragraphs.items[start + unit.texts.length - 1].getRange(Word.RangeLocation.whole));
+    return applyHunks(context, range, words, hunks, tracked);
+  });
+  if (!applied) {
+    throw new Error('O trecho foi alterado no documento durante o lote.');
+  }
+  return hunks.length;
+}
+
+// Resolve after `ms`, or reject when `signal` aborts.
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+// Ask for the AI's version of one unit, waiting out the backend's rate
+// limit if needed.
+async function requestBatchReply(unit, request, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await postJson('/api/ia', {
+        ...request,
+        selectedText: unit.text,
+        mode: 'revise',
+        personaId: document.getElementById('personaSelect').value || undefined,
+      }, signal);
+      return data.text || '';
+    } catch (err) {
+      const retryAfter = (err.details && err.details.retryAfter) || 5;
+      if (err.code !== 'rate_limited' || attempt >= BATCH_RATE_LIMIT_RETRIES || retryAfter > MAX_BATCH_WAIT_SECONDS) {
+        throw err;
+      }
+      await wait(retryAfter * 1000, signal);
+    }
+  }
+}
+
+// Read the batch form and run it over the document.
+async function runBatch() {
+  const statusEl = document.getElementById('status');
+  if (currentRequest) {
+    statusEl.textContent = 'Aguarde a resposta atual ou cancele-a.';
+    return;
+  }
+  if (!Office.context.requirements.isSetSupported('WordApi', '1.4')) {
+    statusEl.textContent = 'Esta versão do Word não permite aplicar comandos em lote.';
+    return;
+  }
+  const commandId = document.getElementById('batchCommand').value;
+  const prompt = document.getElementById('prompt').value.trim();
+  if (!commandId && !prompt) {
+    statusEl.textContent = 'Digite o comando a aplicar em cada trecho ou escolha um comando salvo.';
+    return;
+  }
+  let pattern = null;
+  const patternText = document.getElementById('batchPattern').value.trim();
+  if (patternText) {
+    try {
+      pattern = new RegExp(patternText, 'i');
+    } catch (err) {
+      statusEl.textContent = 'O filtro de texto não é uma expressão regular válida.';
+      return;
+    }
+  }
+
+  let units;
+  try {
+    const paragraphs = await Word.run(async (context) => {
+      const items = context.document.body.paragraphs;
+      items.load('items/text,items/style');
+      await context.sync();
+      return items.items.map((p) => ({ text: p.text, style: p.style }));
+    });
+    units = batchUnits(paragraphs, {
+      level: Number(document.getElementById('batchUnit').value),
+      style: document.getElementById('batchStyle').value.trim(),
+      pattern,
+    });
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = 'Erro ao ler o documento.';
+    return;
+  }
+  if (units.length === 0) {
+    statusEl.textContent = 'Nenhum trecho do documento corresponde aos filtros.';
+    return;
+  }
+
+  const request = commandId ? { commandId, variables: {} } : { prompt };
+  const tracked = document.getElementById('batchTracked').checked;
+  const command = commands.find((c) => c.id === commandId);
+  appendMessage(`Em lote (${units.length} trecho(s)): ${command ? command.name : prompt}`, 'user');
+  await processBatch(units, request, tracked);
+}
+
+// Retry the units that failed in the last batch.
+function retryBatchFailures() {
+  if (!lastBatch || lastBatch.failures.length === 0 || currentRequest) return;
+  appendMessage(`Repetindo ${lastBatch.failures.length} trecho(s) que falharam`, 'user');
+  processBatch(lastBatch.failures.map((f) => f.unit), lastBatch.request, lastBatch.tracked);
+}
+
+// Send the units BATCH_CONCURRENCY at a time and apply each reply as soon
+// as it arrives (one at a time, so the document is not edited
+// concurrently). Shows the progress, then a summary with the failures.
+async function processBatch(units, request, tracked) {
+  const statusEl = document.getElementById('status');
+  const progress = document.getElementById('batchProgress');
+  const resultEl = document.getElementById('batchResult');
+  const failures = [];
+  const processed = new Set();
+  let done = 0;
+  let changed = 0;
+  let changes = 0;
+  lastBatch = null;
+  renderBatchFailures([]);
+  progress.max = units.length;
+  progress.value = 0;
+  progress.hidden = false;
+  const showProgress = () => {
+    progress.value = done;
+    resultEl.textContent = `${done} de ${units.length} trecho(s) processado(s)` +
+      (failures.length > 0 ? `, ${failures.length} com falha` : '');
+  };
+  showProgress();
+  statusEl.textContent = 'Aplicando em lote...';
+
+  const signal = beginRequest();
+  let applying = Promise.resolve();
+  let next = 0;
+  const worker = async () => {
+    while (next < units.length && !signal.aborted) {
+      const unit = units[next++];
+      try {
+        const aiText = await requestBatchReply(unit, request, signal);
+        const apply = applying.then(() => applyBatchReply(unit, aiText, tracked));
+        applying = apply.catch(() => {});
+        const count = await apply;
+        if (count > 0) {
+          changed += 1;
+          changes += count;
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error(err);
+        failures.push({ unit, error: describeError(err) });
+      }
+      processed.add(unit);
+      done += 1;
+      showProgress();
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, units.length) }, worker));
+  } finally {
+    endRequest(signal);
+  }
+
+  // Units a cancelled batch did not finish can be retried with the failures
+  const unprocessed = units.filter((unit) => !processed.has(unit));
+  let summary = `${signal.aborted ? 'Lote cancelado' : 'Lote concluído'}: ${changed} de ${units.length} trecho(s) alterado(s) ` +
+    `(${changes} alteração(ões)${tracked ? ' controladas' : ''}).`;
+  if (failures.length > 0) summary += ` ${failures.length} falharam.`;
+  if (unprocessed.length > 0) summary += ` ${unprocessed.length} não foram processados.`;
+  appendMessage(summary, 'ai');
+  statusEl.textContent = summary;
+
+  unprocessed.forEach((unit) => failures.push({ unit, error: 'não processado' }));
+  lastBatch = { request, tracked, failures };
+  renderBatchFailures(failures);
+}
+
+// List the failed units under the progress bar, with the retry button.
+function renderBatchFailures(failures) {
+  const list = document.getElementById('batchFailures');
+  list.textContent = '';
+  failures.forEach(({ unit, error }) => {
+    const item = document.createElement('div');
+    item.textContent = `✗ ${unit.label}: ${error}`;
+    item.title = `${unit.label}\n${error}`;
+    list.appendChild(item);
+  });
+  const retryBtn = document.getElementById('retryBatchButton');
+  retryBtn.hidden = failures.length === 0;
+  retryBtn.textContent = `Repetir falhas (${failures.length})`;
+}
+
+// Optimize the role description into a new version of the open persona,
+// or into a new persona with the given name.
+async function configureAssistant() {
+  const roleInput = document.getElementById('roleDescription');
+  const resultDiv = document.getElementById('configResult');
+  const rawPrompt = roleInput.value.trim();
+  const name = document.getElementById('personaName').value.trim();
+
+  if (!rawPrompt) {
+    resultDiv.textContent = "Por favor, descreva o papel do assistente.";
+    return;
+  }
+  if (!editedPersona && !name) {
+    resultDiv.textContent = "Dê um nome ao novo assistente (ex: Trabalhista).";
+    return;
+  }
+
+  resultDiv.textContent = "Otimizando prompt... aguarde.";
+
+  try {
+    const body = editedPersona ? { rawPrompt, personaId: editedPersona.id } : { rawPrompt, name };
+    const data = await postJson('/api/configure', body);
+    roleInput.value = '';
+    await loadPersonas();
+    await openPersona(data.persona.id);
+    resultDiv.textContent = `Sucesso! Prompt otimizado salvo como versão ${data.persona.version}.`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = err.status === 409 ? 'Já existe um assistente com esse nome.' : describeError(err);
+  }
+}
+
+// Assistant personas of the client (see backend/personas.js). The picker
+// in the thread bar chooses the persona used for each request; the
+// configuration section edits them.
+let personas = [];
+
+// Persona open in the configuration section, with its versions.
+let editedPersona = null;
+
+const VERSION_SOURCE_LABELS = {
+  optimized: 'Otimizado',
+  manual: 'Editado à mão',
+  rollback: 'Restaurado',
+  imported: 'Importado',
+};
+
+function personaStorageKey() {
+  return `personaId:${session.clientId}`;
+}
+
+async function loadPersonas() {
+  try {
+    const data = await postJson('/api/personas/list', {});
+    personas = data.personas;
+  } catch (err) {
+    console.error(err);
+    personas = [];
+  }
+  renderPersonaPicker();
+  renderPersonaEditorOptions();
+}
+
+// Fill the request picker. The last choice is remembered; until the user
+// picks one, the first persona is used.
+function renderPersonaPicker() {
+  const select = document.getElementById('personaSelect');
+  select.innerHTML = '';
+  const builtIn = document.createElement('option');
+  builtIn.value = '';
+  builtIn.textContent = 'Assistente padrão';
+  select.appendChild(builtIn);
+  personas.forEach((persona) => {
+    const option = document.createElement('option');
+    option.value = persona.id;
+    option.textContent = persona.name;
+    select.appendChild(option);
+  });
+  const stored = localStorage.getItem(personaStorageKey());
+  if (stored === null) {
+    select.value = personas.length > 0 ? personas[0].id : '';
+  } else {
+    select.value = personas.some((p) => p.id === stored) ? stored : '';
+  }
+}
+
+function renderPersonaEditorOptions() {
+  const select = document.getElementById('personaEditorSelect');
+  select.innerHTML = '';
+  const blank = document.createElement('option');
+  blank.value = '';
+  blank.textContent = 'Novo assistente';
+  select.appendChild(blank);
+  personas.forEach((persona) => {
+    const option = document.createElement('option');
+    option.value = persona.id;
+    option.textContent = persona.name;
+    select.appendChild(option);
+  });
+  select.value = editedPersona ? editedPersona.id : '';
+}
+
+// Open a persona (or blank fields for a new one) in the configuration
+// section.
+async function openPersona(personaId) {
+  const resultDiv = document.getElementById('configResult');
+  editedPersona = null;
+  if (personaId) {
+    try {
+      const data = await postJson('/api/personas/get', { personaId });
+      editedPersona = data.persona;
+    } catch (err) {
+      console.error(err);
+      resultDiv.textContent = describeError(err);
+    }
+  }
+  renderPersonaEditorOptions();
+  renderPersonaDetails();
+}
+
+function renderPersonaDetails() {
+  const details = document.getElementById('personaDetails');
+  const persona = editedPersona;
+  document.getElementById('personaName').value = persona ? persona.name : '';
+  document.getElementById('personaDiff').hidden = true;
+  details.hidden = !persona;
+  if (!persona) return;
+
+  document.getElementById('personaPrompt').value = persona.prompt;
+  const list = document.getElementById('personaVersions');
+  list.textContent = '';
+  persona.versions.forEach((version) => {
+    const item = document.createElement('div');
+    item.className = 'persona-version';
+
+    const label = document.createElement('span');
+    let text = `v${version.version} · ${VERSION_SOURCE_LABELS[version.source] || version.source} · ` +
+      new Date(version.createdAt).toLocaleString('pt-BR');
+    if (version.restoredFrom) text += ` (da v${version.restoredFrom})`;
+    label.textContent = text;
+    label.title = version.rawPrompt || '';
+    item.appendChild(label);
+
+    if (version.version !== persona.version) {
+      const compare = document.createElement('button');
+      compare.textContent = 'Comparar';
+      compare.onclick = () => showPromptDiff(version);
+      item.appendChild(compare);
+      const restore = document.createElement('button');
+      restore.textContent = 'Restaurar';
+      restore.onclick = () => rollbackPersona(version.version);
+      item.appendChild(restore);
+    }
+    list.appendChild(item);
+  });
+}
+
+// Show what changed from an earlier version to the current prompt,
+// using the same word diff as revise mode.
+function showPromptDiff(version) {
+  const diffEl = document.getElementById('personaDiff');
+  const words = splitWords(version.prompt);
+  const hunks = diffWords(words, splitWords(editedPersona.prompt));
+  diffEl.textContent = '';
+  const title = document.createElement('div');
+  title.className = 'persona-diff-title';
+  title.textContent = hunks.length === 0
+    ? `v${version.version} é igual à versão atual.`
+    : `Da v${version.version} para a atual (v${editedPersona.version}):`;
+  diffEl.appendChild(title);
+
+  const addSpan = (content, className) => {
+    if (!content) return;
+    const span = document.createElement('span');
+    if (className) span.className = className;
+    span.textContent = content;
+    diffEl.appendChild(span);
+    diffEl.appendChild(document.createTextNode(' '));
+  };
+  let position = 0;
+  hunks.forEach((hunk) => {
+    addSpan(words.slice(position, hunk.start).join(' '));
+    addSpan(words.slice(hunk.start, hunk.end).join(' '), 'deleted');
+    addSpan(hunk.added.join(' '), 'inserted');
+    position = hunk.end;
+  });
+  addSpan(words.slice(position).join(' '));
+  diffEl.hidden = false;
+}
+
+// Rename the open persona and/or save the prompt edited by hand as a new
+// version.
+async function savePersonaEdits() {
+  const resultDiv = document.getElementById('configResult');
+  if (!editedPersona) return;
+  const name = document.getElementById('personaName').value.trim();
+  const prompt = document.getElementById('personaPrompt').value.trim();
+  if (!name || !prompt) {
+    resultDiv.textContent = 'Informe o nome e o prompt do assistente.';
+    return;
+  }
+  try {
+    const data = await postJson('/api/personas/update', { personaId: editedPersona.id, name, prompt });
+    await loadPersonas();
+    await openPersona(data.persona.id);
+    resultDiv.textContent = `Assistente salvo (versão ${data.persona.version}).`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = err.status === 409 ? 'Já existe um assistente com esse nome.' : describeError(err);
+  }
+}
+
+async function rollbackPersona(version) {
+  const resultDiv = document.getElementById('configResult');
+  try {
+    const data = await postJson('/api/personas/rollback', { personaId: editedPersona.id, version });
+    await openPersona(data.persona.id);
+    resultDiv.textContent = `Versão ${version} restaurada como versão ${data.persona.version}.`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
+
+async function deleteEditedPersona() {
+  const resultDiv = document.getElementById('configResult');
+  if (!editedPersona) return;
+  try {
+    await postJson('/api/personas/delete', { personaId: editedPersona.id });
+    editedPersona = null;
+    await loadPersonas();
+    renderPersonaDetails();
+    resultDiv.textContent = 'Assistente excluído.';
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
+
+// Documents of the client's knowledge base (see backend/knowledge.js),
+// listed in the configuration section.
+let knowledgeDocuments = [];
+
+async function loadKnowledge() {
+  try {
+    const data = await postJson('/api/knowledge/list', {});
+    knowledgeDocuments = data.documents;
+  } catch (err) {
+    console.error(err);
+    knowledgeDocuments = [];
+  }
+  renderKnowledge();
+}
+
+function renderKnowledge() {
+  const list = document.getElementById('knowledgeList');
+  list.innerHTML = '';
+  if (knowledgeDocuments.length === 0) {
+    list.textContent = 'Nenhum documento. Envie modelos, cláusulas padrão e precedentes para a IA seguir o estilo do escritório.';
+    return;
+  }
+  knowledgeDocuments.forEach((doc) => {
+    const row = document.createElement('div');
+    row.className = 'knowledge-document';
+    const name = document.createElement('span');
+    name.textContent = doc.name;
+    name.title = `${doc.name} (${doc.chunks} trecho(s))`;
+    const remove = document.createElement('button');
+    remove.textContent = 'Excluir';
+    remove.onclick = () => deleteKnowledgeDocument(doc);
+    row.appendChild(name);
+    row.appendChild(remove);
+    list.appendChild(row);
+  });
+}
+
+// Read a file as base64, the way /api/knowledge/upload expects it.
+function readFileBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Upload the chosen files one by one, reporting the ones that failed.
+async function uploadKnowledgeFiles() {
+  const input = document.getElementById('knowledgeFile');
+  const resultDiv = document.getElementById('knowledgeResult');
+  const files = Array.from(input.files);
+  if (files.length === 0) {
+    resultDiv.textContent = 'Escolha um ou mais arquivos .docx, .txt ou .md.';
+    return;
+  }
+  const failures = [];
+  for (const [index, file] of files.entries()) {
+    resultDiv.textContent = `Enviando ${index + 1} de ${files.length}: ${file.name}...`;
+    try {
+      await postJson('/api/knowledge/upload', { name: file.name, content: await readFileBase64(file) });
+    } catch (err) {
+      console.error(err);
+      failures.push(`${file.name}: ${err.status === 409 ? 'já existe um documento com esse nome' : describeError(err)}`);
+    }
+  }
+  input.value = '';
+  await loadKnowledge();
+  resultDiv.textContent = failures.length === 0
+    ? `${files.length} documento(s) adicionado(s).`
+    : `Falha ao enviar ${failures.join('; ')}`;
+}
+
+async function deleteKnowledgeDocument(doc) {
+  const resultDiv = document.getElementById('knowledgeResult');
+  try {
+    await postJson('/api/knowledge/delete', { documentId: doc.id });
+    await loadKnowledge();
+    resultDiv.textContent = `"${doc.name}" excluído.`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
+
+// List under an AI message the knowledge base documents its reply drew on.
+function showSources(messageDiv, sources) {
+  if (!sources || sources.length === 0) return;
+  const div = document.createElement('div');
+  div.className = 'message-sources';
+  div.textContent = `Fontes: ${sources.map((s) => (s.title ? `${s.name} (${s.title})` : s.name)).join('; ')}`;
+  messageDiv.appendChild(div);
+}
+
+// Show the masked API key status (e.g. "••••abcd") in the key input's
+// placeholder. The key itself never leaves the backend.
+function renderKeyStatus(key) {
+  const keyInput = document.getElementById('apiKeyInput');
+  if (!keyInput) return;
+  if (key.configured && key.last4) {
+    keyInput.placeholder = `API Key configurada (••••${key.last4}). Digite outra para substituir.`;
+  } else if (key.configured) {
+    keyInput.placeholder = 'Usando a API Key padrão do servidor. Digite uma para usar a sua.';
+  } else {
+    keyInput.placeholder = 'Nenhuma API Key configurada (obrigatória)...';
+  }
+}
+
+async function showKeyStatus() {
+  try {
+    renderKeyStatus(await postJson('/api/key-status', {}));
   } catch (err) {
     console.error(err);
-    resultDiv.textContent = `Erro: ${err.message}`;
   }
 }
 
 // Saves ONLY the API Key
-async function saveApiKeyOnly(clientId, clientSecret) {
+async function saveApiKeyOnly() {
   const keyInput = document.getElementById('apiKeyInput');
   const resultDiv = document.getElementById('configResult');
   const apiKey = keyInput.value.trim();
 
-  if (!apiKey) {
-    resultDiv.textContent = "Por favor, digite uma API Key válida.";
-    return;
+  if (!apiKey) {
+    resultDiv.textContent = "Por favor, digite uma API Key válida.";
+    return;
+  }
+
+  resultDiv.textContent = "Validando e salvando API Key...";
+
+  try {
+    const data = await postJson('/api/save-key', { apiKey });
+    if (data.success) {
+      resultDiv.textContent = "API Key salva com sucesso!";
+      keyInput.value = ""; // Clear for security
+      renderKeyStatus(data.key);
+    } else {
+      resultDiv.textContent = "Erro ao salvar API Key.";
+    }
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = `Erro ao salvar Key: ${describeError(err)}`;
+  }
+}
+
+// Full Document Analysis
+
+// How often the pane asks for the progress of a running analysis
+const ANALYSIS_POLL_MS = 2000;
+// The analysis job being followed ({ jobId, controller, cancel }), if any.
+// Its polling has its own AbortController, so other requests (which abort
+// the current one, see beginRequest) leave the job running; only the
+// cancel button stops it.
+let analysisPoll = null;
+// Custom document property holding the id the document's analyses are
+// filed under, so they are found again after the document is edited
+const DOCUMENT_ID_PROPERTY = 'assistenteJuridicoId';
+// Analyses of the open document ({ id, status, createdAt, username, ... }
+// from /api/analyze/jobs/list), newest first
+let analysisHistory = [];
+
+// The analysis job the pane is following, persisted per client (and user)
+// so it is picked up again if the pane is closed before it ends.
+function analysisJobStorageKey() {
+  return session.user ? `analysisJob:${session.clientId}:${session.user.id}` : `analysisJob:${session.clientId}`;
+}
+
+// The document's id from its custom properties, creating it if `create`
+// is true. null where custom properties are not supported (WordApi 1.3)
+// or the document has no id yet.
+async function readDocumentId(create) {
+  if (!Office.context.requirements.isSetSupported('WordApi', '1.3')) return null;
+  return Word.run(async (context) => {
+    const properties = context.document.properties.customProperties;
+    const property = properties.getItemOrNullObject(DOCUMENT_ID_PROPERTY);
+    property.load('value');
+    await context.sync();
+    if (!property.isNullObject) return String(property.value);
+    if (!create) return null;
+    const id = crypto.randomUUID();
+    properties.add(DOCUMENT_ID_PROPERTY, id);
+    await context.sync();
+    return id;
+  });
+}
+
+// SHA-256 (hex) of the text of the non-empty paragraphs joined with "\n",
+// the way the backend identifies a document's content (see jobs.js).
+async function documentContentHash(paragraphs) {
+  const text = paragraphs.filter((p) => p.text.trim()).map((p) => p.text).join('\n');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// File name of the open document, or '' for a new unsaved one.
+function documentFileName() {
+  const name = (Office.context.document.url || '').split(/[\\/]/).pop().split('?')[0];
+  try {
+    return decodeURIComponent(name).slice(0, 200);
+  } catch (err) {
+    return name.slice(0, 200);
+  }
+}
+
+async function analyzeDocument() {
+  const statusEl = document.getElementById('status');
+  // Clear status
+  statusEl.textContent = "Lendo documento para análise...";
+
+  // Read the document's paragraphs; the backend splits long documents
+  // into sections at the headings
+  let paragraphs = [];
+  try {
+    paragraphs = await readDocumentParagraphs();
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = "Erro ao ler o documento.";
+    return;
+  }
+
+  if (!paragraphs.some((p) => p.text.trim())) {
+    statusEl.textContent = "O documento está vazio.";
+    return;
+  }
+
+  statusEl.textContent = "Solicitando análise do especialista...";
+  appendMessage("Iniciando análise completa do documento...", "user");
+
+  // The analysis runs on the backend as a job; the pane only follows it
+  let job;
+  try {
+    let documentId = null;
+    try {
+      documentId = await readDocumentId(true);
+    } catch (err) {
+      // The analyses will be found by the document's content only
+      console.error(err);
+    }
+    const data = await postJson('/api/analyze/jobs', { paragraphs, documentId, documentName: documentFileName() });
+    job = data.job;
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = describeError(err);
+    appendMessage(`Falha na análise: ${describeError(err)}`, "ai");
+    return;
+  }
+  localStorage.setItem(analysisJobStorageKey(), job.id);
+  await followAnalysisJob(job.id);
+}
+
+// Follow an analysis job until it ends and show its report. The cancel
+// button stops the job; closing the pane does not, and the pane follows
+// the job again when reopened (see resumeAnalysisJob).
+async function followAnalysisJob(jobId) {
+  const statusEl = document.getElementById('status');
+  // Stop following an earlier job; it keeps running and ends up in the
+  // history
+  if (analysisPoll) analysisPoll.controller.abort();
+  const poll = { jobId, controller: new AbortController(), cancel: false };
+  const signal = poll.controller.signal;
+  analysisPoll = poll;
+  updateCancelButton();
+  try {
+    let job;
+    for (;;) {
+      job = (await postJson('/api/analyze/jobs/status', { jobId }, signal)).job;
+      if (job.status !== 'running') break;
+      const { total, done, failed, current } = job.progress;
+      statusEl.textContent = total > 1 && current
+        ? `Analisando seção ${Math.min(done + failed + 1, total)} de ${total}: ${current}`
+        : "Analisando o documento...";
+      await wait(ANALYSIS_POLL_MS, signal);
+    }
+    localStorage.removeItem(analysisJobStorageKey());
+
+    if (job.status === 'cancelled') {
+      statusEl.textContent = "Análise cancelada.";
+      appendMessage("Análise cancelada.", "ai");
+      return;
+    }
+    if (job.status === 'failed') {
+      throw eventError(job.error);
+    }
+    await showAnalysisReport(job.report, true);
+    loadAnalysisHistory();
+
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      if (!poll.cancel) return;
+      try {
+        await postJson('/api/analyze/jobs/cancel', { jobId });
+      } catch (cancelErr) {
+        // It may have finished meanwhile; it is in the history then
+        console.error(cancelErr);
+      }
+      localStorage.removeItem(analysisJobStorageKey());
+      statusEl.textContent = "Análise cancelada.";
+      appendMessage("Análise cancelada.", "ai");
+      return;
+    }
+    if (err.status === 404) {
+      localStorage.removeItem(analysisJobStorageKey());
+    }
+    console.error(err);
+    statusEl.textContent = describeError(err);
+    appendMessage(`Falha na análise: ${describeError(err)}`, "ai");
+  } finally {
+    if (analysisPoll === poll) {
+      analysisPoll = null;
+      updateCancelButton();
+    }
+  }
+}
+
+// Cancel the analysis job being followed, if any.
+function cancelAnalysisJob() {
+  if (analysisPoll) {
+    analysisPoll.cancel = true;
+    analysisPoll.controller.abort();
+  }
+}
+
+// Pick up the analysis that was running when the pane was last closed.
+function resumeAnalysisJob() {
+  const jobId = localStorage.getItem(analysisJobStorageKey());
+  if (jobId) {
+    appendMessage("Retomando a análise do documento iniciada anteriormente...", "user");
+    followAnalysisJob(jobId);
+  }
+}
+
+// Show an analysis report in the chat and its findings in the list. With
+// `insertComments` the findings are also attached to the document as
+// comments; reopened reports only fill the list, since their comments are
+// usually still in the document.
+async function showAnalysisReport(data, insertComments) {
+  const statusEl = document.getElementById('status');
+  let summary = data.summary || "Análise concluída.";
+  if (data.failedSections && data.failedSections.length > 0) {
+    summary += `\n\nAtenção: relatório parcial. ${data.failedSections.length} seção(ões) não puderam ser analisadas: ` +
+      data.failedSections.map((s) => s.title).join(", ") + ".";
+  }
+  if (data.findings.length === 0) {
+    summary += "\n\nNenhum apontamento encontrado.";
+  } else {
+    summary += insertComments
+      ? `\n\n${data.findings.length} apontamento(s) listados abaixo e marcados como comentários no documento.`
+      : `\n\n${data.findings.length} apontamento(s) listados abaixo.`;
+  }
+  if (data.ruleFindings > 0) {
+    summary += ` ${data.ruleFindings} deles vêm das verificações automáticas de redação (numeração, nomes, ` +
+      "termos definidos, CPF/CNPJ/processo e remissões).";
+  }
+  appendMessage(summary, "ai");
+
+  currentFindings = data.findings;
+  renderFindings();
+  if (!insertComments || currentFindings.length === 0) {
+    statusEl.textContent = "Análise concluída.";
+    return;
+  }
+  statusEl.textContent = "Inserindo comentários no documento...";
+  try {
+    const anchored = await anchorFindings(currentFindings);
+    statusEl.textContent = anchored === null
+      ? "Análise concluída. Esta versão do Word não permite comentários; use a lista de apontamentos."
+      : `Análise concluída. ${anchored} de ${currentFindings.length} apontamento(s) comentados no documento.`;
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = "Análise concluída, mas não foi possível inserir os comentários; use a lista de apontamentos.";
+  }
+  renderFindings();
+}
+
+// Fill the picker of the open document's earlier analyses, found by its
+// id or, failing that, by its content.
+async function loadAnalysisHistory() {
+  try {
+    const [documentId, paragraphs] = await Promise.all([readDocumentId(false), readDocumentParagraphs()]);
+    const contentHash = await documentContentHash(paragraphs);
+    const data = await postJson('/api/analyze/jobs/list', { documentId, contentHash });
+    analysisHistory = data.jobs.filter((job) => job.status === 'done');
+  } catch (err) {
+    console.error(err);
+    analysisHistory = [];
+  }
+  const select = document.getElementById('analysisHistorySelect');
+  select.textContent = '';
+  analysisHistory.forEach((job) => {
+    const date = new Date(job.createdAt).toLocaleString('pt-BR');
+    select.appendChild(new Option(job.username ? `Análise de ${date} (${job.username})` : `Análise de ${date}`, job.id));
+  });
+  document.getElementById('analysisHistory').hidden = analysisHistory.length === 0;
+}
+
+// Show an earlier analysis of the document again, without calling the
+// model.
+async function openAnalysis() {
+  const statusEl = document.getElementById('status');
+  const jobId = document.getElementById('analysisHistorySelect').value;
+  if (!jobId) return;
+  try {
+    const { job } = await postJson('/api/analyze/jobs/status', { jobId });
+    appendMessage(`Análise de ${new Date(job.createdAt).toLocaleString('pt-BR')} reaberta.`, "user");
+    await showAnalysisReport(job.report, false);
+    statusEl.textContent = "Análise reaberta. O documento pode ter mudado desde então; use \"Ir para\" para localizar cada trecho.";
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = describeError(err);
+  }
+}
+
+// Read the document as paragraphs for /api/analyze: [{ text, heading }],
+// where `heading` is the level of Word's heading styles ("Título 1",
+// "Heading 2"...) and 0 for body text.
+async function readDocumentParagraphs() {
+  return Word.run(async (context) => {
+    const paragraphs = context.document.body.paragraphs;
+    paragraphs.load('items/text,items/style');
+    await context.sync();
+    return paragraphs.items.map((p) => ({ text: p.text, heading: headingLevel(p.style) }));
+  });
+}
+
+// Heading level of a paragraph style name, 0 for body text.
+function headingLevel(style) {
+  const match = /^(heading|título|titulo)\s*(\d)$/i.exec((style || '').trim());
+  return match ? Number(match[2]) : 0;
+}
+
+// Findings of the last analysis: { id, category, severity, quote,
+// explanation, suggestion, rule? } from /api/analyze (`rule` for those of
+// the automatic drafting checks), plus `commentId` once the finding is
+// attached to the document as a Word comment and `located` (false if its
+// passage could not be found).
+let currentFindings = [];
+
+const CATEGORY_LABELS = { juridico: 'Jurídico', linguistico: 'Linguístico', estrategia: 'Estratégia' };
+const SEVERITY_LABELS = { alta: 'Alta', media: 'Média', baixa: 'Baixa' };
+
+// Word search accepts at most 255 characters per search string.
+const MAX_SEARCH_LENGTH = 255;
+
+// Locate a quoted passage in the document body. Passages that are long or
+// span paragraphs are found by their beginning and end. Returns the first
+// matching Word.Range, or null if the passage is not in the document
+// (e.g. it was edited).
+async function findPassage(context, quote) {
+  const parts = quote.split(/[\r\n]+/).filter((part) => part.trim());
+  const body = context.document.body;
+  const options = { matchCase: true };
+  if (parts.length === 1 && parts[0].length <= MAX_SEARCH_LENGTH) {
+    const results = body.search(parts[0], options);
+    results.load('items');
+    await context.sync();
+    return results.items.length > 0 ? results.items[0] : null;
+  }
+  const starts = body.search(parts[0].slice(0, MAX_SEARCH_LENGTH), options);
+  const ends = body.search(parts[parts.length - 1].slice(-MAX_SEARCH_LENGTH), options);
+  starts.load('items');
+  ends.load('items');
+  await context.sync();
+  if (starts.items.length === 0 || ends.items.length === 0) {
+    return null;
+  }
+  return starts.items[0].expandTo(ends.items[0]);
+}
+
+function findingCommentText(finding) {
+  let text = `[${CATEGORY_LABELS[finding.category]} · gravidade ${SEVERITY_LABELS[finding.severity].toLowerCase()}` +
+    `${finding.rule ? ' · verificação automática' : ''}] ${finding.explanation}`;
+  if (finding.suggestion) {
+    text += `\nSugestão: ${finding.suggestion}`;
   }
+  return text;
+}
 
-  resultDiv.textContent = "Salvando API Key...";
+// Attach each finding to its passage as a Word comment. Returns how many
+// were attached, or null if this Word version has no comments API
+// (WordApi 1.4).
+async function anchorFindings(findings) {
+  if (!Office.context.requirements.isSetSupported('WordApi', '1.4')) {
+    return null;
+  }
+  let anchored = 0;
+  await Word.run(async (context) => {
+    for (const finding of findings) {
+      const range = await findPassage(context, finding.quote);
+      finding.located = Boolean(range);
+      if (!range) continue;
+      const comment = range.insertComment(findingCommentText(finding));
+      comment.load('id');
+      await context.sync();
+      finding.commentId = comment.id;
+      anchored++;
+    }
+  });
+  return anchored;
+}
 
-  // Determine API base URL
-  let apiBase = '';
-  if (window.API_BASE_URL) {
-    apiBase = window.API_BASE_URL;
+// Delete a finding's Word comment, if it has one.
+async function deleteFindingComment(context, finding) {
+  if (!finding.commentId) return;
+  const comments = context.document.body.getComments();
+  comments.load('items/id');
+  await context.sync();
+  const comment = comments.items.find((c) => c.id === finding.commentId);
+  if (comment) {
+    comment.delete();
   }
+  finding.commentId = null;
+}
 
+// Select the finding's passage in the document.
+async function goToFinding(finding) {
+  const statusEl = document.getElementById('status');
   try {
-    const response = await fetch(`${apiBase}/api/save-key`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ clientId, clientSecret, apiKey }),
+    await Word.run(async (context) => {
+      const range = await findPassage(context, finding.quote);
+      if (!range) {
+        statusEl.textContent = "Trecho não encontrado no documento (talvez tenha sido alterado).";
+        return;
+      }
+      range.select();
+      await context.sync();
     });
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = "Erro ao localizar o trecho no documento.";
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`Erro HTTP ${response.status}`);
+// Replace the finding's passage with the suggested rewrite and remove the
+// finding (and its comment).
+async function applyFinding(finding) {
+  const statusEl = document.getElementById('status');
+  try {
+    let applied = false;
+    await Word.run(async (context) => {
+      const range = await findPassage(context, finding.quote);
+      if (!range) return;
+      await deleteFindingComment(context, finding);
+      range.insertText(finding.suggestion, Word.InsertLocation.replace);
+      await context.sync();
+      applied = true;
+    });
+    if (!applied) {
+      statusEl.textContent = "Trecho não encontrado no documento (talvez tenha sido alterado).";
+      return;
     }
+    removeFinding(finding);
+    statusEl.textContent = "Sugestão aplicada.";
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = "Erro ao aplicar a sugestão.";
+  }
+}
 
-    const data = await response.json();
-    if (data.success) {
-      resultDiv.textContent = "API Key salva com sucesso!";
-      keyInput.value = ""; // Clear for security
-      keyInput.placeholder = "API Key salva (oculta por segurança)";
-    } else {
-      resultDiv.textContent = "Erro ao salvar API Key.";
+// Drop a finding without changing the text, removing its comment.
+async function dismissFinding(finding) {
+  try {
+    await Word.run(async (context) => {
+      await deleteFindingComment(context, finding);
+      await context.sync();
+    });
+  } catch (err) {
+    // The comment may already have been deleted in Word
+    console.error(err);
+  }
+  removeFinding(finding);
+}
+
+function removeFinding(finding) {
+  currentFindings = currentFindings.filter((f) => f !== finding);
+  renderFindings();
+}
+
+// Show the findings list under the analysis button, most severe first.
+function renderFindings() {
+  const panel = document.getElementById('findingsPanel');
+  const list = document.getElementById('findingsList');
+  list.textContent = '';
+  panel.hidden = currentFindings.length === 0;
+  document.getElementById('findingsCount').textContent = `${currentFindings.length} apontamento(s)`;
+
+  const order = ['alta', 'media', 'baixa'];
+  const sorted = [...currentFindings].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  sorted.forEach((finding) => {
+    const item = document.createElement('div');
+    item.className = `finding severity-${finding.severity}`;
+
+    const header = document.createElement('div');
+    header.className = 'finding-header';
+    header.textContent = `${CATEGORY_LABELS[finding.category]} · ${SEVERITY_LABELS[finding.severity]}`;
+    if (finding.rule) {
+      header.textContent += ' · verificação automática';
     }
+    if (finding.located === false) {
+      header.textContent += ' · trecho não localizado';
+    }
+    item.appendChild(header);
+
+    const quote = document.createElement('div');
+    quote.className = 'finding-quote';
+    quote.textContent = `“${finding.quote}”`;
+    item.appendChild(quote);
+
+    const explanation = document.createElement('div');
+    explanation.textContent = finding.explanation;
+    item.appendChild(explanation);
+
+    if (finding.suggestion) {
+      const suggestion = document.createElement('div');
+      suggestion.className = 'finding-suggestion';
+      suggestion.textContent = `Sugestão: ${finding.suggestion}`;
+      item.appendChild(suggestion);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'finding-actions';
+    const addAction = (label, handler) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.onclick = handler;
+      actions.appendChild(button);
+    };
+    addAction('Ir para', () => goToFinding(finding));
+    if (finding.suggestion) {
+      addAction('Aplicar sugestão', () => applyFinding(finding));
+    }
+    addAction('Descartar', () => dismissFinding(finding));
+    item.appendChild(actions);
+
+    list.appendChild(item);
+  });
+}
+
+// Deadline Calculator
+
+// Last deadline counted by /api/deadlines: { deadline, facts }, or null.
+let currentDeadline = null;
+// Acts and courts offered when correcting the facts, loaded on first use
+let deadlineOptions = null;
+
+// Fill the act and court pickers of the deadline form.
+async function loadDeadlineOptions() {
+  if (deadlineOptions) return;
+  deadlineOptions = await postJson('/api/deadlines/options', {});
+  const actSelect = document.getElementById('deadlineAct');
+  actSelect.textContent = '';
+  actSelect.appendChild(new Option('Outro ato (informe o prazo)', 'outro'));
+  deadlineOptions.acts.forEach((act) => {
+    actSelect.appendChild(new Option(`${act.label} (${act.days} dias)`, act.id));
+  });
+  const tribunals = document.getElementById('deadlineTribunals');
+  tribunals.textContent = '';
+  deadlineOptions.tribunals.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    tribunals.appendChild(option);
+  });
+}
+
+// Count the deadline of the intimation or publication selected in the
+// document. The model extracts the facts; the backend does the counting.
+async function calculateDeadline() {
+  const statusEl = document.getElementById('status');
+  let selectedText = '';
+  try {
+    selectedText = await getSelectedTextFromWord();
   } catch (err) {
     console.error(err);
-    resultDiv.textContent = `Erro ao salvar Key: ${err.message}`;
+    statusEl.textContent = 'Erro ao ler a seleção do documento.';
+    return;
+  }
+  if (!selectedText.trim()) {
+    statusEl.textContent = 'Selecione no documento o texto da intimação ou publicação.';
+    return;
   }
+  statusEl.textContent = 'Lendo a intimação e calculando o prazo...';
+  await requestDeadline({ selectedText });
 }
 
-// Full Document Analysis
-async function analyzeDocument(clientId, clientSecret) {
+// Count again with the facts as corrected in the form, without asking the
+// model.
+async function recountDeadline() {
   const statusEl = document.getElementById('status');
-  // Clear status
-  statusEl.textContent = "Lendo documento para análise...";
+  const eventDate = document.getElementById('deadlineDate').value;
+  if (!eventDate) {
+    statusEl.textContent = 'Informe a data da intimação ou publicação.';
+    return;
+  }
+  const termDays = document.getElementById('deadlineTerm').value;
+  statusEl.textContent = 'Recalculando o prazo...';
+  await requestDeadline({
+    actType: document.getElementById('deadlineAct').value,
+    eventType: document.getElementById('deadlineEvent').value,
+    eventDate,
+    termDays: termDays ? Number(termDays) : null,
+    doubled: document.getElementById('deadlineDoubled').checked,
+    tribunal: document.getElementById('deadlineTribunal').value.trim(),
+  });
+}
 
-  // Read full document text
-  let documentText = "";
+// Call /api/deadlines and show the result. When the date or kind of event
+// is missing, show the facts found so the user can complete them.
+async function requestDeadline(body) {
+  const statusEl = document.getElementById('status');
+  try {
+    await loadDeadlineOptions();
+    const data = await postJson('/api/deadlines', body);
+    // The description of an unlisted act only comes from the model
+    const previous = currentDeadline && currentDeadline.facts;
+    if (!data.deadline.actLabel && previous && previous.actDescription) {
+      data.deadline.actLabel = previous.actDescription;
+      data.facts.actDescription = previous.actDescription;
+    }
+    currentDeadline = data;
+    renderDeadline(data.deadline, data.facts);
+    statusEl.textContent = `Prazo calculado: vencimento em ${formatDeadlineDate(data.deadline.dueDate)}. ` +
+      'Confira os dados abaixo.';
+  } catch (err) {
+    console.error(err);
+    if (err.code === 'deadline_incomplete') {
+      currentDeadline = null;
+      renderDeadline(null, err.details.facts);
+      statusEl.textContent = 'A data da intimação ou publicação não foi encontrada. Preencha-a abaixo e clique em Recalcular.';
+      return;
+    }
+    statusEl.textContent = describeError(err);
+  }
+}
+
+// "2026-03-31" -> "31/03/2026"
+function formatDeadlineDate(date) {
+  return date.split('-').reverse().join('/');
+}
+
+// Show the due date, the counting steps and the facts (editable) under the
+// deadline button. `deadline` is null when it could not be counted.
+function renderDeadline(deadline, facts) {
+  document.getElementById('deadlinePanel').hidden = false;
+  const due = document.getElementById('deadlineDue');
+  const steps = document.getElementById('deadlineSteps');
+  steps.textContent = '';
+  if (deadline) {
+    due.textContent = `${deadline.actLabel || 'Prazo'}: vencimento em ${formatDeadlineDate(deadline.dueDate)}`;
+    deadline.steps.forEach((step) => {
+      const item = document.createElement('li');
+      item.textContent = step;
+      steps.appendChild(item);
+    });
+  } else {
+    due.textContent = 'Prazo não calculado: complete os dados.';
+  }
+  document.getElementById('insertDeadlineButton').hidden = !deadline;
+
+  document.getElementById('deadlineAct').value = facts.actType || 'outro';
+  document.getElementById('deadlineEvent').value = facts.eventType || 'disponibilizacao';
+  document.getElementById('deadlineDate').value = facts.eventDate || '';
+  // An empty term means the act's legal term
+  document.getElementById('deadlineTerm').value = facts.termDays || '';
+  document.getElementById('deadlineDoubled').checked = Boolean(facts.doubled);
+  document.getElementById('deadlineTribunal').value = facts.tribunal || '';
+}
+
+// Text of the note inserted in the document for the last deadline.
+function deadlineNoteText(deadline) {
+  return `Prazo: ${deadline.actLabel || 'ato processual'} — vencimento em ${formatDeadlineDate(deadline.dueDate)} ` +
+    `(${deadline.totalDays} dias úteis; ${deadline.basis}).\n` + deadline.steps.join('\n');
+}
+
+// Insert the last deadline as a Word comment on the selection or, where
+// comments are not supported (WordApi 1.4), as a paragraph after it.
+async function insertDeadlineNote() {
+  const statusEl = document.getElementById('status');
+  if (!currentDeadline) return;
+  const text = deadlineNoteText(currentDeadline.deadline);
   try {
+    const asComment = Office.context.requirements.isSetSupported('WordApi', '1.4');
     await Word.run(async (context) => {
-      const body = context.document.body;
-      body.load("text");
+      const selection = context.document.getSelection();
+      if (asComment) {
+        selection.insertComment(text);
+      } else {
+        selection.insertParagraph(text, Word.InsertLocation.after);
+      }
       await context.sync();
-      documentText = body.text;
     });
+    statusEl.textContent = asComment
+      ? 'Prazo inserido como comentário na seleção.'
+      : 'Prazo inserido como parágrafo após a seleção.';
   } catch (err) {
     console.error(err);
-    statusEl.textContent = "Erro ao ler o documento.";
+    statusEl.textContent = 'Erro ao inserir o prazo no documento.';
+  }
+}
+
+// Version Comparison
+
+// Saved versions of documents ({ id, name, paragraphs, createdAt }),
+// newest first, loaded when the compare panel is first opened
+let snapshots = null;
+// Last report of /api/compare, and how many paragraphs the document had
+// when it was made (its paragraph numbers are only valid while that holds)
+let currentComparison = null;
+
+const CHANGE_TYPE_LABELS = {
+  added: 'Cláusula incluída',
+  removed: 'Cláusula excluída',
+  modified: 'Cláusula alterada',
+  moved: 'Cláusula movida',
+};
+// Characters of each version shown per change; "Ir para" shows the rest
+const MAX_CHANGE_EXCERPT = 400;
+
+async function toggleComparePanel() {
+  const panel = document.getElementById('comparePanel');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden && !snapshots) {
+    await loadSnapshots();
+  }
+}
+
+async function loadSnapshots() {
+  try {
+    const data = await postJson('/api/snapshots/list', {});
+    snapshots = data.snapshots;
+  } catch (err) {
+    console.error(err);
+    snapshots = [];
+  }
+  renderSnapshots();
+}
+
+// Fill the version picker: an uploaded file, or one of the saved versions.
+function renderSnapshots() {
+  const select = document.getElementById('compareSource');
+  const selected = select.value;
+  select.textContent = '';
+  select.appendChild(new Option('Arquivo enviado (abaixo)', ''));
+  snapshots.forEach((snapshot) => {
+    const date = new Date(snapshot.createdAt).toLocaleString('pt-BR');
+    select.appendChild(new Option(`${snapshot.name} (${date})`, snapshot.id));
+  });
+  select.value = snapshots.some((s) => s.id === selected) ? selected : '';
+  renderCompareSource();
+}
+
+// Show the file input only when comparing with a file, and the delete
+// button only when a saved version is chosen.
+function renderCompareSource() {
+  const fromSnapshot = Boolean(document.getElementById('compareSource').value);
+  document.getElementById('compareFile').hidden = fromSnapshot;
+  document.getElementById('deleteSnapshotButton').hidden = !fromSnapshot;
+}
+
+// Save the document's body as it is now, e.g. before sending it to the
+// other party, to compare with the version they send back.
+async function saveSnapshot() {
+  const resultDiv = document.getElementById('compareResult');
+  const nameInput = document.getElementById('snapshotName');
+  const name = nameInput.value.trim();
+  if (!name) {
+    resultDiv.textContent = 'Dê um nome à versão (ex: Minuta enviada em 10/03).';
     return;
   }
+  try {
+    const paragraphs = await readDocumentParagraphs();
+    if (!paragraphs.some((p) => p.text.trim())) {
+      resultDiv.textContent = 'O documento está vazio.';
+      return;
+    }
+    const data = await postJson('/api/snapshots/create', { name, paragraphs });
+    nameInput.value = '';
+    await loadSnapshots();
+    resultDiv.textContent = `Versão "${data.snapshot.name}" salva.`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
 
-  if (!documentText || !documentText.trim()) {
-    statusEl.textContent = "O documento está vazio.";
+async function deleteSelectedSnapshot() {
+  const resultDiv = document.getElementById('compareResult');
+  const snapshotId = document.getElementById('compareSource').value;
+  const snapshot = snapshotId && snapshots.find((s) => s.id === snapshotId);
+  if (!snapshot) return;
+  try {
+    await postJson('/api/snapshots/delete', { snapshotId });
+    await loadSnapshots();
+    resultDiv.textContent = `Versão "${snapshot.name}" excluída.`;
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = describeError(err);
+  }
+}
+
+// Compare the document open in Word with the chosen saved version or file
+// and list the changes, with their legal impact, under the panel.
+async function compareVersions() {
+  const statusEl = document.getElementById('status');
+  const resultDiv = document.getElementById('compareResult');
+  const snapshotId = document.getElementById('compareSource').value;
+  const file = document.getElementById('compareFile').files[0];
+  if (!snapshotId && !file) {
+    resultDiv.textContent = 'Escolha uma versão salva ou um arquivo .docx, .txt ou .md.';
     return;
   }
 
-  statusEl.textContent = "Solicitando análise do especialista...";
-  appendMessage("Iniciando análise completa do documento...", "user");
+  let paragraphs = [];
+  try {
+    paragraphs = await readDocumentParagraphs();
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = 'Erro ao ler o documento.';
+    return;
+  }
+  if (!paragraphs.some((p) => p.text.trim())) {
+    statusEl.textContent = 'O documento está vazio.';
+    return;
+  }
 
-  // Determine API base URL
-  let apiBase = '';
-  if (window.API_BASE_URL) {
-    apiBase = window.API_BASE_URL;
+  const body = {
+    paragraphs,
+    otherIsNewer: document.getElementById('compareDirection').value === 'newer',
+    party: document.getElementById('compareParty').value.trim() || undefined,
+  };
+  if (snapshotId) {
+    body.snapshotId = snapshotId;
+  } else {
+    body.document = { name: file.name, content: await readFileBase64(file) };
+  }
+
+  statusEl.textContent = 'Comparando as versões...';
+  resultDiv.textContent = '';
+  const signal = beginRequest();
+  try {
+    const data = await postJson('/api/compare', body, signal);
+    currentComparison = { report: data, paragraphCount: paragraphs.length };
+    renderComparison();
+    statusEl.textContent = `Comparação concluída: ${data.changes.length} alteração(ões).`;
+  } catch (err) {
+    console.error(err);
+    if (err.name === 'AbortError') {
+      statusEl.textContent = 'Comparação cancelada.';
+    } else if (err.code === 'versions_unrelated') {
+      statusEl.textContent = 'As versões são diferentes demais para serem do mesmo documento. Confira o arquivo ou a versão escolhida.';
+    } else if (err.code === 'document_too_large') {
+      statusEl.textContent = 'Os documentos são grandes demais para serem comparados. Compare-os por partes.';
+    } else {
+      statusEl.textContent = describeError(err);
+    }
+  } finally {
+    endRequest(signal);
   }
-  const apiUrl = `${apiBase}/api/analyze`;
+}
+
+function excerpt(text) {
+  return text.length > MAX_CHANGE_EXCERPT ? `${text.slice(0, MAX_CHANGE_EXCERPT)}…` : text;
+}
+
+function renderComparison() {
+  const { report } = currentComparison;
+  document.getElementById('compareResult').textContent =
+    `${report.summary}\n\n${report.changes.length} alteração(ões); ${report.unchanged} cláusula(s) sem alteração.`;
+  const list = document.getElementById('compareChanges');
+  list.textContent = '';
+
+  report.changes.forEach((change) => {
+    const item = document.createElement('div');
+    item.className = `finding severity-${change.impact}`;
+
+    const header = document.createElement('div');
+    header.className = 'finding-header';
+    header.textContent = `${CHANGE_TYPE_LABELS[change.type]} · Impacto ${SEVERITY_LABELS[change.impact]}`;
+    if (change.favors === 'neutro') {
+      header.textContent += ' · Neutra';
+    } else if (change.favors) {
+      header.textContent += ` · Favorece: ${change.favors}`;
+    }
+    item.appendChild(header);
 
+    const title = document.createElement('div');
+    title.className = 'finding-quote';
+    title.textContent = change.title;
+    item.appendChild(title);
+
+    if (change.summary) {
+      const summary = document.createElement('div');
+      summary.textContent = change.summary;
+      item.appendChild(summary);
+    }
+    if (change.before) {
+      const before = document.createElement('div');
+      before.className = 'finding-quote';
+      before.textContent = `Antes: “${excerpt(change.before)}”`;
+      item.appendChild(before);
+    }
+    if (change.after) {
+      const after = document.createElement('div');
+      after.className = 'finding-suggestion';
+      after.textContent = `Depois: “${excerpt(change.after)}”`;
+      item.appendChild(after);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'finding-actions';
+    const goTo = document.createElement('button');
+    goTo.textContent = 'Ir para';
+    goTo.onclick = () => goToChange(change);
+    actions.appendChild(goTo);
+    item.appendChild(actions);
+
+    list.appendChild(item);
+  });
+}
+
+// Select the change's paragraphs in the document or, for a clause only in
+// the other version, the paragraph where it would be.
+async function goToChange(change) {
+  const statusEl = document.getElementById('status');
   try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ clientId, clientSecret, documentText }),
+    await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load('items');
+      await context.sync();
+      if (paragraphs.items.length !== currentComparison.paragraphCount) {
+        statusEl.textContent = 'O documento foi alterado desde a comparação; compare novamente para localizar as alterações.';
+        return;
+      }
+      const first = change.paragraphs.length > 0 ? change.paragraphs[0] : change.anchor;
+      const last = change.paragraphs.length > 0 ? change.paragraphs[change.paragraphs.length - 1] : first;
+      const start = paragraphs.items[Math.min(first, paragraphs.items.length - 1)];
+      const end = paragraphs.items[Math.min(last, paragraphs.items.length - 1)];
+      start.getRange('Whole').expandTo(end.getRange('Whole')).select();
+      await context.sync();
     });
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = 'Erro ao localizar a alteração no documento.';
+  }
+}
+
+// Document Templates
+
+// The client's document templates ({ id, name, description, fields,
+// sections, body }), loaded when the template panel is first opened
+let documentTemplates = null;
+
+// Parts of an "address" field, with their labels
+const ADDRESS_PARTS = [
+  ['street', 'Logradouro'],
+  ['number', 'Número'],
+  ['complement', 'Complemento (opcional)'],
+  ['district', 'Bairro (opcional)'],
+  ['city', 'Cidade'],
+  ['state', 'UF'],
+  ['postalCode', 'CEP'],
+];
+const FIELD_PLACEHOLDERS = {
+  cpf: '000.000.000-00',
+  cnpj: '00.000.000/0000-00',
+  cpf_cnpj: 'CPF ou CNPJ',
+  case_number: '0000000-00.0000.0.00.0000',
+  money: 'Ex: 1.500,00',
+};
+// Why /api/templates/generate rejected a field, by reason and, for
+// "invalid", by field type
+const INVALID_FIELD_MESSAGES = {
+  cpf: 'CPF inválido.',
+  cnpj: 'CNPJ inválido.',
+  cpf_cnpj: 'CPF ou CNPJ inválido.',
+  case_number: 'Número de processo inválido (padrão CNJ).',
+  money: 'Valor inválido. Use, por exemplo, 1.500,00.',
+  date: 'Data inválida.',
+  address: 'Informe logradouro, número, cidade, UF e um CEP de 8 dígitos.',
+};
+const FIELD_ERROR_MESSAGES = { required: 'Campo obrigatório.', too_long: 'Texto longo demais.' };
+// Starting point of a new template in the editor
+const NEW_TEMPLATE = {
+  name: 'Procuração ad judicia',
+  description: 'Procuração com poderes gerais para o foro',
+  fields: [
+    { name: 'outorgante', label: 'Outorgante', type: 'text', required: true },
+    { name: 'documento', label: 'CPF/CNPJ do outorgante', type: 'cpf_cnpj', required: true },
+    { name: 'endereco', label: 'Endereço do outorgante', type: 'address', required: true },
+    { name: 'finalidade', label: 'Finalidade da procuração', type: 'long_text', required: true },
+    { name: 'data', label: 'Data', type: 'date', required: true },
+  ],
+  sections: [
+    { name: 'poderes', instructions: 'Descreva os poderes outorgados, de acordo com a finalidade informada.' },
+  ],
+  body: '# PROCURAÇÃO AD JUDICIA\n**OUTORGANTE:** {{outorgante}}, inscrito(a) no CPF/CNPJ sob o nº {{documento}}, ' +
+    'com endereço em {{endereco}}.\n**PODERES:**\n{{ia:poderes}}\nSão Paulo, {{data}}.',
+};
+
+async function toggleTemplatePanel() {
+  const panel = document.getElementById('templatePanel');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden && !documentTemplates) {
+    await loadTemplates();
+  }
+}
+
+async function loadTemplates() {
+  try {
+    const data = await postJson('/api/templates/list', {});
+    documentTemplates = data.templates;
+  } catch (err) {
+    console.error(err);
+    documentTemplates = [];
+  }
+  renderTemplatePicker();
+  renderTemplateEditorOptions();
+}
+
+function renderTemplatePicker() {
+  const select = document.getElementById('templateSelect');
+  const selected = select.value;
+  select.textContent = '';
+  documentTemplates.forEach((template) => {
+    select.appendChild(new Option(template.name, template.id));
+  });
+  select.hidden = documentTemplates.length === 0;
+  if (documentTemplates.some((t) => t.id === selected)) select.value = selected;
+  document.getElementById('generateDocumentButton').hidden = documentTemplates.length === 0;
+  renderTemplateForm();
+}
+
+function selectedTemplate() {
+  const templateId = document.getElementById('templateSelect').value;
+  return documentTemplates.find((t) => t.id === templateId) || null;
+}
+
+// Show the form of the chosen template: one input per field, as fits its
+// type, with room for the error the backend may report.
+function renderTemplateForm() {
+  const template = selectedTemplate();
+  const container = document.getElementById('templateFields');
+  container.textContent = '';
+  document.getElementById('templateResult').textContent = '';
+  if (!template) {
+    document.getElementById('templateDescription').textContent = session.role === 'admin'
+      ? 'Nenhum modelo cadastrado. Use "Gerenciar modelos" para criar o primeiro.'
+      : 'Nenhum modelo cadastrado. Peça ao administrador do escritório que cadastre os modelos.';
+    return;
+  }
+  document.getElementById('templateDescription').textContent = template.description;
 
-    if (!response.ok) {
-      throw new Error(`Erro HTTP ${response.status}`);
+  template.fields.forEach((field) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'template-field';
+    wrapper.dataset.field = field.name;
+    const label = document.createElement('label');
+    label.textContent = field.required ? field.label : `${field.label} (opcional)`;
+    wrapper.appendChild(label);
+
+    if (field.type === 'address') {
+      ADDRESS_PARTS.forEach(([part, partLabel]) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.part = part;
+        input.placeholder = partLabel;
+        if (part === 'state') input.maxLength = 2;
+        wrapper.appendChild(input);
+      });
+    } else if (field.type === 'long_text') {
+      const textarea = document.createElement('textarea');
+      textarea.rows = 4;
+      wrapper.appendChild(textarea);
+    } else {
+      const input = document.createElement('input');
+      input.type = field.type === 'date' ? 'date' : 'text';
+      input.placeholder = FIELD_PLACEHOLDERS[field.type] || '';
+      wrapper.appendChild(input);
     }
 
-    const data = await response.json();
-    const analysis = data.analysis;
+    const error = document.createElement('div');
+    error.className = 'template-field-error';
+    wrapper.appendChild(error);
+    container.appendChild(wrapper);
+  });
+}
 
-    // Display analysis in chat
-    appendMessage(analysis, "ai");
-    statusEl.textContent = "Análise concluída.";
+// The form's values, by field name; addresses as objects.
+function readTemplateValues() {
+  const values = {};
+  document.querySelectorAll('#templateFields .template-field').forEach((wrapper) => {
+    const parts = wrapper.querySelectorAll('input[data-part]');
+    if (parts.length > 0) {
+      values[wrapper.dataset.field] = {};
+      parts.forEach((input) => {
+        values[wrapper.dataset.field][input.dataset.part] = input.value;
+      });
+    } else {
+      values[wrapper.dataset.field] = wrapper.querySelector('input, textarea').value;
+    }
+  });
+  return values;
+}
+
+// Show the reasons the backend gave for each invalid field (or clear
+// them, with no errors).
+function showFieldErrors(template, errors) {
+  document.querySelectorAll('#templateFields .template-field').forEach((wrapper) => {
+    const reason = errors[wrapper.dataset.field];
+    const field = template.fields.find((f) => f.name === wrapper.dataset.field);
+    wrapper.querySelector('.template-field-error').textContent = !reason ? ''
+      : reason === 'invalid' ? INVALID_FIELD_MESSAGES[field.type] || 'Valor inválido.'
+        : FIELD_ERROR_MESSAGES[reason] || 'Valor inválido.';
+  });
+}
+
+// Generate the chosen template with the form's values and insert the
+// document at the cursor. The fixed text comes from the template as
+// written; only its sections are written by the AI.
+async function generateFromTemplate() {
+  const statusEl = document.getElementById('status');
+  const template = selectedTemplate();
+  if (!template) return;
+  showFieldErrors(template, {});
+  statusEl.textContent = `Gerando "${template.name}"...`;
+
+  const signal = beginRequest();
+  try {
+    const data = await postJson('/api/templates/generate', { templateId: template.id, values: readTemplateValues() }, signal);
+    await insertTextIntoWord(data.text, 'replace');
+    const message = appendMessage(`Documento "${template.name}" gerado e inserido no documento.`, 'ai');
+    showSources(message, data.sources);
+    statusEl.textContent = 'Documento gerado. Revise as seções redigidas pela IA e os trechos marcados com [COMPLETAR].';
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      statusEl.textContent = 'Geração cancelada.';
+      return;
+    }
+    console.error(err);
+    if (err.code === 'invalid_fields') {
+      showFieldErrors(template, err.details.fields);
+      statusEl.textContent = 'Corrija os campos indicados no formulário.';
+      return;
+    }
+    statusEl.textContent = describeError(err);
+  } finally {
+    endRequest(signal);
+  }
+}
+
+function toggleTemplateEditor() {
+  const editor = document.getElementById('templateEditor');
+  editor.hidden = !editor.hidden;
+  if (!editor.hidden) {
+    fillTemplateEditor(document.getElementById('templateEditorSelect').value);
+  }
+}
+
+function renderTemplateEditorOptions() {
+  const select = document.getElementById('templateEditorSelect');
+  const selected = select.value;
+  select.textContent = '';
+  select.appendChild(new Option('Novo modelo', ''));
+  documentTemplates.forEach((template) => {
+    select.appendChild(new Option(template.name, template.id));
+  });
+  select.value = documentTemplates.some((t) => t.id === selected) ? selected : '';
+}
+
+// Load a template (or an example for a new one) into the editor, as JSON.
+function fillTemplateEditor(templateId) {
+  const template = documentTemplates.find((t) => t.id === templateId);
+  const { name, description, fields, sections, body } = template || NEW_TEMPLATE;
+  document.getElementById('templateEditorSelect').value = template ? template.id : '';
+  document.getElementById('templateEditorDefinition').value =
+    JSON.stringify({ name, description, fields, sections, body }, null, 2);
+  document.getElementById('deleteTemplateButton').disabled = !template;
+}
+
+async function saveTemplate() {
+  const resultDiv = document.getElementById('templateResult');
+  const templateId = document.getElementById('templateEditorSelect').value;
+  let definition;
+  try {
+    definition = JSON.parse(document.getElementById('templateEditorDefinition').value);
+  } catch (err) {
+    resultDiv.textContent = `O modelo não é um JSON válido: ${err.message}`;
+    return;
+  }
+  try {
+    const data = templateId
+      ? await postJson('/api/templates/update', { ...definition, templateId })
+      : await postJson('/api/templates/create', definition);
+    await loadTemplates();
+    fillTemplateEditor(data.template.id);
+    document.getElementById('templateSelect').value = data.template.id;
+    renderTemplateForm();
+    resultDiv.textContent = 'Modelo salvo.';
+  } catch (err) {
+    console.error(err);
+    resultDiv.textContent = err.status === 409
+      ? 'Já existe um modelo com esse nome.'
+      : describeError(err);
+  }
+}
 
+async function deleteSelectedTemplate() {
+  const resultDiv = document.getElementById('templateResult');
+  const templateId = document.getElementById('templateEditorSelect').value;
+  if (!templateId) return;
+  try {
+    await postJson('/api/templates/delete', { templateId });
+    await loadTemplates();
+    fillTemplateEditor('');
+    resultDiv.textContent = 'Modelo excluído.';
   } catch (err) {
     console.error(err);
-    statusEl.textContent = `Erro na análise: ${err.message}`;
-    appendMessage(`Falha na análise: ${err.message}`, "ai");
+    resultDiv.textContent = describeError(err);
   }
-}
\ No newline at end of file
+}